@@ -0,0 +1,65 @@
+/**
+ * Commerce analytics event bus.
+ * --------------------------------------------------------------
+ * Handlers call track(); adapters (and anything else, e.g. a server forwarder) subscribe to the bus.
+ * The page's useAnalytics loads the pixels and subscribes them, then calls startAnalytics.
+ */
+
+// Commerce events: {name, eventId, currency, value, items: [{id, ids, name, variant, price, quantity}], coupon?,
+// experiments?}; experiments ({id: variant}) lists the A/B tests this page view was exposed to, so
+// conversions can be split by variant. ExperimentExposure is {name, eventId, experiment, variant}.
+const COMMERCE_EVENTS = ["ViewContent", "AddToCart", "RemoveFromCart", "AddToWishlist", "InitiateCheckout", "ApplyCoupon", "ExperimentExposure"];
+
+const analyticsListeners = new Set();
+const emittedEventIds = new Set();
+
+// Experiments shown on this page load, {id: variant}; track() adds them to every later event
+const exposedExperiments = new Map();
+
+// Events emitted before startAnalytics. Child effects run before the page's, so a component's first
+// events would otherwise go out before consent is read and the adapters are subscribed.
+let pendingEvents = [];
+
+function subscribeAnalytics(listener) {
+  analyticsListeners.add(listener);
+  return () => analyticsListeners.delete(listener);
+}
+
+function deliver(event) {
+  analyticsListeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (e) {
+      console.warn(`Analytics listener failed on ${event.name}`, e);
+    }
+  });
+}
+
+// Emit an event. Pass a stable eventId when the same event may be emitted twice (re-renders, a
+// retried checkout); an ID that was already emitted is dropped, so each event is sent once.
+function track(name, data) {
+  if (!COMMERCE_EVENTS.includes(name)) throw new Error(`Unknown analytics event: ${name}`);
+  const eventId = data.eventId || newEventId();
+  if (emittedEventIds.has(eventId)) return null;
+  emittedEventIds.add(eventId);
+  const experiments = name !== "ExperimentExposure" && exposedExperiments.size ? { experiments: Object.fromEntries(exposedExperiments) } : {};
+  const event = { ...data, ...experiments, name, eventId };
+  if (pendingEvents) pendingEvents.push(event);
+  else deliver(event);
+  return event;
+}
+
+// Deliver the events held so far to the current listeners; later events go out as they are emitted.
+// Calling it again does nothing.
+function startAnalytics() {
+  const held = pendingEvents || [];
+  pendingEvents = null;
+  held.forEach(deliver);
+}
+
+function newEventId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export { exposedExperiments, newEventId, startAnalytics, subscribeAnalytics, track };
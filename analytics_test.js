@@ -0,0 +1,44 @@
+/**
+ * Analytics event bus.
+ * --------------------------------------------------------------
+ * Replays the page's first mount: experiment exposures are emitted from child effects, before the
+ * page's useAnalytics has read consent and subscribed the adapters. Run with `deno test -A`.
+ */
+import assert from "node:assert/strict";
+import { exposedExperiments, startAnalytics, subscribeAnalytics, track } from "./analytics.js";
+
+// The bus is module state, so the steps run in order as one page load
+Deno.test("events emitted before the adapters subscribe reach them once analytics starts", () => {
+  // useExperimentVariant, in a child effect
+  exposedExperiments.set("announcement", "giftFocus");
+  track("ExperimentExposure", { experiment: "announcement", variant: "giftFocus" });
+
+  // useAnalytics, in the page's effect
+  const sent = [];
+  const off = subscribeAnalytics((e) => sent.push(e));
+  assert.deepEqual(sent, []);
+  startAnalytics();
+  assert.deepEqual(
+    sent.map((e) => [e.name, e.experiment, e.variant]),
+    [["ExperimentExposure", "announcement", "giftFocus"]]
+  );
+
+  // Later events go straight out and carry the exposure
+  track("AddToCart", { currency: "USD", value: 10, items: [] });
+  assert.equal(sent.length, 2);
+  assert.deepEqual(sent[1].experiments, { announcement: "giftFocus" });
+
+  // Starting again (consent changed, adapters resubscribed) doesn't replay anything
+  startAnalytics();
+  assert.equal(sent.length, 2);
+  off();
+});
+
+Deno.test("an event ID is sent once", () => {
+  const sent = [];
+  const off = subscribeAnalytics((e) => sent.push(e));
+  assert.ok(track("ViewContent", { eventId: "view-1", currency: "USD", value: 10, items: [] }));
+  assert.equal(track("ViewContent", { eventId: "view-1", currency: "USD", value: 10, items: [] }), null);
+  assert.equal(sent.length, 1);
+  off();
+});
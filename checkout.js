@@ -0,0 +1,211 @@
+/**
+ * Checkout providers: Shopify Storefront cart, WooCommerce Store API and Stripe Checkout.
+ * --------------------------------------------------------------
+ * CHECKOUT.provider (config.js) picks the one the page uses; see checkoutProvider.
+ */
+import { CHECKOUT, GIFT } from "./config.js";
+import { round2 } from "./helpers.js";
+import { AuthError, CartExpiredError, CheckoutError, fetchWithTimeout, httpError, InvalidMerchandiseError, withRetry } from "./http.js";
+import { storeItem } from "./consent.js";
+import { discountFromShopifyCart, fetchCart, isShopifyConfigured, queueCartSync, SHOPIFY_CART_ID_KEY, syncShopifyCart } from "./storefront.js";
+
+// A provider keeps a remote cart in step with the local one and hands out the checkout URL. Lines are
+// [{id, quantity, attributes}], id being the variant's ID with that provider (see checkoutLines).
+//   configured() - false in previews: discount codes are checked locally against DISCOUNT_RULES
+//   pricesDiscounts - sync() reports what the cart's codes take off; otherwise DISCOUNT_RULES stand in
+//   hasCart() - a remote cart from an earlier visit exists, to restore on load and keep in step
+//   restore() -> that cart's lines [{id, quantity}], or null once it's gone (expired, checked out)
+//   sync({lines, managedIds, discountCodes, hiddenCodes, country, attributes}) -> {discount}: the remote
+//     cart matches now, cart attributes [{key, value}] included; discount is shaped like
+//     evaluateLocalDiscounts(), leaving out hiddenCodes (bundle tiers). Only remote lines whose id is
+//     in managedIds (see managedLineIds) are changed or removed; without it, all of them
+//   checkout({lines, managedIds, discountCodes, country, attributes}) -> {id, url}: final sync and where
+//     to send the shopper
+// Failures throw a CheckoutError subclass (see checkoutErrorKey for what the shopper is told).
+const WOO_CART_KEY = "wooCart";
+
+const checkoutProvider = () => CHECKOUT_PROVIDERS[CHECKOUT.provider];
+
+// Without a remote cart id, a checkout is identified by its contents (InitiateCheckout dedup)
+const linesKey = (lines) => lines.map((l) => `${l.id}x${l.quantity}`).join(",");
+
+const toMerchandiseLines = (lines) => lines.map(({ id, ...l }) => ({ merchandiseId: id, ...l }));
+
+// WooCommerce Store API request. Mutations need the Nonce header the API hands out on every response;
+// Cart-Token (WooCommerce 8.3+) identifies the session's cart.
+let wooNonce = null;
+let wooCartToken = null;
+const WOO_MERCHANDISE_ERROR_CODES = [
+  "woocommerce_rest_cart_invalid_product",
+  "woocommerce_rest_product_out_of_stock",
+  "woocommerce_rest_product_partially_out_of_stock",
+  "woocommerce_rest_product_not_purchasable",
+];
+async function wooRequest(path, body) {
+  const res = await fetchWithTimeout(`${CHECKOUT.woocommerce.storeUrl}/wp-json/wc/store/v1${path}`, {
+    method: body ? "POST" : "GET",
+    credentials: "include",
+    headers: { "Content-Type": "application/json", ...(wooNonce ? { Nonce: wooNonce } : {}) },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  wooNonce = res.headers.get("Nonce") || wooNonce;
+  wooCartToken = res.headers.get("Cart-Token") || wooCartToken;
+  const data = await res.json().catch(() => null);
+  if (res.ok) return data;
+  const message = (data && data.message) || `WooCommerce error ${res.status}`;
+  const code = data && data.code;
+  if (WOO_MERCHANDISE_ERROR_CODES.includes(code)) throw new InvalidMerchandiseError(message);
+  if (code === "woocommerce_rest_cart_invalid_key") throw new CartExpiredError(message);
+  throw httpError(res, message);
+}
+
+// Make the WooCommerce cart match: {cart, rejected} with the codes WooCommerce refused.
+// The Store API has no line attributes, so bundle tags don't reach WooCommerce; set up each bundle
+// tier's code as a coupon instead.
+// Cart attributes last sent to the WooCommerce cart extension (JSON) and the cart they went to, so
+// unchanged ones aren't resent. A cart that starts a sync empty (new session, expired, checked out)
+// gets them again.
+let wooAttributesSent = { cartToken: null, json: null };
+async function syncWooCartNow(lines, managedIds, discountCodes, country, attributes = []) {
+  let cart = await wooRequest("/cart");
+  const freshCart = !cart.items.length;
+  if (country && cart.shipping_address.country !== country) {
+    cart = await wooRequest("/cart/update-customer", { shipping_address: { country }, billing_address: { country } });
+  }
+  const want = new Map();
+  lines.forEach((l) => want.set(String(l.id), (want.get(String(l.id)) || 0) + l.quantity));
+  // The session cart can hold products this page doesn't sell (see managedLineIds)
+  const managed = managedIds && new Set(managedIds.map(String));
+  for (const item of cart.items) {
+    if (managed && !managed.has(String(item.id))) continue;
+    const quantity = want.get(String(item.id));
+    if (!quantity) cart = await wooRequest("/cart/remove-item", { key: item.key });
+    else if (item.quantity !== quantity) cart = await wooRequest("/cart/update-item", { key: item.key, quantity });
+    want.delete(String(item.id));
+  }
+  for (const [id, quantity] of want) cart = await wooRequest("/cart/add-item", { id: Number(id), quantity });
+  // WooCommerce stores coupon codes lowercased
+  const wanted = discountCodes.map((c) => c.toLowerCase());
+  for (const coupon of cart.coupons) {
+    if (!wanted.includes(coupon.code)) cart = await wooRequest("/cart/remove-coupon", { code: coupon.code });
+  }
+  const rejected = [];
+  for (const code of discountCodes) {
+    if (cart.coupons.some((c) => c.code === code.toLowerCase())) continue;
+    try {
+      cart = await wooRequest("/cart/apply-coupon", { code });
+    } catch (e) {
+      // Outages and bad credentials aren't the code's fault
+      if (e.retryable || e instanceof AuthError) throw e;
+      rejected.push(code); // unknown, expired or below its minimum spend
+    }
+  }
+  // Needs a store plugin handling the namespace (see GIFT.attributesNamespace)
+  const json = JSON.stringify(attributes);
+  if (freshCart || wooAttributesSent.cartToken !== wooCartToken || wooAttributesSent.json !== json) {
+    cart = await wooRequest("/cart/extensions", {
+      namespace: GIFT.attributesNamespace,
+      data: { attributes: Object.fromEntries(attributes.map((a) => [a.key, a.value])) },
+    });
+    wooAttributesSent = { cartToken: wooCartToken, json };
+  }
+  storeItem(WOO_CART_KEY, "1", "necessary");
+  return { cart, rejected };
+}
+
+function discountFromWooCart({ cart, rejected }, discountCodes, hiddenCodes) {
+  const shown = (code) => !hiddenCodes.some((h) => h.toLowerCase() === code.toLowerCase());
+  return {
+    codes: discountCodes.filter(shown).map((code) => {
+      const applicable = !rejected.includes(code);
+      return { code, applicable, reason: applicable ? null : "notApplicable" };
+    }),
+    amount: round2(
+      cart.coupons.filter((c) => shown(c.code)).reduce((s, c) => s + Number(c.totals.total_discount) / 10 ** c.totals.currency_minor_unit, 0),
+    ),
+    freeShipping: false, // shipping discounts are only known at checkout
+  };
+}
+
+const CHECKOUT_PROVIDERS = {
+  // Storefront API cart; checkoutUrl is Shopify's hosted checkout
+  shopify: {
+    configured: isShopifyConfigured,
+    pricesDiscounts: true,
+    hasCart: () => !!localStorage.getItem(SHOPIFY_CART_ID_KEY),
+    async restore() {
+      const remote = await withRetry(() => fetchCart(localStorage.getItem(SHOPIFY_CART_ID_KEY)));
+      if (!remote) {
+        localStorage.removeItem(SHOPIFY_CART_ID_KEY);
+        return null;
+      }
+      return remote.lines.nodes.map((l) => ({ id: l.merchandise.id, quantity: l.quantity }));
+    },
+    async sync({ lines, managedIds, discountCodes, hiddenCodes = [], country, attributes }) {
+      const cartObj = await syncShopifyCart({ lines: toMerchandiseLines(lines), managedIds, discountCodes, country, attributes });
+      return { discount: discountFromShopifyCart(cartObj, hiddenCodes) };
+    },
+    async checkout({ lines, managedIds, discountCodes, country, attributes }) {
+      const cartObj = await syncShopifyCart({ lines: toMerchandiseLines(lines), managedIds, discountCodes, country, attributes });
+      return { id: cartObj.id, url: cartObj.checkoutUrl };
+    },
+  },
+  // WooCommerce Store API cart in the shopper's store session; checkout is the store's checkout page
+  woocommerce: {
+    configured: () => !CHECKOUT.woocommerce.storeUrl.includes("your-domain.example"),
+    pricesDiscounts: true,
+    hasCart: () => !!localStorage.getItem(WOO_CART_KEY),
+    async restore() {
+      const cart = await withRetry(() => wooRequest("/cart"));
+      if (!cart.items.length) {
+        localStorage.removeItem(WOO_CART_KEY);
+        return null;
+      }
+      return cart.items.map((item) => ({ id: item.id, quantity: item.quantity }));
+    },
+    async sync({ lines, managedIds, discountCodes, hiddenCodes = [], country, attributes }) {
+      const result = await queueCartSync(() => withRetry(() => syncWooCartNow(lines, managedIds, discountCodes, country, attributes)));
+      return { discount: discountFromWooCart(result, discountCodes, hiddenCodes) };
+    },
+    async checkout({ lines, managedIds, discountCodes, country, attributes }) {
+      await queueCartSync(() => withRetry(() => syncWooCartNow(lines, managedIds, discountCodes, country, attributes)));
+      return { id: linesKey(lines), url: `${CHECKOUT.woocommerce.storeUrl}${CHECKOUT.woocommerce.checkoutPath}` };
+    },
+  },
+  // Stripe Checkout has no cart: checkout() asks your server to create a Checkout Session.
+  // POST sessionEndpoint {lineItems: [{price, quantity, metadata}], discountCodes, country, metadata (cart
+  // attributes), successUrl, cancelUrl} -> {id, url} (or {error} with a non-2xx status). Line ids are Stripe Price IDs; map the
+  // codes to promotion codes server-side. The drawer checks codes against DISCOUNT_RULES meanwhile.
+  stripe: {
+    configured: () => !CHECKOUT.stripe.sessionEndpoint.includes("your-domain.example"),
+    pricesDiscounts: false,
+    hasCart: () => false,
+    restore: () => Promise.resolve(null),
+    sync: () => Promise.resolve({ discount: null }),
+    async checkout({ lines, discountCodes, country, attributes = [] }) {
+      // Retrying is safe: a session nobody completes simply expires
+      const data = await withRetry(async () => {
+        const res = await fetchWithTimeout(CHECKOUT.stripe.sessionEndpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            lineItems: lines.map((l) => ({ price: l.id, quantity: l.quantity, metadata: Object.fromEntries(l.attributes.map((a) => [a.key, a.value])) })),
+            discountCodes,
+            country,
+            metadata: Object.fromEntries(attributes.map((a) => [a.key, a.value])),
+            successUrl: CHECKOUT.stripe.successUrl,
+            cancelUrl: window.location.href,
+          }),
+        });
+        const body = await res.json().catch(() => null);
+        const message = (body && body.error) || `Stripe checkout error ${res.status}`;
+        if (!res.ok) throw httpError(res, message);
+        if (!body || !body.url) throw new CheckoutError(message);
+        return body;
+      });
+      return { id: data.id || linesKey(lines), url: data.url };
+    },
+  },
+};
+
+export { CHECKOUT_PROVIDERS, checkoutProvider };
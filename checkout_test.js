@@ -0,0 +1,120 @@
+/**
+ * Cart sync and checkout against the Storefront sandbox.
+ * --------------------------------------------------------------
+ * Runs the Shopify checkout provider the way the page does, with STOREFRONT_SANDBOX standing in for
+ * the store. Run with `deno test -A`; no credentials or network needed.
+ */
+import assert from "node:assert/strict";
+import { NETWORK, PRODUCT_DATA, STOREFRONT_SANDBOX, UPSELLS } from "./config.js";
+import { CartExpiredError, checkoutErrorKey, InvalidMerchandiseError, RateLimitError } from "./http.js";
+import { storefrontSandbox } from "./storefront-sandbox.js";
+import { SHOPIFY_CART_ID_KEY, syncShopifyCart } from "./storefront.js";
+import { CHECKOUT_PROVIDERS } from "./checkout.js";
+
+STOREFRONT_SANDBOX.enabled = true;
+STOREFRONT_SANDBOX.latencyMs = 0;
+NETWORK.retryBaseMs = 1;
+
+const shopify = CHECKOUT_PROVIDERS.shopify;
+const [warm10, warm20, , multi20] = PRODUCT_DATA.variants.map((v) => v.ids.shopify);
+const timerPlug = UPSELLS.addOns[0].variants[0].ids.shopify;
+
+const line = (id, quantity, attributes = []) => ({ id, quantity, attributes });
+const sync = (lines, options = {}) => shopify.sync({ lines, discountCodes: [], country: "US", ...options });
+const remoteCart = () => storefrontSandbox.cart(localStorage.getItem(SHOPIFY_CART_ID_KEY));
+const remoteLines = () => remoteCart().lines.nodes.map((l) => [l.merchandise.id, l.quantity]);
+
+// Each test starts without a stored cart id and with an empty sandbox
+function test(name, fn) {
+  Deno.test(name, async () => {
+    localStorage.clear();
+    storefrontSandbox.reset();
+    await fn();
+  });
+}
+
+test("the first sync creates a cart and remembers it", async () => {
+  assert.equal(shopify.hasCart(), false);
+  await sync([line(warm10, 2)]);
+  assert.equal(shopify.hasCart(), true);
+  assert.deepEqual(remoteLines(), [[warm10, 2]]);
+  assert.deepEqual(await shopify.restore(), [{ id: warm10, quantity: 2 }]);
+});
+
+test("syncing the same lines again doesn't add to them", async () => {
+  const lines = [line(warm10, 2), line(timerPlug, 1)];
+  await sync(lines);
+  const cartId = localStorage.getItem(SHOPIFY_CART_ID_KEY);
+  await sync(lines);
+  await sync(lines);
+  assert.equal(localStorage.getItem(SHOPIFY_CART_ID_KEY), cartId);
+  assert.deepEqual(remoteLines(), [[warm10, 2], [timerPlug, 1]]);
+});
+
+test("a sync updates changed quantities and removes dropped lines", async () => {
+  await sync([line(warm10, 2), line(warm20, 1), line(timerPlug, 1)]);
+  await sync([line(warm10, 3), line(timerPlug, 1, [{ key: "_bundle", value: "Buy 3" }])]);
+  assert.deepEqual(remoteLines(), [[warm10, 3], [timerPlug, 1]]);
+  assert.deepEqual(remoteCart().lines.nodes[1].attributes, [{ key: "_bundle", value: "Buy 3" }]);
+  await sync([]);
+  assert.deepEqual(remoteLines(), []);
+});
+
+test("lines outside managedIds are left alone", async () => {
+  await syncShopifyCart({ lines: [{ merchandiseId: timerPlug, quantity: 1 }], country: "US" });
+  await sync([line(warm10, 1)], { managedIds: [warm10] });
+  assert.deepEqual(remoteLines(), [[timerPlug, 1], [warm10, 1]]);
+});
+
+test("an expired cart is replaced by a new one with the same lines", async () => {
+  await sync([line(warm10, 2)]);
+  const expiredId = localStorage.getItem(SHOPIFY_CART_ID_KEY);
+  storefrontSandbox.expireCart(expiredId);
+  await sync([line(warm10, 2), line(warm20, 1)]);
+  assert.notEqual(localStorage.getItem(SHOPIFY_CART_ID_KEY), expiredId);
+  assert.deepEqual(remoteLines(), [[warm10, 2], [warm20, 1]]);
+});
+
+test("restore forgets an expired cart", async () => {
+  await sync([line(warm10, 1)]);
+  storefrontSandbox.expireCart();
+  assert.equal(await shopify.restore(), null);
+  assert.equal(shopify.hasCart(), false);
+});
+
+test("throttled requests are retried", async () => {
+  await sync([line(warm10, 1)]);
+  storefrontSandbox.failNext(429, NETWORK.retries);
+  await sync([line(warm10, 2)]);
+  assert.deepEqual(remoteLines(), [[warm10, 2]]);
+});
+
+test("throttling that outlasts the retries fails with a RateLimitError", async () => {
+  await sync([line(warm10, 1)]);
+  storefrontSandbox.failNext(429, NETWORK.retries + 1);
+  const error = await sync([line(warm10, 2)]).catch((e) => e);
+  assert.ok(error instanceof RateLimitError);
+  assert.equal(checkoutErrorKey(error), "cart.error.rateLimited");
+  // Nothing was sent, and the next sync goes through
+  assert.deepEqual(remoteLines(), [[warm10, 1]]);
+  await sync([line(warm10, 2)]);
+  assert.deepEqual(remoteLines(), [[warm10, 2]]);
+});
+
+test("more than the stock fails with an InvalidMerchandiseError and keeps the cart", async () => {
+  const stock = PRODUCT_DATA.variants[3].stock;
+  await sync([line(multi20, 1)]);
+  const error = await sync([line(multi20, stock + 1)]).catch((e) => e);
+  assert.ok(error instanceof InvalidMerchandiseError);
+  assert.ok(!(error instanceof CartExpiredError));
+  assert.match(error.message, new RegExp(`Only ${stock} items`));
+  assert.deepEqual(remoteLines(), [[multi20, 1]]);
+});
+
+test("checkout syncs the cart and returns its checkout URL", async () => {
+  await sync([line(warm10, 1)]);
+  const out = await shopify.checkout({ lines: [line(warm10, 2)], discountCodes: [], country: "US" });
+  assert.equal(out.id, localStorage.getItem(SHOPIFY_CART_ID_KEY));
+  assert.equal(out.url, `${STOREFRONT_SANDBOX.checkoutUrl}?cart=${encodeURIComponent(out.id)}`);
+  assert.deepEqual(remoteLines(), [[warm10, 2]]);
+});
@@ -0,0 +1,1035 @@
+/**
+ * Store configuration for the product page.
+ * --------------------------------------------------------------
+ * Everything a merchant fills in: store credentials and the checkout backend, PRODUCT_DATA and its
+ * add-ons, the discount rules, COPY, the shipping calendar, markets and UI messages, and the settings
+ * of each integration (analytics, consent, reviews, order tracking, newsletter, back-in-stock,
+ * experiments).
+ * content.json overrides the brand name, PRODUCT_DATA, the shipping dates and COPY (see content.js).
+ */
+
+// ✅ SHOPIFY CONFIG — fill these in
+const SHOPIFY = {
+  storeDomain: "YOUR_STORE.myshopify.com", // no https
+  storefrontToken: "YOUR_STOREFRONT_API_ACCESS_TOKEN", // from Shopify Admin > Settings > Apps & sales channels > Develop apps > Storefront API
+  apiVersion: "2025-01", // match your shop version
+  productHandle: "led-glow-string-lights", // Admin > Products > product > Search engine listing > URL handle
+};
+
+// ✅ STOREFRONT SANDBOX — enabled: every Storefront call (product, cart, checkout) goes to an in-process
+// mock built from PRODUCT_DATA and DISCOUNT_RULES instead of the store, so checkout can be exercised
+// without credentials. Failures can also be forced at runtime with storefrontSandbox.failNext/expireCart.
+const STOREFRONT_SANDBOX = {
+  enabled: false,
+  latencyMs: 150, // per request
+  rateLimitEvery: 0, // every Nth request gets HTTP 429 Throttled (0 = never)
+  cartTtlMinutes: 14400, // a cart expires this long after its last change (Shopify: ~10 days)
+  checkoutUrl: "#sandbox-checkout", // where checkout "redirects"; ?cart=<cart id> is appended
+};
+
+// ✅ CHECKOUT CONFIG — where the cart goes: "shopify" (Storefront API, above), "woocommerce" (Store API)
+// or "stripe" (Checkout Session). Every variant needs its ID for that provider in `ids`.
+const CHECKOUT = {
+  provider: "shopify",
+  woocommerce: {
+    // The Store API keeps the cart in the WooCommerce session cookie: serve this page from the store's
+    // domain (or allow it via CORS with credentials)
+    storeUrl: "https://shop.your-domain.example", // no trailing slash
+    checkoutPath: "/checkout",
+  },
+  stripe: {
+    // Your server creates the Checkout Session with the secret key (see CHECKOUT_PROVIDERS.stripe)
+    sessionEndpoint: "https://your-domain.example/api/checkout-session",
+    successUrl: "https://your-domain.example/thank-you?session_id={CHECKOUT_SESSION_ID}",
+  },
+};
+
+// ✅ NETWORK CONFIG — every Storefront and checkout provider request
+const NETWORK = {
+  timeoutMs: 10000, // a request still unanswered after this is aborted
+  retries: 2, // extra attempts after a transient failure (network, timeout, 429, 5xx)
+  retryBaseMs: 500, // backoff: ~0.5s, ~1s, ~2s…
+};
+
+// ✅ SITE — public URLs for canonical links, OG tags and JSON-LD offers
+const SITE = {
+  name: "GlowGoods",
+  url: "https://your-domain.example", // no trailing slash
+  productPath: (handle) => `/products/${handle}`,
+};
+
+const PRODUCT_DATA = {
+  id: "led-glow-string-lights",
+  title: "AuroraGlow™ LED String Lights — 8 Modes, USB + Remote",
+  subtitle: "Instant cozy holiday vibes. Gift-ready packaging.",
+  description:
+    "Transform any space into a festive scene in seconds. Our AuroraGlow™ LED String Lights feature 8 lighting modes, memory function, and low-heat copper wire. Perfect for trees, mantels, bedrooms, and holiday parties.",
+  // Gallery slides: {type: "image" | "video", src, alt, poster? (video), options?}. `options` ties a slide
+  // to the variants with those option values, so picking one jumps to it. Videos are MP4 or HLS (.m3u8).
+  // Use your CDN media; these are placeholders.
+  media: [
+    { type: "image", src: "https://images.unsplash.com/photo-1511735111819-9a3f7709049c?q=80&w=1600&auto=format&fit=crop", alt: "Warm white AuroraGlow string lights glowing in a dark room", options: { Color: "Warm White" } },
+    { type: "image", src: "https://images.unsplash.com/photo-1512207846876-c60b6bdf52ae?q=80&w=1600&auto=format&fit=crop", alt: "Warm white fairy lights wrapped around a Christmas tree" },
+    { type: "image", src: "https://images.unsplash.com/photo-1516822003754-cca485356ecb?q=80&w=1600&auto=format&fit=crop", alt: "Multi-color AuroraGlow string lights in red, green and blue", options: { Color: "Multi-Color" } },
+    {
+      type: "video",
+      src: "https://cdn.your-domain.example/media/auroraglow-modes/master.m3u8",
+      poster: "https://images.unsplash.com/photo-1519682577862-22b62b24e493?q=80&w=1600&auto=format&fit=crop",
+      alt: "Video: cycling through the 8 lighting modes with the remote",
+    },
+    { type: "image", src: "https://images.unsplash.com/photo-1519682577862-22b62b24e493?q=80&w=1600&auto=format&fit=crop", alt: "String lights hung along a bedroom wall, close-up of the copper wire" },
+  ],
+  basePrice: 24.99, // current selling price
+  compareAtPrice: 39.99, // crossed-out price
+  currency: "USD",
+  soldThisWeek: 1280,
+  freeShippingThreshold: 35,
+  maxPerOrder: 10, // per variant; stock caps it further
+  bnplInstallments: 4, // "or 4 interest-free payments of …" under the price; 0 hides it
+  badges: ["Bestseller", "Holiday Deal", "Ships from USA"],
+  bullets: [
+    "8 lighting modes + memory",
+    "USB powered + remote included",
+    "Flexible copper wire · low heat",
+    "Indoor & outdoor (IP44) rated",
+    "Gift-ready eco packaging",
+  ],
+  // Option axes, in display order. Values with a `swatch` render as color swatches, others as pills.
+  options: [
+    {
+      name: "Color",
+      values: [
+        { value: "Warm White", swatch: "#F6E27A" },
+        { value: "Multi-Color", swatch: "#7BCDEF" },
+      ],
+    },
+    { name: "Length", values: [{ value: "10m (33ft)" }, { value: "20m (66ft)" }] },
+  ],
+  // One entry per option combination that exists; missing combinations show as unavailable.
+  // Deep link a variant with ?variant=<id> or ?variant=<numeric Shopify variant ID>.
+  // Optional per variant: sellingMode "preorder" (sells regardless of stock, ships from shipDateISO)
+  // or "backorder" (keeps selling once stock hits 0, ships from shipDateISO); default sells stock only.
+  variants: [
+    // ⚠️ `ids`: the variant's ID with each checkout provider; only CHECKOUT.provider's is required.
+    // shopify: variant GID (Admin > Products > variant > GraphQL ID), woocommerce: variation ID,
+    // stripe: Price ID (Product catalog > product > price)
+    { id: "warm-10m", ids: { shopify: "gid://shopify/ProductVariant/1234567890", woocommerce: 4011, stripe: "price_WarmWhite10m" }, name: "Warm White · 10m (33ft)", options: { Color: "Warm White", Length: "10m (33ft)" }, price: 24.99, stock: 212 },
+    { id: "warm-20m", ids: { shopify: "gid://shopify/ProductVariant/1234567891", woocommerce: 4012, stripe: "price_WarmWhite20m" }, name: "Warm White · 20m (66ft)", options: { Color: "Warm White", Length: "20m (66ft)" }, price: 29.99, stock: 163 },
+    { id: "multicolor-10m", ids: { shopify: "gid://shopify/ProductVariant/1234567892", woocommerce: 4013, stripe: "price_MultiColor10m" }, name: "Multi-Color · 10m (33ft)", options: { Color: "Multi-Color", Length: "10m (33ft)" }, price: 26.99, stock: 97 },
+    { id: "multicolor-20m", ids: { shopify: "gid://shopify/ProductVariant/1234567893", woocommerce: 4014, stripe: "price_MultiColor20m" }, name: "Multi-Color · 20m (66ft)", options: { Color: "Multi-Color", Length: "20m (66ft)" }, price: 31.99, stock: 74 },
+  ],
+  // Tiered bundle pricing: the best tier for the total quantity of this product in the cart
+  // (any mix of variants) applies to every line. `code` is a Shopify discount code with the same
+  // rule, added at checkout (Admin > Discounts); without one, set up a matching automatic discount.
+  // Bundled lines also carry a `_bundle` line attribute for fulfillment.
+  bundles: [
+    { qty: 1, pct: 0, label: "1 set" },
+    { qty: 2, pct: 10, label: "Buy 2 · Save 10%", code: "BUNDLE2" },
+    { qty: 3, pct: 20, label: "Buy 3 · Save 20%", code: "BUNDLE3", badge: "Best value" },
+  ],
+  // UGC/TikTok-like short clips or images
+  ugc: [
+    { type: "img", src: "https://images.unsplash.com/photo-1514525253161-7a46d19cd819?q=80&w=1600&auto=format&fit=crop", alt: "Bedroom before/after glow" },
+    { type: "img", src: "https://images.unsplash.com/photo-1512917774080-9991f1c4c750?q=80&w=1600&auto=format&fit=crop", alt: "Tree wrap demo" },
+    { type: "img", src: "https://images.unsplash.com/photo-1513289931115-39538e9d2f71?q=80&w=1600&auto=format&fit=crop", alt: "Mantel styling" },
+    { type: "img", src: "https://images.unsplash.com/photo-1483721310020-03333e577078?q=80&w=1600&auto=format&fit=crop", alt: "Party string lights" },
+  ],
+  // Shoppable short videos for <SocialProofReels />: {id, src (MP4 or HLS), poster, alt, caption,
+  // creator: {name, handle, platform, url}, variantIds: local variant ids "Shop this look" adds}.
+  // Credit creators and get their permission before reposting.
+  reels: [
+    {
+      id: "reel-tree-wrap",
+      src: "https://cdn.your-domain.example/media/reels/tree-wrap.mp4",
+      poster: "https://images.unsplash.com/photo-1512917774080-9991f1c4c750?q=80&w=1600&auto=format&fit=crop",
+      alt: "A creator wraps a Christmas tree in warm white lights in under a minute",
+      caption: "10-minute tree glow-up ✨",
+      creator: { name: "Kara M.", handle: "@karamakeshome", platform: "TikTok", url: "https://www.tiktok.com/@karamakeshome" },
+      variantIds: ["warm-10m"],
+    },
+    {
+      id: "reel-bedroom",
+      src: "https://cdn.your-domain.example/media/reels/bedroom-canopy.mp4",
+      poster: "https://images.unsplash.com/photo-1514525253161-7a46d19cd819?q=80&w=1600&auto=format&fit=crop",
+      alt: "Warm white lights draped over a bed canopy, switching between twinkle and steady modes",
+      caption: "Cozy canopy for under $30",
+      creator: { name: "Sofia L.", handle: "@sofialivingsmall", platform: "Instagram", url: "https://www.instagram.com/sofialivingsmall" },
+      variantIds: ["warm-10m", "warm-20m"],
+    },
+    {
+      id: "reel-party",
+      src: "https://cdn.your-domain.example/media/reels/party/master.m3u8",
+      poster: "https://images.unsplash.com/photo-1483721310020-03333e577078?q=80&w=1600&auto=format&fit=crop",
+      alt: "Multi-color lights on wave mode strung across a living room at a holiday party",
+      caption: "Party mode: ON 🎉",
+      creator: { name: "Dana K.", handle: "@danahosts", platform: "TikTok", url: "https://www.tiktok.com/@danahosts" },
+      variantIds: ["multicolor-20m"],
+    },
+    {
+      id: "reel-mantel",
+      src: "https://cdn.your-domain.example/media/reels/mantel.mp4",
+      poster: "https://images.unsplash.com/photo-1513289931115-39538e9d2f71?q=80&w=1600&auto=format&fit=crop",
+      alt: "Lights woven through a mantel garland, shown before and after",
+      caption: "Mantel before → after",
+      creator: { name: "Marcus D.", handle: "@marcusdecorates", platform: "Instagram", url: "https://www.instagram.com/marcusdecorates" },
+      variantIds: ["warm-20m", "multicolor-10m"],
+    },
+  ],
+};
+
+// ✅ MERCHANDISING COPY — brand-voice text around the product. Every entry is per-language ({ en, de })
+// or a plain string; {threshold} becomes the market's free-shipping threshold. Overridden by the
+// content document (see CONTENT), so copy edits don't need a code change.
+const COPY = {
+  // One line per EXPERIMENTS.announcement variant
+  announcement: {
+    control: {
+      en: "🎁 Holiday Deal: Save 35% today — Free shipping over {threshold} — Easy returns",
+      de: "🎁 Weihnachtsangebot: Heute 35 % sparen — Kostenloser Versand ab {threshold} — Einfache Rückgabe",
+    },
+    giftFocus: {
+      en: "🎁 The gift that lights up the room — Gift-ready box — Free shipping over {threshold}",
+      de: "🎁 Das Geschenk, das den Raum erhellt — In Geschenkverpackung — Kostenloser Versand ab {threshold}",
+    },
+  },
+  // Badges under the buy box; icon is a TRUST_ICONS key
+  trust: [
+    { icon: "shipping", text: { en: "Free shipping over {threshold}", de: "Kostenloser Versand ab {threshold}" } },
+    { icon: "returns", text: { en: "30‑day returns", de: "30 Tage Rückgaberecht" } },
+    { icon: "secure", text: { en: "Secure checkout", de: "Sichere Bezahlung" } },
+    { icon: "warranty", text: { en: "1‑year warranty", de: "1 Jahr Garantie" } },
+  ],
+  // Spec bullets under "Product details"
+  details: [
+    { en: "Cable: flexible copper wire · USB powered", de: "Kabel: flexibler Kupferdraht · USB-Stromversorgung" },
+    { en: "Modes: 8 modes + memory (steady, twinkle, wave…)", de: "Modi: 8 Modi + Speicherfunktion (Dauerlicht, Funkeln, Welle…)" },
+    { en: "Remote: on/off, timer, brightness, mode", de: "Fernbedienung: Ein/Aus, Timer, Helligkeit, Modus" },
+    { en: "Water resistance: IP44 (indoor/outdoor)", de: "Wasserschutz: IP44 (innen/außen)" },
+    { en: "Safety: low heat emission", de: "Sicherheit: geringe Wärmeentwicklung" },
+  ],
+  faq: [
+    {
+      q: { en: "Will it arrive before Christmas?", de: "Kommt die Lieferung vor Weihnachten an?" },
+      a: {
+        en: "Yes if you order before our shipping cutoff (see timer above). We also offer expedited options at checkout.",
+        de: "Ja, wenn du vor unserem Bestellschluss bestellst (siehe Timer oben). Expressversand kannst du an der Kasse wählen.",
+      },
+    },
+    {
+      q: { en: "Is it safe for indoor trees?", de: "Ist die Lichterkette für Weihnachtsbäume in Innenräumen sicher?" },
+      a: {
+        en: "Yes. Low-heat LEDs and copper wire. Always follow standard safety guidance.",
+        de: "Ja. LEDs mit geringer Wärmeentwicklung und Kupferdraht. Beachte stets die üblichen Sicherheitshinweise.",
+      },
+    },
+    {
+      q: { en: "Can I use it outside?", de: "Kann ich sie draußen verwenden?" },
+      a: {
+        en: "Rated IP44: protected against splashing water. Keep the USB power source covered.",
+        de: "Schutzart IP44: geschützt gegen Spritzwasser. Halte die USB-Stromquelle abgedeckt.",
+      },
+    },
+    {
+      q: { en: "What’s the return policy?", de: "Wie funktioniert die Rückgabe?" },
+      a: { en: "30 days hassle-free. Full details in Returns & Warranty.", de: "30 Tage unkompliziert. Alle Details unter Rückgabe & Garantie." },
+    },
+  ],
+  footer: {
+    tagline: { en: "Cozy lights, happy nights.", de: "Gemütliches Licht, schöne Nächte." },
+    // Link columns between the tagline and the newsletter; "Cookie preferences" joins the last one
+    columns: [
+      {
+        title: { en: "Support", de: "Kundenservice" },
+        links: [
+          { label: { en: "Contact", de: "Kontakt" }, href: "#" },
+          { label: { en: "Shipping & Returns", de: "Versand & Rückgabe" }, href: "#" },
+          { label: { en: "Warranty", de: "Garantie" }, href: "#" },
+        ],
+      },
+      {
+        title: { en: "Company", de: "Unternehmen" },
+        links: [
+          { label: { en: "About", de: "Über uns" }, href: "#" },
+          { label: { en: "Affiliate", de: "Partnerprogramm" }, href: "#" },
+          { label: { en: "Privacy & Terms", de: "Datenschutz & AGB" }, href: "#" },
+        ],
+      },
+    ],
+  },
+};
+
+// SVG paths for COPY.trust icons
+const TRUST_ICONS = {
+  shipping: "M3 12h18M3 12l4-4m-4 4l4 4",
+  returns: "M4 7h16v10H4z M8 7V5h8v2",
+  secure: "M6 10h12v8H6z M9 10V8a3 3 0 016 0v2",
+  warranty: "M12 2l7 4v6c0 5-3.5 8-7 10-3.5-2-7-5-7-10V6l7-4z",
+  gift: "M4 11h16v9H4z M3 7h18v4H3z M12 7v13 M12 7c-2-4-6-3-5 0 M12 7c2-4 6-3 5 0",
+};
+
+// Buy box wishlist toggle
+const HEART_ICON = "M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12Z";
+
+// ✅ GALLERY CONFIG
+const GALLERY = {
+  hoverZoom: 2.5, // main image magnification under the pointer (mouse/trackpad only)
+  maxPinchZoom: 4, // lightbox
+  swipeThreshold: 50, // px of horizontal travel that counts as a swipe
+  hlsJsUrl: "https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js", // loaded only where HLS doesn't play natively
+};
+
+// ✅ SHIPPING CALENDAR — drives the delivery estimate and the holiday countdown in <Urgency />
+const SHIPPING = {
+  holiday: { name: { en: "Christmas", de: "Weihnachten" }, date: "2025-12-25" }, // update as season progresses
+  timeZone: "America/Los_Angeles", // warehouse clock: the daily cutoff and business days use this zone
+  dailyCutoffHour: 14, // orders placed after 2pm ship the next business day
+  // Days the warehouse doesn't ship and carriers don't deliver, on top of weekends
+  closedDates: ["2025-11-27", "2025-12-25", "2026-01-01"],
+  // In order of preference: the banner promotes the first method that still makes the holiday
+  // Labels may be plain strings or per-language ({ en, de, … }), like the holiday name
+  methods: [
+    { id: "standard", label: { en: "Standard shipping", de: "Standardversand" } },
+    { id: "expedited", label: { en: "Expedited shipping", de: "Expressversand" } },
+    { id: "overnight", label: { en: "Overnight shipping", de: "Zustellung am nächsten Tag" } },
+  ],
+  defaultRegion: "us-west",
+  // transitDays: business days in transit [min, max] per method (omit a method to not offer it).
+  // cutoffs: optional last order time per method, e.g. a carrier's published holiday deadline;
+  // it can only make the cutoff computed from transit days and the calendar earlier.
+  regions: [
+    { id: "us-west", label: { en: "US West", de: "USA West" }, transitDays: { standard: [2, 4], expedited: [1, 2], overnight: [1, 1] } },
+    { id: "us-east", label: { en: "US East", de: "USA Ost" }, transitDays: { standard: [4, 6], expedited: [2, 3], overnight: [1, 1] } },
+    {
+      id: "us-noncontiguous",
+      label: { en: "Alaska & Hawaii", de: "Alaska & Hawaii" },
+      transitDays: { standard: [6, 9], expedited: [3, 4] },
+      cutoffs: { standard: "2025-12-10T12:00:00-08:00" },
+    },
+    { id: "ca", label: { en: "Canada", de: "Kanada" }, transitDays: { standard: [5, 8], expedited: [2, 4] } },
+    { id: "uk", label: { en: "United Kingdom", de: "Vereinigtes Königreich" }, transitDays: { standard: [6, 10], expedited: [3, 5] } },
+    { id: "eu", label: { en: "European Union", de: "Europäische Union" }, transitDays: { standard: [7, 12], expedited: [3, 5] } },
+  ],
+};
+
+// ✅ MARKETS — countries we sell into, first one is the default.
+// Prices and product copy come from Shopify Markets via @inContext(country, language): enable each
+// country in Admin > Settings > Markets. `language` is a Storefront LanguageCode and picks the
+// MESSAGES catalog (English when there's none). freeShippingThreshold is in the market's currency.
+const MARKETS = [
+  { country: "US", language: "EN", locale: "en-US", currency: "USD", label: "United States (USD $)", shipRegion: "us-west", freeShippingThreshold: 35 },
+  { country: "CA", language: "EN", locale: "en-CA", currency: "CAD", label: "Canada (CAD $)", shipRegion: "ca", freeShippingThreshold: 49 },
+  { country: "GB", language: "EN", locale: "en-GB", currency: "GBP", label: "United Kingdom (GBP £)", shipRegion: "uk", freeShippingThreshold: 30 },
+  { country: "IE", language: "EN", locale: "en-IE", currency: "EUR", label: "Ireland (EUR €)", shipRegion: "eu", freeShippingThreshold: 35 },
+  { country: "DE", language: "DE", locale: "de-DE", currency: "EUR", label: "Deutschland (EUR €)", shipRegion: "eu", freeShippingThreshold: 35 },
+];
+
+// UI copy per language. {name} placeholders are filled by t(key, vars); a key missing from a
+// catalog falls back to English. Product copy (title, description) is translated in Shopify.
+const MESSAGES = {
+  en: {
+    "nav.details": "Details",
+    "nav.gallery": "Gallery",
+    "nav.faq": "FAQ",
+    "header.trackOrder": "Track Order",
+    "header.cart": "Cart",
+    "header.market": "Country/region",
+    "media.label": "Product media",
+    "media.view": "Product view",
+    "media.thumb": "View image {n}",
+    "media.thumbAlt": "Thumbnail",
+    "media.prev": "Previous",
+    "media.next": "Next",
+    "media.open": "Open fullscreen",
+    "media.close": "Close",
+    "media.position": "{n} of {count}",
+    "media.video": "Video",
+    "media.zoomHint": "Pinch or double-tap to zoom",
+    "rating.stars": "{rating} out of 5 stars",
+    "rating.reviews": "{count} reviews",
+    "price.save": "Save {pct}%",
+    "price.bnpl": "or {n} interest-free payments of {amount}",
+    "price.saveAmount": "Save {amount}",
+    "buy.label": "Purchase options",
+    "variant.unavailable": "{value} (unavailable)",
+    "stock.soldOut": "Sold out",
+    "stock.low": "Low stock — only {count} left",
+    "stock.shipsBy": "ships by {date}",
+    "stock.shipsWhenRestocked": "ships as soon as restocked",
+    "stock.preorder": "Pre-order — {when}",
+    "stock.backorder": "Backordered — {when}",
+    "stock.partialBackorder": "{now} ship now, {later} backordered — {when}",
+    "atc.loading": "Loading…",
+    "atc.soldOut": "Sold out",
+    "atc.max": "Max quantity in cart",
+    "atc.add": "Add to Cart • {price}",
+    "atc.getYours": "Get yours • {price}",
+    "atc.preorder": "Pre-order • {price}",
+    "qty.label": "Quantity",
+    "qty.decrease": "Decrease quantity",
+    "qty.increase": "Increase quantity",
+    "bundle.title": "Bundle & save",
+    "bundle.offers": "Bundle offers",
+    "bundle.each": "{price} each",
+    "bundle.savePerUnit": "Save {amount} per unit",
+    "urgency.orderIn": "Order in the next {countdown} for delivery by {holiday}*.",
+    "urgency.afterHoliday": "Arrives after {holiday} — estimated {range}.",
+    "urgency.orderToday": "Order today — arrives {range}.",
+    "urgency.footnote": "*{method}, estimated {range}. Cutoff {cutoff}.",
+    "urgency.estimate": "{method} estimate.",
+    "urgency.shipTo": "Shipping to",
+    "duration.days": "d",
+    "details.title": "Product details",
+    "ugc.title": "In real spaces (UGC)",
+    "reels.title": "Shop the look",
+    "reels.subtitle": "Short videos from real customers",
+    "reels.label": "Customer videos",
+    "reels.prev": "Previous videos",
+    "reels.next": "More videos",
+    "reels.play": "Play video",
+    "reels.pause": "Pause video",
+    "reels.mute": "Mute",
+    "reels.unmute": "Unmute",
+    "reels.by": "Video by {name}",
+    "reels.shop": "Shop this look",
+    "reels.add": "{variant} · {price}",
+    "reels.soldOut": "{variant} · Sold out",
+    "reviews.title": "Customer reviews",
+    "reviews.basedOn": "Based on {count} reviews",
+    "reviews.starsLabel": "{stars} stars",
+    "reviews.filterRating": "Filter by rating",
+    "reviews.allRatings": "All ratings",
+    "reviews.starsOption": "{stars} stars only",
+    "reviews.filterVariant": "Filter by variant",
+    "reviews.allVariants": "All variants",
+    "reviews.withPhotos": "With photos",
+    "reviews.clearFilters": "Clear filters",
+    "reviews.none": "No reviews match these filters.",
+    "reviews.empty": "No reviews yet — be the first!",
+    "reviews.loading": "Loading reviews…",
+    "reviews.error": "Reviews couldn't be loaded right now.",
+    "reviews.verified": "Verified buyer",
+    "reviews.photoAlt": "Photo from {author}",
+    "reviews.pagination": "Review pages",
+    "reviews.prev": "Previous",
+    "reviews.next": "Next",
+    "reviews.page": "Page {page} of {pages}",
+    "reviews.write": "Write a review",
+    "reviews.form.rating": "Your rating",
+    "reviews.form.name": "Name",
+    "reviews.form.email": "Email (not published)",
+    "reviews.form.variant": "Which one did you buy?",
+    "reviews.form.title": "Title",
+    "reviews.form.body": "Review",
+    "reviews.form.submit": "Submit review",
+    "reviews.form.submitting": "Submitting…",
+    "reviews.form.cancel": "Cancel",
+    "reviews.form.done": "Close",
+    "reviews.form.thanks": "Thanks! Your review will appear once it's approved.",
+    "reviews.form.notStored": "Thanks for writing! This shop can't collect reviews online yet, so yours wasn't saved.",
+    "reviews.form.failed": "Your review couldn't be sent — {message}",
+    "reviews.invalid.rating": "Choose a star rating.",
+    "reviews.invalid.name": "Enter your name.",
+    "reviews.invalid.email": "Enter a valid email address.",
+    "reviews.invalid.title": "Add a title (up to {max} characters).",
+    "reviews.invalid.body": "Write between {min} and {max} characters.",
+    "track.title": "Track your order",
+    "track.intro": "Enter the order number from your confirmation email and the email address you ordered with.",
+    "track.orderNumber": "Order number",
+    "track.email": "Email",
+    "track.submit": "Track order",
+    "track.loading": "Looking up your order…",
+    "track.notFound": "We couldn't find an order with that number and email. Check both and try again.",
+    "track.error": "Tracking is unavailable right now. Please try again in a few minutes.",
+    "track.invalid.orderNumber": "Enter your order number, e.g. #1001.",
+    "track.invalid.email": "Enter a valid email address.",
+    "track.order": "Order #{number}",
+    "track.placed": "Placed {date}",
+    "track.package": "Package {n} of {count}",
+    "track.preparing": "We're preparing your order. You'll get a tracking link by email once it ships.",
+    "track.eta": "Estimated delivery: {date}",
+    "track.deliveredOn": "Delivered {date}",
+    "track.trackWith": "Track with {carrier}",
+    "track.trackingNumber": "Tracking number {number}",
+    "track.stage.ordered": "Ordered",
+    "track.stage.shipped": "Shipped",
+    "track.stage.out_for_delivery": "Out for delivery",
+    "track.stage.delivered": "Delivered",
+    "track.another": "Track another order",
+    "track.close": "Close",
+    "faq.title": "FAQ",
+    "footer.newsletter": "Newsletter",
+    "footer.email": "Your email",
+    "footer.join": "Join",
+    "footer.cookies": "Cookie preferences",
+    "newsletter.consent": "Yes, email me offers and news. Unsubscribe anytime.",
+    "newsletter.privacy": "Privacy policy",
+    "newsletter.invalid.email": "Enter a valid email address.",
+    "newsletter.invalid.consent": "Tick the box to get our emails.",
+    "newsletter.joining": "Joining…",
+    "newsletter.subscribed": "You're on the list! 🎉",
+    "newsletter.pending": "Almost done — check your inbox and confirm your email.",
+    "newsletter.pendingReward": "Your code for {offer} comes with the welcome email.",
+    "newsletter.already": "You're already subscribed — thanks for being here!",
+    "newsletter.error": "We couldn't sign you up right now. Please try again.",
+    "newsletter.reward": "Here's {offer}:",
+    "newsletter.copy": "Copy",
+    "newsletter.copied": "Copied",
+    "consent.title": "We value your privacy",
+    "consent.body": "We use cookies and similar storage to run the shop, measure visits (analytics) and show relevant ads (marketing). Only necessary storage is on until you choose; you can change your mind any time under Cookie preferences.",
+    "consent.policy": "Privacy policy",
+    "consent.acceptAll": "Accept all",
+    "consent.rejectAll": "Necessary only",
+    "consent.customize": "Preferences",
+    "consent.prefsTitle": "Cookie preferences",
+    "consent.close": "Close",
+    "consent.save": "Save choices",
+    "consent.necessary": "Necessary",
+    "consent.necessaryDesc": "Cart, checkout and your country choice. Always on.",
+    "consent.analytics": "Analytics",
+    "consent.analyticsDesc": "Google Analytics: how visitors use the shop.",
+    "consent.marketing": "Marketing",
+    "consent.marketingDesc": "TikTok and Meta pixels: measure and personalize ads.",
+    "consent.gpc": "Your browser sends a Global Privacy Control signal, so marketing stays off.",
+    "cart.title": "Your Cart",
+    "cart.close": "Close",
+    "cart.empty": "Your cart is empty.",
+    "cart.itemAlt": "Cart item",
+    "cart.bundle": "Bundle · {pct}% off",
+    "cart.decrease": "Decrease",
+    "cart.increase": "Increase",
+    "cart.remove": "Remove",
+    "cart.bundleSavings": "Bundle savings",
+    "cart.subtotal": "Subtotal",
+    "cart.discount": "Discount",
+    "cart.subtotalAfterDiscount": "Subtotal after discount",
+    "cart.freeShipping": "You qualify for free shipping!",
+    "cart.freeShippingGap": "Add {amount} for free shipping.",
+    "cart.checkout": "Checkout",
+    "cart.freeShippingProgress": "Progress towards free shipping",
+    "cart.checkingOut": "Securing your cart…",
+    "cart.error.generic": "Checkout error — {message}",
+    "cart.error.network": "We couldn't reach the store. Check your connection and try again.",
+    "cart.error.auth": "Checkout is unavailable right now. Please try again later.",
+    "cart.error.rateLimited": "The store is busy right now. Please try again in a moment.",
+    "cart.error.invalidMerchandise": "Some items can't be ordered as they are — {message}. Adjust your cart and try again.",
+    "cart.error.expired": "Your cart session expired. Try again to start a fresh one.",
+    "cart.error.retry": "Try again",
+    "cart.error.dismiss": "Dismiss",
+    "gift.title": "Is it a gift?",
+    "gift.wrap": "Add gift wrap (+{price})",
+    "gift.message": "Gift message (printed on a card)",
+    "gift.messagePlaceholder": "Happy holidays! ✨",
+    "gift.messageCount": "{count}/{max}",
+    "gift.hidePrices": "Hide prices on the packing slip",
+    "upsell.title": "Complete your glow",
+    "upsell.adds": "+{amount}",
+    "upsell.unlocksFreeShipping": "Unlocks free shipping",
+    "upsell.add": "Add",
+    "upsell.addAria": "Add {name} to cart",
+    "wishlist.add": "Save {name} to your wishlist",
+    "wishlist.remove": "Remove {name} from your wishlist",
+    "wishlist.title": "Saved for later ({count})",
+    "wishlist.saveForLater": "Save for later",
+    "wishlist.moveToCart": "Move to cart",
+    "wishlist.removeItem": "Remove",
+    "wishlist.soldOut": "Sold out",
+    "wishlist.share": "Share list",
+    "wishlist.copied": "Link copied",
+    "wishlist.shareTitle": "My {brand} wishlist",
+    "backInStock.title": "Sold out right now",
+    "backInStock.notify": "Notify me when back",
+    "backInStock.notifyAria": "Notify me when {variant} is back in stock",
+    "backInStock.email": "Email for {variant}",
+    "backInStock.submit": "Notify me",
+    "backInStock.sending": "Sending…",
+    "backInStock.subscribed": "Done — we'll email you once when {variant} is back.",
+    "backInStock.already": "You're already on the list for {variant}.",
+    "backInStock.invalid": "Enter a valid email address.",
+    "backInStock.error": "We couldn't save your request right now. Please try again.",
+    "backInStock.note": "One email when it's restocked. No newsletter.",
+    "discount.placeholder": "Discount code",
+    "discount.apply": "Apply",
+    "discount.applying": "Applying…",
+    "discount.checking": "Checking…",
+    "discount.applied": "Applied",
+    "discount.remove": "Remove",
+    "discount.removeCode": "Remove code {code}",
+    "discount.notApplicable": "Not applicable to this cart",
+    "discount.unknown": "Code not recognized",
+    "discount.expired": "This code has expired",
+    "discount.minSubtotal": "Spend {amount} to use this code",
+  },
+  de: {
+    "nav.details": "Details",
+    "nav.gallery": "Galerie",
+    "nav.faq": "FAQ",
+    "header.trackOrder": "Bestellung verfolgen",
+    "header.cart": "Warenkorb",
+    "header.market": "Land/Region",
+    "media.label": "Produktbilder",
+    "media.view": "Produktansicht",
+    "media.thumb": "Bild {n} anzeigen",
+    "media.thumbAlt": "Vorschaubild",
+    "media.prev": "Zurück",
+    "media.next": "Weiter",
+    "media.open": "Vollbild öffnen",
+    "media.close": "Schließen",
+    "media.position": "{n} von {count}",
+    "media.video": "Video",
+    "media.zoomHint": "Zum Zoomen mit zwei Fingern ziehen oder doppelt tippen",
+    "rating.stars": "{rating} von 5 Sternen",
+    "rating.reviews": "{count} Bewertungen",
+    "price.save": "Spare {pct} %",
+    "price.bnpl": "oder {n} zinsfreie Raten à {amount}",
+    "price.saveAmount": "Spare {amount}",
+    "buy.label": "Kaufoptionen",
+    "variant.unavailable": "{value} (nicht verfügbar)",
+    "stock.soldOut": "Ausverkauft",
+    "stock.low": "Nur noch {count} auf Lager",
+    "stock.shipsBy": "Versand bis {date}",
+    "stock.shipsWhenRestocked": "Versand, sobald wieder auf Lager",
+    "stock.preorder": "Vorbestellung — {when}",
+    "stock.backorder": "Nachbestellt — {when}",
+    "stock.partialBackorder": "{now} sofort lieferbar, {later} nachbestellt — {when}",
+    "atc.loading": "Wird geladen…",
+    "atc.soldOut": "Ausverkauft",
+    "atc.max": "Höchstmenge im Warenkorb",
+    "atc.add": "In den Warenkorb • {price}",
+    "atc.getYours": "Jetzt sichern • {price}",
+    "atc.preorder": "Vorbestellen • {price}",
+    "qty.label": "Menge",
+    "qty.decrease": "Menge verringern",
+    "qty.increase": "Menge erhöhen",
+    "bundle.title": "Im Set sparen",
+    "bundle.offers": "Set-Angebote",
+    "bundle.each": "{price} pro Stück",
+    "bundle.savePerUnit": "Spare {amount} pro Stück",
+    "urgency.orderIn": "Bestelle innerhalb von {countdown} für Lieferung bis {holiday}*.",
+    "urgency.afterHoliday": "Lieferung nach {holiday} — voraussichtlich {range}.",
+    "urgency.orderToday": "Heute bestellen — Lieferung {range}.",
+    "urgency.footnote": "*{method}, voraussichtlich {range}. Bestellschluss {cutoff}.",
+    "urgency.estimate": "Schätzung für {method}.",
+    "urgency.shipTo": "Versand nach",
+    "duration.days": "T",
+    "details.title": "Produktdetails",
+    "ugc.title": "In echten Räumen (UGC)",
+    "reels.title": "Shop the Look",
+    "reels.subtitle": "Kurze Videos von echten Kund:innen",
+    "reels.label": "Kundenvideos",
+    "reels.prev": "Vorherige Videos",
+    "reels.next": "Weitere Videos",
+    "reels.play": "Video abspielen",
+    "reels.pause": "Video pausieren",
+    "reels.mute": "Ton aus",
+    "reels.unmute": "Ton an",
+    "reels.by": "Video von {name}",
+    "reels.shop": "Shop this Look",
+    "reels.add": "{variant} · {price}",
+    "reels.soldOut": "{variant} · Ausverkauft",
+    "reviews.title": "Kundenbewertungen",
+    "reviews.basedOn": "Basierend auf {count} Bewertungen",
+    "reviews.starsLabel": "{stars} Sterne",
+    "reviews.filterRating": "Nach Bewertung filtern",
+    "reviews.allRatings": "Alle Bewertungen",
+    "reviews.starsOption": "Nur {stars} Sterne",
+    "reviews.filterVariant": "Nach Variante filtern",
+    "reviews.allVariants": "Alle Varianten",
+    "reviews.withPhotos": "Mit Fotos",
+    "reviews.clearFilters": "Filter zurücksetzen",
+    "reviews.none": "Keine Bewertungen für diese Filter.",
+    "reviews.empty": "Noch keine Bewertungen — schreib die erste!",
+    "reviews.loading": "Bewertungen werden geladen…",
+    "reviews.error": "Bewertungen konnten gerade nicht geladen werden.",
+    "reviews.verified": "Verifizierter Kauf",
+    "reviews.photoAlt": "Foto von {author}",
+    "reviews.pagination": "Bewertungsseiten",
+    "reviews.prev": "Zurück",
+    "reviews.next": "Weiter",
+    "reviews.page": "Seite {page} von {pages}",
+    "reviews.write": "Bewertung schreiben",
+    "reviews.form.rating": "Deine Bewertung",
+    "reviews.form.name": "Name",
+    "reviews.form.email": "E-Mail (wird nicht veröffentlicht)",
+    "reviews.form.variant": "Welche Variante hast du gekauft?",
+    "reviews.form.title": "Titel",
+    "reviews.form.body": "Bewertung",
+    "reviews.form.submit": "Bewertung senden",
+    "reviews.form.submitting": "Wird gesendet…",
+    "reviews.form.cancel": "Abbrechen",
+    "reviews.form.done": "Schließen",
+    "reviews.form.thanks": "Danke! Deine Bewertung erscheint nach der Freigabe.",
+    "reviews.form.notStored": "Danke fürs Schreiben! Dieser Shop kann noch keine Bewertungen online annehmen, deine wurde daher nicht gespeichert.",
+    "reviews.form.failed": "Deine Bewertung konnte nicht gesendet werden — {message}",
+    "reviews.invalid.rating": "Wähle eine Sternebewertung.",
+    "reviews.invalid.name": "Gib deinen Namen ein.",
+    "reviews.invalid.email": "Gib eine gültige E-Mail-Adresse ein.",
+    "reviews.invalid.title": "Gib einen Titel ein (bis zu {max} Zeichen).",
+    "reviews.invalid.body": "Schreib zwischen {min} und {max} Zeichen.",
+    "track.title": "Bestellung verfolgen",
+    "track.intro": "Gib die Bestellnummer aus deiner Bestätigungs-E-Mail und die E-Mail-Adresse deiner Bestellung ein.",
+    "track.orderNumber": "Bestellnummer",
+    "track.email": "E-Mail",
+    "track.submit": "Bestellung verfolgen",
+    "track.loading": "Bestellung wird gesucht…",
+    "track.notFound": "Wir haben keine Bestellung mit dieser Nummer und E-Mail gefunden. Prüfe beides und versuch es noch einmal.",
+    "track.error": "Die Sendungsverfolgung ist gerade nicht verfügbar. Bitte versuch es in ein paar Minuten noch einmal.",
+    "track.invalid.orderNumber": "Gib deine Bestellnummer ein, z. B. #1001.",
+    "track.invalid.email": "Gib eine gültige E-Mail-Adresse ein.",
+    "track.order": "Bestellung #{number}",
+    "track.placed": "Bestellt am {date}",
+    "track.package": "Paket {n} von {count}",
+    "track.preparing": "Wir bereiten deine Bestellung vor. Sobald sie versendet ist, bekommst du den Tracking-Link per E-Mail.",
+    "track.eta": "Voraussichtliche Zustellung: {date}",
+    "track.deliveredOn": "Zugestellt am {date}",
+    "track.trackWith": "Bei {carrier} verfolgen",
+    "track.trackingNumber": "Sendungsnummer {number}",
+    "track.stage.ordered": "Bestellt",
+    "track.stage.shipped": "Versendet",
+    "track.stage.out_for_delivery": "In Zustellung",
+    "track.stage.delivered": "Zugestellt",
+    "track.another": "Andere Bestellung verfolgen",
+    "track.close": "Schließen",
+    "faq.title": "Häufige Fragen",
+    "footer.newsletter": "Newsletter",
+    "footer.email": "Deine E-Mail",
+    "footer.join": "Anmelden",
+    "footer.cookies": "Cookie-Einstellungen",
+    "newsletter.consent": "Ja, schickt mir Angebote und Neuigkeiten per E-Mail. Abmeldung jederzeit möglich.",
+    "newsletter.privacy": "Datenschutzerklärung",
+    "newsletter.invalid.email": "Gib eine gültige E-Mail-Adresse ein.",
+    "newsletter.invalid.consent": "Setz den Haken, um unsere E-Mails zu bekommen.",
+    "newsletter.joining": "Wird angemeldet…",
+    "newsletter.subscribed": "Du bist dabei! 🎉",
+    "newsletter.pending": "Fast geschafft — bitte bestätige deine E-Mail-Adresse über den Link in deinem Postfach.",
+    "newsletter.pendingReward": "Deinen Code für {offer} bekommst du mit der Willkommens-E-Mail.",
+    "newsletter.already": "Du bist schon angemeldet — schön, dass du da bist!",
+    "newsletter.error": "Die Anmeldung hat gerade nicht geklappt. Bitte versuch es noch einmal.",
+    "newsletter.reward": "Hier ist dein Code für {offer}:",
+    "newsletter.copy": "Kopieren",
+    "newsletter.copied": "Kopiert",
+    "consent.title": "Wir respektieren deine Privatsphäre",
+    "consent.body": "Wir nutzen Cookies und ähnliche Speicher, um den Shop zu betreiben, Besuche zu messen (Statistik) und relevante Werbung zu zeigen (Marketing). Bis du wählst, ist nur Notwendiges aktiv; du kannst deine Wahl jederzeit unter Cookie-Einstellungen ändern.",
+    "consent.policy": "Datenschutzerklärung",
+    "consent.acceptAll": "Alle akzeptieren",
+    "consent.rejectAll": "Nur notwendige",
+    "consent.customize": "Einstellungen",
+    "consent.prefsTitle": "Cookie-Einstellungen",
+    "consent.close": "Schließen",
+    "consent.save": "Auswahl speichern",
+    "consent.necessary": "Notwendig",
+    "consent.necessaryDesc": "Warenkorb, Checkout und deine Länderauswahl. Immer aktiv.",
+    "consent.analytics": "Statistik",
+    "consent.analyticsDesc": "Google Analytics: wie Besucher den Shop nutzen.",
+    "consent.marketing": "Marketing",
+    "consent.marketingDesc": "TikTok- und Meta-Pixel: Werbung messen und personalisieren.",
+    "consent.gpc": "Dein Browser sendet ein Global-Privacy-Control-Signal, daher bleibt Marketing deaktiviert.",
+    "cart.title": "Dein Warenkorb",
+    "cart.close": "Schließen",
+    "cart.empty": "Dein Warenkorb ist leer.",
+    "cart.itemAlt": "Artikel im Warenkorb",
+    "cart.bundle": "Set · {pct} % Rabatt",
+    "cart.decrease": "Weniger",
+    "cart.increase": "Mehr",
+    "cart.remove": "Entfernen",
+    "cart.bundleSavings": "Set-Ersparnis",
+    "cart.subtotal": "Zwischensumme",
+    "cart.discount": "Rabatt",
+    "cart.subtotalAfterDiscount": "Zwischensumme nach Rabatt",
+    "cart.freeShipping": "Du erhältst kostenlosen Versand!",
+    "cart.freeShippingGap": "Noch {amount} bis zum kostenlosen Versand.",
+    "cart.checkout": "Zur Kasse",
+    "cart.freeShippingProgress": "Fortschritt bis zum kostenlosen Versand",
+    "cart.checkingOut": "Warenkorb wird gesichert…",
+    "cart.error.generic": "Fehler beim Checkout — {message}",
+    "cart.error.network": "Der Shop ist gerade nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.",
+    "cart.error.auth": "Der Checkout ist gerade nicht verfügbar. Bitte versuche es später erneut.",
+    "cart.error.rateLimited": "Der Shop ist gerade ausgelastet. Bitte versuche es gleich noch einmal.",
+    "cart.error.invalidMerchandise": "Einige Artikel können so nicht bestellt werden — {message}. Passe deinen Warenkorb an und versuche es erneut.",
+    "cart.error.expired": "Deine Warenkorb-Sitzung ist abgelaufen. Versuche es erneut, um eine neue zu starten.",
+    "cart.error.retry": "Erneut versuchen",
+    "cart.error.dismiss": "Schließen",
+    "gift.title": "Ist es ein Geschenk?",
+    "gift.wrap": "Geschenkverpackung hinzufügen (+{price})",
+    "gift.message": "Grußbotschaft (auf einer Karte gedruckt)",
+    "gift.messagePlaceholder": "Frohe Feiertage! ✨",
+    "gift.messageCount": "{count}/{max}",
+    "gift.hidePrices": "Preise auf dem Lieferschein ausblenden",
+    "upsell.title": "Perfekt dazu",
+    "upsell.adds": "+{amount}",
+    "upsell.unlocksFreeShipping": "Sichert dir kostenlosen Versand",
+    "upsell.add": "Hinzufügen",
+    "upsell.addAria": "{name} in den Warenkorb legen",
+    "wishlist.add": "{name} auf die Wunschliste setzen",
+    "wishlist.remove": "{name} von der Wunschliste entfernen",
+    "wishlist.title": "Für später gemerkt ({count})",
+    "wishlist.saveForLater": "Für später merken",
+    "wishlist.moveToCart": "In den Warenkorb",
+    "wishlist.removeItem": "Entfernen",
+    "wishlist.soldOut": "Ausverkauft",
+    "wishlist.share": "Liste teilen",
+    "wishlist.copied": "Link kopiert",
+    "wishlist.shareTitle": "Meine {brand}-Wunschliste",
+    "backInStock.title": "Gerade ausverkauft",
+    "backInStock.notify": "Benachrichtigen, wenn wieder da",
+    "backInStock.notifyAria": "Benachrichtige mich, wenn {variant} wieder verfügbar ist",
+    "backInStock.email": "E-Mail für {variant}",
+    "backInStock.submit": "Benachrichtigen",
+    "backInStock.sending": "Wird gesendet…",
+    "backInStock.subscribed": "Erledigt — wir schreiben dir einmal, sobald {variant} wieder da ist.",
+    "backInStock.already": "Du stehst für {variant} schon auf der Liste.",
+    "backInStock.invalid": "Gib eine gültige E-Mail-Adresse ein.",
+    "backInStock.error": "Deine Anfrage konnte gerade nicht gespeichert werden. Bitte versuch es noch einmal.",
+    "backInStock.note": "Eine E-Mail, sobald es wieder da ist. Kein Newsletter.",
+    "discount.placeholder": "Rabattcode",
+    "discount.apply": "Einlösen",
+    "discount.applying": "Wird eingelöst…",
+    "discount.checking": "Wird geprüft…",
+    "discount.applied": "Eingelöst",
+    "discount.remove": "Entfernen",
+    "discount.removeCode": "Code {code} entfernen",
+    "discount.notApplicable": "Für diesen Warenkorb nicht gültig",
+    "discount.unknown": "Code unbekannt",
+    "discount.expired": "Dieser Code ist abgelaufen",
+    "discount.minSubtotal": "Ab {amount} Bestellwert einlösbar",
+  },
+};
+
+// Local discount rules — used when no Shopify store is configured (previews, tests).
+// type: "percent" (value = % off) | "fixed" (value = amount off) | "free_shipping"
+// Optional: minSubtotal, expiresISO. With a live store, codes are evaluated by Shopify instead.
+const DISCOUNT_RULES = [
+  { code: "GLOW10", type: "percent", value: 10 },
+  { code: "SAVE5", type: "fixed", value: 5, minSubtotal: 30 },
+  { code: "SHIPFREE", type: "free_shipping" },
+  { code: "WELCOME10", type: "percent", value: 10 }, // NEWSLETTER.reward
+  { code: "HOLIDAY20", type: "percent", value: 20, minSubtotal: 50, expiresISO: "2025-12-26T00:00:00-08:00" },
+];
+
+// ✅ UPSELL CONFIG — the "Complete your glow" rail in the cart drawer. While the cart is short of free
+// shipping, the cheapest suggestion that closes the gap comes first.
+// source "rules": `rules`, in order; "shopify": Storefront productRecommendations for the live product
+// (Shopify checkout only; the rules stand in until it loads or when it fails).
+const UPSELLS = {
+  source: "rules",
+  intent: "COMPLEMENTARY", // productRecommendations intent: "RELATED" | "COMPLEMENTARY"
+  max: 3, // suggestions shown at once
+  // Products sold only as add-ons, in the PRODUCT_DATA shape (one variant each is enough). With a store
+  // configured they're loaded by `handle`, priced for the shopper's market. Images are placeholders.
+  addOns: [
+    {
+      id: "smart-timer-plug",
+      handle: "smart-timer-plug",
+      title: "Smart Timer Plug — Lights On at Dusk",
+      description: "Plug-in timer with dusk sensor for USB adapters and mains plugs.",
+      media: [{ type: "image", src: "https://images.unsplash.com/photo-1558002038-1055907df827?q=80&w=600&auto=format&fit=crop", alt: "White smart timer plug in a wall socket" }],
+      currency: "USD",
+      maxPerOrder: 5,
+      options: [],
+      variants: [
+        { id: "timer-plug", ids: { shopify: "gid://shopify/ProductVariant/1234567900", woocommerce: 4021, stripe: "price_TimerPlug" }, name: "Smart Timer Plug", options: {}, price: 9.99, stock: 340 },
+      ],
+    },
+    {
+      id: "remote-batteries",
+      handle: "remote-batteries",
+      title: "Spare Remote Batteries (CR2025, 4-pack)",
+      description: "Coin cells for the AuroraGlow remote.",
+      media: [{ type: "image", src: "https://images.unsplash.com/photo-1619641805634-98e5c5bed8b6?q=80&w=600&auto=format&fit=crop", alt: "Four CR2025 coin cell batteries" }],
+      currency: "USD",
+      maxPerOrder: 5,
+      options: [],
+      variants: [
+        { id: "batteries-4", ids: { shopify: "gid://shopify/ProductVariant/1234567901", woocommerce: 4022, stripe: "price_Batteries4" }, name: "4-pack", options: {}, price: 4.99, stock: 800 },
+      ],
+    },
+  ],
+  // {variantId}: a variant of this product; {addOn}: an add-on's first available variant.
+  // Optional ifInCart: only while one of these local variant ids is in the cart.
+  rules: [
+    { variantId: "warm-10m", ifInCart: ["warm-10m", "warm-20m"] },
+    { variantId: "multicolor-10m", ifInCart: ["multicolor-10m", "multicolor-20m"] },
+    { addOn: "smart-timer-plug" },
+    { addOn: "remote-batteries" },
+  ],
+};
+
+// ✅ GIFT OPTIONS CONFIG — the cart drawer's gift section. The message and the packing-slip choice go to
+// the order as cart attributes (Shopify: order "Additional details"; WooCommerce: the `attributesNamespace`
+// cart extension; Stripe: session metadata) and ride on the gift wrap line, so they print next to it.
+// Add `attributes.hidePrices` to your packing slip template's condition for showing prices.
+const GIFT = {
+  enabled: true,
+  messageMaxLength: 200,
+  // Attribute keys, as fulfillment sees them
+  attributes: { message: "Gift message", hidePrices: "Hide prices on packing slip" },
+  attributesNamespace: "gift-options", // register with woocommerce_store_api_register_update_callback
+  // Paid wrap, an add-on product like UPSELLS.addOns (loaded by handle with a store); one per order
+  wrap: {
+    id: "gift-wrap",
+    handle: "gift-wrap",
+    title: "Holiday Gift Wrap",
+    description: "Recycled kraft wrap with ribbon and a handwritten-style card.",
+    media: [{ type: "image", src: "https://images.unsplash.com/photo-1513885535751-8b9238bd345a?q=80&w=600&auto=format&fit=crop", alt: "Gift box wrapped in kraft paper with a red ribbon" }],
+    currency: "USD",
+    maxPerOrder: 1,
+    options: [],
+    variants: [
+      { id: "gift-wrap", ids: { shopify: "gid://shopify/ProductVariant/1234567902", woocommerce: 4023, stripe: "price_GiftWrap" }, name: "Gift wrap", options: {}, price: 3.99, stock: null },
+    ],
+  },
+};
+const NO_GIFT = { message: "", hidePrices: false }; // the shopper's gift choices before any
+
+// ✅ ANALYTICS CONFIG — leave an ID empty to skip that destination.
+// Every event carries an eventId that is also passed to the pixels; send the same ID from your server
+// (TikTok Events API, Meta Conversions API, GA4 Measurement Protocol) and the platforms deduplicate.
+const ANALYTICS = {
+  debug: false, // log events to the console instead of loading pixels (also on with ?analytics_debug=1)
+  tiktok: { pixelId: "" }, // "YOUR_TIKTOK_PIXEL_ID"
+  meta: { pixelId: "" }, // "YOUR_META_PIXEL_ID"
+  ga4: { measurementId: "" }, // "G-XXXXXXXXXX"
+};
+
+// ✅ CONSENT CONFIG — analytics/marketing pixels and storage stay off until the shopper opts in.
+// Bump `version` when vendors or categories change: stored choices from older versions are asked again.
+const CONSENT = {
+  version: 1,
+  policyUrl: "#", // your privacy policy
+  categories: ["necessary", "analytics", "marketing"], // necessary is always on
+  // Every localStorage write goes through storeItem(key, value, category). Necessary keys (cart,
+  // checkout cart IDs, market, wishlist, the consent record) are always written; these are written
+  // only once their category is granted and deleted when it's withdrawn
+  storageKeys: {
+    analytics: ["glowExperiments"], // sticky A/B variants (EXPERIMENT_STORAGE_KEY)
+    marketing: [],
+  },
+};
+
+// ✅ REVIEWS CONFIG — where reviews come from. The rating in the buy box, the histogram and the
+// JSON-LD all come from the same source, so they always agree.
+const REVIEWS = {
+  source: "local", // "local" | "judgeme" | "yotpo" (see REVIEW_SOURCES)
+  perPage: 5,
+  maxReviews: 200, // most reviews a remote source loads for filtering and JSON-LD
+  schemaReviews: 10, // individual Review entries in the JSON-LD (newest first)
+  form: { titleMax: 100, bodyMin: 20, bodyMax: 5000 },
+  local: { url: "/reviews.json" }, // {reviews: [{id, rating, title, body, author, date, variantId?, verified?, photos?: [{url, alt}]}]}
+  // Judge.me reads need your api_token, which stays on your server: proxyUrl is a route there (e.g. a
+  // Shopify app proxy) that forwards GET /products/-1 and /reviews to https://judge.me/api/v1 with
+  // shop_domain and api_token added. New reviews go straight to Judge.me with shopDomain.
+  judgeme: { shopDomain: "YOUR_STORE.myshopify.com", proxyUrl: "/apps/judgeme" },
+  yotpo: { appKey: "YOUR_YOTPO_APP_KEY" },
+};
+
+// ✅ ORDER TRACKING CONFIG — the Header's "Track Order" panel (also opened by a #track-order link).
+// The Storefront API can't read orders without a customer login, so "endpoint" posts the order number
+// and email to your backend (e.g. a Shopify app proxy calling the Admin API) and "mock" serves
+// made-up orders for development (see mockOrders).
+const ORDER_TRACKING = {
+  source: "mock", // "mock" | "endpoint" (see TRACKING_SOURCES)
+  endpoint: { url: "/apps/order-tracking/lookup" }, // POST {orderNumber, email} -> order (see normalizeOrder) or 404
+  mock: { latencyMs: 600 },
+  // Tracking links for shipments without a trackingUrl; {number} is the tracking number
+  carriers: {
+    usps: { name: "USPS", url: "https://tools.usps.com/go/TrackConfirmAction?tLabels={number}" },
+    ups: { name: "UPS", url: "https://www.ups.com/track?tracknum={number}" },
+    fedex: { name: "FedEx", url: "https://www.fedex.com/fedextrack/?trknbr={number}" },
+    dhl: { name: "DHL", url: "https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id={number}" },
+    canadapost: { name: "Canada Post", url: "https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={number}" },
+    royalmail: { name: "Royal Mail", url: "https://www.royalmail.com/track-your-item#/tracking-results/{number}" },
+  },
+};
+
+// ✅ NEWSLETTER CONFIG — the Footer signup. Set doubleOptIn to match the list: Klaviyo and Mailchimp
+// send the confirmation email per their list settings; for Shopify your endpoint stores the consent
+// as pending and Shopify sends it. Either way the form then asks the shopper to check their inbox.
+const NEWSLETTER = {
+  provider: "mock", // "mock" | "klaviyo" | "mailchimp" | "shopify" (see NEWSLETTER_PROVIDERS)
+  doubleOptIn: true,
+  // Shown once subscribed (after confirming, with double opt-in, the welcome email carries it); null for none
+  reward: { code: "WELCOME10", offer: { en: "10% off your first order", de: "10 % auf deine erste Bestellung" } },
+  klaviyo: { publicKey: "YOUR_KLAVIYO_PUBLIC_API_KEY", listId: "YOUR_LIST_ID" },
+  // Audience > Signup forms > Embedded forms: the form action, with /post? changed to /post-json?
+  mailchimp: { formAction: "https://YOUR_DC.list-manage.com/subscribe/post-json?u=YOUR_U&id=YOUR_LIST_ID" },
+  // Your backend (e.g. an app proxy) sets the customer's email marketing consent with the Admin API.
+  // POST {email, doubleOptIn, locale, consentedAt} -> {status: "subscribed" | "pending" | "alreadySubscribed"}
+  shopify: { url: "/apps/newsletter/subscribe" },
+  mock: { latencyMs: 600, storageKey: "glowNewsletterMock" }, // fail@example.com exercises the error state
+};
+
+// ✅ BACK IN STOCK CONFIG — "Notify me when back" on sold-out variants. The shopper gets one email when
+// the variant is restocked; it doesn't subscribe them to marketing.
+const BACK_IN_STOCK = {
+  provider: "mock", // "mock" | "klaviyo" | "webhook" (see BACK_IN_STOCK_PROVIDERS)
+  // Client Back In Stock API; needs Klaviyo's Shopify integration syncing the catalog
+  klaviyo: { publicKey: "YOUR_KLAVIYO_PUBLIC_API_KEY" },
+  // Your backend stores the request and emails the shopper when inventory comes back (e.g. from an
+  // inventory webhook). POST {email, productId, variantId, ids, locale, requestedAt}
+  // -> {status: "subscribed" | "alreadySubscribed"}
+  webhook: { url: "/apps/back-in-stock/subscribe" },
+  mock: { latencyMs: 600, storageKey: "glowBackInStockMock" }, // fail@example.com exercises the error state
+};
+
+// ✅ EXPERIMENTS CONFIG — A/B tests. Each visitor draws a variant by weight (relative; 0 takes a
+// variant out of rotation) and keeps it on later visits once analytics consent allows storing it.
+// QA can force variants with ?exp=announcement:giftFocus,atcCopy:getYours — forced views aren't reported.
+// The first variant is the control: what everyone sees while an experiment is off and before the
+// page hydrates. `params` override PRODUCT_DATA fields of the same name (see useExperimentVariant).
+const EXPERIMENTS = {
+  announcement: {
+    enabled: true,
+    variants: [
+      { id: "control", weight: 50 },
+      { id: "giftFocus", weight: 50 }, // gift angle instead of the discount
+    ],
+  },
+  priceLayout: {
+    enabled: true,
+    variants: [
+      { id: "control", weight: 50 },
+      { id: "savingsAmount", weight: 50 }, // "Save $8.00" instead of "Save 25%"; installments under the price
+    ],
+  },
+  atcCopy: {
+    enabled: true,
+    variants: [
+      { id: "control", weight: 50 },
+      { id: "getYours", weight: 50 },
+    ],
+  },
+  badges: {
+    enabled: false,
+    variants: [
+      { id: "control", weight: 50 },
+      { id: "giftFocus", weight: 50, params: { badges: ["Gift Pick", "Holiday Deal", "Arrives by Christmas"] } },
+    ],
+  },
+  bundleOffer: {
+    enabled: false,
+    // Each tier's code needs a matching Shopify discount, as for PRODUCT_DATA.bundles
+    variants: [
+      { id: "control", weight: 50 },
+      {
+        id: "buy4",
+        weight: 50,
+        params: {
+          bundles: [
+            { qty: 1, pct: 0, label: "1 set" },
+            { qty: 2, pct: 10, label: "Buy 2 · Save 10%", code: "BUNDLE2" },
+            { qty: 4, pct: 25, label: "Buy 4 · Save 25%", code: "BUNDLE4", badge: "Best value" },
+          ],
+        },
+      },
+    ],
+  },
+};
+
+// ✅ CONTENT CONFIG — the content document (content.json) holds the brand name, PRODUCT_DATA, the
+// shipping calendar dates and COPY, so merchandisers can edit them without touching this file.
+// It's validated before anything renders: prerender.jsx and validate-content.js stop on errors, a
+// client-only page logs them and keeps the built-in defaults. Empty url = built-in defaults only.
+const CONTENT = {
+  url: "/content.json",
+};
+
+export { ANALYTICS, BACK_IN_STOCK, CHECKOUT, CONSENT, CONTENT, COPY, DISCOUNT_RULES, EXPERIMENTS, GALLERY, GIFT, HEART_ICON, MARKETS, MESSAGES, NETWORK, NEWSLETTER, NO_GIFT, ORDER_TRACKING, PRODUCT_DATA, REVIEWS, SHIPPING, SHOPIFY, SITE, STOREFRONT_SANDBOX, TRUST_ICONS, UPSELLS };
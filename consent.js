@@ -0,0 +1,59 @@
+/**
+ * Consent records and the storage gate.
+ * --------------------------------------------------------------
+ * Every localStorage write goes through storeItem, which drops it until the key's consent category is
+ * granted. The banner and preferences UI (useConsent) live in the page.
+ */
+import { CONSENT } from "./config.js";
+
+// Stored as {v, analytics, marketing, gpc, at}. null = no (current-version) choice yet: the banner
+// shows and everything but necessary stays off. Global Privacy Control always denies marketing.
+const CONSENT_STORAGE_KEY = "glowConsent";
+
+const gpcEnabled = () => typeof navigator !== "undefined" && navigator.globalPrivacyControl === true;
+
+function readConsent() {
+  if (typeof window === "undefined") return null;
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY) || "null");
+    if (!stored || stored.v !== CONSENT.version) return null;
+    return gpcEnabled() ? { ...stored, marketing: false, gpc: true } : stored;
+  } catch {
+    return null; // unreadable counts as no choice yet: ask again
+  }
+}
+
+// Module-level copy so storeItem can check consent without React
+let currentConsent = readConsent();
+
+const getConsent = () => currentConsent;
+
+// Pick up a record another tab saved
+function reloadConsent() {
+  currentConsent = readConsent();
+  return currentConsent;
+}
+
+// Save the visitor's choice ({analytics, marketing}) and return the record. Withdrawn categories lose
+// what they stored.
+function recordConsent({ analytics, marketing }) {
+  const gpc = gpcEnabled();
+  const record = { v: CONSENT.version, analytics: !!analytics, marketing: !!marketing && !gpc, gpc, at: new Date().toISOString() };
+  storeItem(CONSENT_STORAGE_KEY, JSON.stringify(record), "necessary");
+  ["analytics", "marketing"].forEach((category) => {
+    if (!record[category]) CONSENT.storageKeys[category].forEach((key) => localStorage.removeItem(key));
+  });
+  currentConsent = record;
+  return record;
+}
+
+const hasConsent = (category) => category === "necessary" || !!(currentConsent && currentConsent[category]);
+
+// localStorage write for a consent category; dropped (returns false) until that category is granted
+function storeItem(key, value, category) {
+  if (!hasConsent(category)) return false;
+  localStorage.setItem(key, value);
+  return true;
+}
+
+export { CONSENT_STORAGE_KEY, getConsent, gpcEnabled, hasConsent, readConsent, recordConsent, reloadConsent, storeItem };
@@ -0,0 +1,394 @@
+/**
+ * Content document: validation and loading.
+ * --------------------------------------------------------------
+ * content.json replaces the brand name, PRODUCT_DATA, the shipping calendar dates and COPY in
+ * config.js. No React here, so validate-content.js and build scripts can check a document on its own.
+ */
+import { CHECKOUT, CONTENT, COPY, EXPERIMENTS, MESSAGES, PRODUCT_DATA, SHIPPING, SITE, TRUST_ICONS } from "./config.js";
+
+// {brand, product, shipping: {holiday, closedDates, cutoffs?: {regionId: {methodId: ISO}}}, copy}.
+// validateContent returns [{path, message}] like {path: "product.variants[1].ids.shopify", message: "…"};
+// nothing is applied unless the whole document is valid.
+
+// Schema nodes: a type name, or {type, …} with min/max (numbers, list lengths), pattern + hint
+// (strings), values (enum), of (list items, record values), fields + optional (objects).
+// "text" is copy: a plain string or per-language {en, de, …}.
+const ISO_DATE_HINT = "YYYY-MM-DD";
+const ISO_DATE_TIME_HINT = "YYYY-MM-DDTHH:MM:SS±HH:MM";
+// Where to find a variant's ID with each checkout provider
+const PROVIDER_ID_HELP = {
+  shopify: "Shopify variant GID (Admin > Products > variant > GraphQL ID)",
+  woocommerce: "WooCommerce variation ID (Products > product > Variations, #ID)",
+  stripe: "Stripe Price ID (Product catalog > product > price)",
+};
+const contentList = (of, min = 0) => ({ type: "list", of, min });
+const contentObject = (fields, optional = []) => ({ type: "object", fields, optional });
+const PRICE_FIELD = { type: "number", min: 0 };
+const COUNT_FIELD = { type: "integer", min: 0 };
+
+const CONTENT_SCHEMA = contentObject({
+  brand: "string",
+  product: contentObject(
+    {
+      id: "string",
+      title: "string",
+      subtitle: "string",
+      description: "string",
+      media: contentList(
+        contentObject(
+          { type: { type: "enum", values: ["image", "video"] }, src: "url", alt: "string", poster: "url", options: { type: "record", of: "string" } },
+          ["poster", "options"],
+        ),
+        1,
+      ),
+      basePrice: PRICE_FIELD,
+      compareAtPrice: PRICE_FIELD,
+      currency: { type: "string", pattern: /^[A-Z]{3}$/, hint: "a 3-letter currency code like USD" },
+      soldThisWeek: COUNT_FIELD,
+      freeShippingThreshold: PRICE_FIELD,
+      maxPerOrder: { type: "integer", min: 1 },
+      bnplInstallments: COUNT_FIELD,
+      badges: contentList("string"),
+      bullets: contentList("string"),
+      options: contentList(
+        contentObject(
+          {
+            name: "string",
+            values: contentList(contentObject({ value: "string", swatch: { type: "string", pattern: /^#[0-9a-fA-F]{6}$/, hint: "a hex color like #F6E27A" } }, ["swatch"]), 1),
+          },
+        ),
+        1,
+      ),
+      variants: contentList(
+        contentObject(
+          {
+            id: "string",
+            ids: contentObject(
+              {
+                shopify: { type: "string", pattern: /^gid:\/\/shopify\/ProductVariant\/\d+$/, hint: "a Shopify variant GID (gid://shopify/ProductVariant/<number>)" },
+                woocommerce: { type: "integer", min: 1 },
+                stripe: { type: "string", pattern: /^price_\w+$/, hint: "a Stripe Price ID (price_…)" },
+              },
+              // only CHECKOUT.provider's is required; checked with the variants so the error names the variant
+              Object.keys(PROVIDER_ID_HELP),
+            ),
+            name: "string",
+            options: { type: "record", of: "string" },
+            price: PRICE_FIELD,
+            compareAtPrice: PRICE_FIELD,
+            stock: COUNT_FIELD,
+            sellingMode: { type: "enum", values: ["preorder", "backorder"] },
+            shipDateISO: "date",
+          },
+          ["compareAtPrice", "sellingMode", "shipDateISO"],
+        ),
+        1,
+      ),
+      bundles: contentList(
+        contentObject({ qty: { type: "integer", min: 1 }, pct: { type: "number", min: 0, max: 100 }, label: "string", code: "string", badge: "string" }, ["code", "badge"]),
+        1,
+      ),
+      ugc: contentList(contentObject({ type: { type: "enum", values: ["img", "video"] }, src: "url", alt: "string", poster: "url" }, ["poster"])),
+      reels: contentList(
+        contentObject({
+          id: "string",
+          src: "url",
+          poster: "url",
+          alt: "string",
+          caption: "string",
+          creator: contentObject({ name: "string", handle: "string", platform: "string", url: "url" }),
+          variantIds: contentList("string", 1),
+        }),
+      ),
+    },
+    ["compareAtPrice"],
+  ),
+  shipping: contentObject(
+    {
+      holiday: contentObject({ name: "text", date: "date" }),
+      closedDates: contentList("date"),
+      cutoffs: { type: "record", of: { type: "record", of: "datetime" } },
+    },
+    ["cutoffs"],
+  ),
+  copy: contentObject({
+    announcement: { type: "record", of: "text" },
+    trust: contentList(contentObject({ icon: { type: "enum", values: Object.keys(TRUST_ICONS) }, text: "text" })),
+    details: contentList("text"),
+    faq: contentList(contentObject({ q: "text", a: "text" })),
+    footer: contentObject({
+      tagline: "text",
+      columns: contentList(contentObject({ title: "text", links: contentList(contentObject({ label: "text", href: "url" })) }), 1),
+    }),
+  }),
+});
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+// Real calendar dates only: "2025-02-30" matches the pattern but isn't one
+function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T12:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+function isIsoDateTime(value) {
+  const m = typeof value === "string" && value.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:Z|[+-](\d{2}):(\d{2}))$/);
+  if (!m || !isIsoDate(m[1])) return false;
+  const [hour, minute, second = "0", offsetHours = "0", offsetMinutes = "0"] = m.slice(2);
+  return Number(hour) < 24 && Number(minute) < 60 && Number(second) < 60 && Number(offsetHours) <= 14 && Number(offsetMinutes) < 60;
+}
+
+function checkSchema(node, value, path, errors) {
+  const spec = typeof node === "string" ? { type: node } : node;
+  const fail = (message) => errors.push({ path, message });
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || !value.trim()) fail("must be a non-empty string");
+      else if (spec.pattern && !spec.pattern.test(value)) fail(`${JSON.stringify(value)} must be ${spec.hint}`);
+      break;
+    case "text":
+      if (typeof value === "string") {
+        if (!value.trim()) fail("must not be empty");
+      } else if (!isPlainObject(value)) {
+        fail('must be a string or per-language text like {"en": "…", "de": "…"}');
+      } else {
+        if (!("en" in value)) fail('needs an "en" entry (the fallback for every language)');
+        for (const [lang, text] of Object.entries(value)) {
+          if (!MESSAGES[lang]) errors.push({ path: joinPath(path, lang), message: `unknown language (expected one of ${Object.keys(MESSAGES).join(", ")})` });
+          else if (typeof text !== "string" || !text.trim()) errors.push({ path: joinPath(path, lang), message: "must be a non-empty string" });
+        }
+      }
+      break;
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) fail(`must be a number, got ${JSON.stringify(value)}`);
+      else if (spec.type === "integer" && !Number.isInteger(value)) fail(`must be a whole number, got ${value}`);
+      else if (spec.min != null && value < spec.min) fail(`must be at least ${spec.min}, got ${value}`);
+      else if (spec.max != null && value > spec.max) fail(`must be at most ${spec.max}, got ${value}`);
+      break;
+    case "url":
+      if (typeof value !== "string" || !/^(https?:\/\/\S+|\/\S*|#\S*|mailto:\S+)$/.test(value))
+        fail(`${JSON.stringify(value)} is not a link (https://…, /path, #anchor or mailto:…)`);
+      break;
+    case "date":
+      if (!isIsoDate(value)) fail(`${JSON.stringify(value)} is not a valid date (${ISO_DATE_HINT})`);
+      break;
+    case "datetime":
+      if (!isIsoDateTime(value)) fail(`${JSON.stringify(value)} is not a valid date-time (${ISO_DATE_TIME_HINT})`);
+      break;
+    case "enum":
+      if (!spec.values.includes(value)) fail(`${JSON.stringify(value)} must be one of ${spec.values.map((v) => JSON.stringify(v)).join(", ")}`);
+      break;
+    case "list":
+      if (!Array.isArray(value)) fail("must be a list");
+      else if (value.length < spec.min) fail(`needs at least ${spec.min} entr${spec.min === 1 ? "y" : "ies"}`);
+      else value.forEach((item, i) => checkSchema(spec.of, item, `${path}[${i}]`, errors));
+      break;
+    case "record":
+      if (!isPlainObject(value)) fail("must be an object");
+      else for (const [key, item] of Object.entries(value)) checkSchema(spec.of, item, joinPath(path, key), errors);
+      break;
+    case "object":
+      if (!isPlainObject(value)) {
+        fail("must be an object");
+        break;
+      }
+      for (const [key, child] of Object.entries(spec.fields)) {
+        if (value[key] !== undefined) checkSchema(child, value[key], joinPath(path, key), errors);
+        else if (!spec.optional.includes(key)) errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+      // Typos ("compareAtprice") would otherwise be ignored silently
+      for (const key of Object.keys(value)) {
+        if (!(key in spec.fields)) errors.push({ path: joinPath(path, key), message: "is not a known field" });
+      }
+      break;
+    default:
+      throw new Error(`Unknown content schema type: ${spec.type}`);
+  }
+}
+
+// Cross-field rules the schema can't express; they run once the shape is right
+function checkProductContent(product, errors) {
+  const fail = (path, message) => errors.push({ path: `product.${path}`, message });
+  const axes = new Map(product.options.map((o) => [o.name, o.values.map((v) => v.value)]));
+  const list = (values) => values.map((v) => JSON.stringify(v)).join(", ");
+  const checkOptionValues = (options, path, requireAll) => {
+    for (const [name, value] of Object.entries(options)) {
+      if (!axes.has(name)) fail(`${path}.${name}`, `"${name}" is not a product option (${list([...axes.keys()])})`);
+      else if (!axes.get(name).includes(value)) fail(`${path}.${name}`, `${JSON.stringify(value)} is not a value of "${name}" (${list(axes.get(name))})`);
+    }
+    if (requireAll) {
+      for (const [name, values] of axes) if (!(name in options)) fail(`${path}.${name}`, `is required (one of ${list(values)})`);
+    }
+  };
+
+  product.options.forEach((o, i) => {
+    if (product.options.findIndex((other) => other.name === o.name) < i) fail(`options[${i}].name`, `option "${o.name}" is listed twice`);
+  });
+  // A product-level compare-at below the base price is reported once, not again for every variant
+  const productCompareAt = product.compareAtPrice != null && product.compareAtPrice >= product.basePrice ? product.compareAtPrice : null;
+  if (product.compareAtPrice != null && productCompareAt == null) {
+    fail("compareAtPrice", `compare-at price ${product.compareAtPrice} is below the selling price ${product.basePrice} (product.basePrice)`);
+  }
+
+  const seen = { id: new Map(), providerId: new Map(), options: new Map() };
+  const firstSeen = (kind, key, i) => {
+    if (seen[kind].has(key)) return seen[kind].get(key);
+    seen[kind].set(key, i);
+    return null;
+  };
+  product.variants.forEach((v, i) => {
+    const path = `variants[${i}]`;
+    const dupId = firstSeen("id", v.id, i);
+    if (dupId != null) fail(`${path}.id`, `"${v.id}" is already used by product.variants[${dupId}]`);
+    const providerId = v.ids[CHECKOUT.provider];
+    if (providerId == null) fail(`${path}.ids.${CHECKOUT.provider}`, `missing ${PROVIDER_ID_HELP[CHECKOUT.provider]} for "${v.id}"`);
+    else {
+      const dupProviderId = firstSeen("providerId", providerId, i);
+      if (dupProviderId != null) fail(`${path}.ids.${CHECKOUT.provider}`, `${JSON.stringify(providerId)} is already used by product.variants[${dupProviderId}]`);
+    }
+    checkOptionValues(v.options, `${path}.options`, true);
+    const combination = [...axes.keys()].map((name) => v.options[name]).join(" / ");
+    const dupOptions = firstSeen("options", combination, i);
+    if (dupOptions != null) fail(`${path}.options`, `${combination} is already product.variants[${dupOptions}]`);
+    if (v.compareAtPrice != null) {
+      if (v.compareAtPrice < v.price) fail(`${path}.compareAtPrice`, `compare-at price ${v.compareAtPrice} is below the selling price ${v.price}`);
+    } else if (productCompareAt != null && productCompareAt < v.price) {
+      fail(`${path}.price`, `selling price ${v.price} is above the compare-at price ${productCompareAt} (product.compareAtPrice); give the variant its own compareAtPrice`);
+    }
+    if (v.sellingMode === "preorder" && !v.shipDateISO) fail(`${path}.shipDateISO`, `preorder variant "${v.id}" needs a ship date (${ISO_DATE_HINT})`);
+  });
+
+  product.bundles.forEach((b, i) => {
+    if (i > 0 && b.qty <= product.bundles[i - 1].qty) fail(`bundles[${i}].qty`, `tiers must go up in quantity (product.bundles[${i - 1}].qty is ${product.bundles[i - 1].qty})`);
+  });
+  product.media.forEach((slide, i) => slide.options && checkOptionValues(slide.options, `media[${i}].options`, false));
+  product.reels.forEach((reel, i) =>
+    reel.variantIds.forEach((id, j) => {
+      if (!seen.id.has(id)) fail(`reels[${i}].variantIds[${j}]`, `no variant has id "${id}" (${list([...seen.id.keys()])})`);
+    }),
+  );
+}
+
+function checkShippingContent(shipping, errors) {
+  for (const [regionId, methods] of Object.entries(shipping.cutoffs || {})) {
+    const path = `shipping.cutoffs.${regionId}`;
+    const region = SHIPPING.regions.find((r) => r.id === regionId);
+    if (!region) {
+      errors.push({ path, message: `unknown region (${SHIPPING.regions.map((r) => r.id).join(", ")})` });
+      continue;
+    }
+    for (const [methodId, iso] of Object.entries(methods)) {
+      if (!region.transitDays[methodId]) {
+        errors.push({ path: `${path}.${methodId}`, message: `${region.id} doesn't offer "${methodId}" (${Object.keys(region.transitDays).join(", ")})` });
+      } else if (iso.slice(0, 10) > shipping.holiday.date) {
+        errors.push({ path: `${path}.${methodId}`, message: `cutoff ${iso} is after the holiday (shipping.holiday.date ${shipping.holiday.date})` });
+      }
+    }
+  }
+}
+
+function checkCopyContent(copy, errors) {
+  const variants = EXPERIMENTS.announcement.variants.map((v) => v.id);
+  if (!copy.announcement.control) errors.push({ path: "copy.announcement.control", message: "is required (shown when the experiment is off)" });
+  for (const key of Object.keys(copy.announcement)) {
+    if (!variants.includes(key)) errors.push({ path: `copy.announcement.${key}`, message: `not an announcement experiment variant (${variants.join(", ")})` });
+  }
+}
+
+function validateContent(doc) {
+  const errors = [];
+  checkSchema(CONTENT_SCHEMA, doc, "", errors);
+  if (errors.length) return errors;
+  checkProductContent(doc.product, errors);
+  checkShippingContent(doc.shipping, errors);
+  checkCopyContent(doc.copy, errors);
+  return errors;
+}
+
+// JSON.parse silently keeps the last of two equal keys — which is how a pasted-twice block goes
+// unnoticed. Only call this on text that parsed.
+function duplicateJsonKeys(text) {
+  const errors = [];
+  const stack = [];
+  const afterString = /\s*/y;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const top = stack[stack.length - 1];
+    if (c === '"') {
+      let end = i + 1;
+      while (text[end] !== '"') end += text[end] === "\\" ? 2 : 1;
+      const str = JSON.parse(text.slice(i, end + 1));
+      i = end;
+      afterString.lastIndex = end + 1;
+      afterString.exec(text);
+      if (top && top.keys && text[afterString.lastIndex] === ":") {
+        if (top.keys.has(str)) errors.push({ path: joinPath(top.path, str), message: "is defined twice (only the last one would be used)" });
+        top.keys.add(str);
+        top.key = str;
+      }
+    } else if (c === "{" || c === "[") {
+      const path = !top ? "" : top.keys ? joinPath(top.path, top.key) : `${top.path}[${top.index}]`;
+      stack.push(c === "{" ? { path, keys: new Set(), key: null } : { path, index: 0 });
+    } else if (c === "}" || c === "]") {
+      stack.pop();
+    } else if (c === "," && top && !top.keys) {
+      top.index++;
+    }
+  }
+  return errors;
+}
+
+function contentReport(errors, source) {
+  const lines = errors.map((e) => `  - ${e.path || "(document)"}: ${e.message}`);
+  return `${source} has ${errors.length} error${errors.length === 1 ? "" : "s"}:\n${lines.join("\n")}`;
+}
+
+// Text -> validated document; throws with every problem listed
+function readContent(text, source = "Content document") {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${source} is not valid JSON: ${e.message}`);
+  }
+  const errors = [...duplicateJsonKeys(text), ...validateContent(doc)];
+  if (errors.length) throw new Error(contentReport(errors, source));
+  return doc;
+}
+
+// Config objects are shared by reference (context defaults, closures), so swap their contents in place
+function replaceConfig(target, source) {
+  Object.keys(target).forEach((key) => delete target[key]);
+  Object.assign(target, source);
+}
+
+// Call before the first render; a document that fails validation changes nothing
+function applyContent(doc) {
+  const errors = validateContent(doc);
+  if (errors.length) throw new Error(contentReport(errors, "Content document"));
+  SITE.name = doc.brand;
+  replaceConfig(PRODUCT_DATA, doc.product);
+  replaceConfig(COPY, doc.copy);
+  SHIPPING.holiday = doc.shipping.holiday;
+  SHIPPING.closedDates = doc.shipping.closedDates;
+  for (const region of SHIPPING.regions) {
+    const cutoffs = doc.shipping.cutoffs && doc.shipping.cutoffs[region.id];
+    if (cutoffs) region.cutoffs = cutoffs;
+    else delete region.cutoffs;
+  }
+}
+
+// Browser: fetch, validate and apply CONTENT.url. Resolves to the document (null without a url).
+async function loadContent(url = CONTENT.url) {
+  if (!url) return null;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Content document ${url}: HTTP ${res.status}`);
+  const doc = readContent(await res.text(), `Content document ${url}`);
+  applyContent(doc);
+  return doc;
+}
+
+export { applyContent, loadContent, readContent, validateContent };
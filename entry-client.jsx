@@ -0,0 +1,32 @@
+/**
+ * Browser entry for the product page.
+ * Hydrates HTML from prerender.jsx using the props and content document it embedded; without
+ * them (dev preview, plain static host) it loads CONTENT.url, renders from scratch and loads
+ * everything else client-side. An invalid content document is logged and the built-in defaults
+ * render instead.
+ *
+ * @jsx React.createElement
+ */
+import React from "react";
+import { createRoot, hydrateRoot } from "react-dom/client";
+import { applyContent, loadContent } from "./content.js";
+import EcommerceHolidayProduct from "./holiday_dropship_product_template_led_glow_lights (1).jsx";
+
+const root = document.getElementById("root");
+const data = document.getElementById("__PRODUCT_PAGE__");
+const content = document.getElementById("__PAGE_CONTENT__");
+
+if (data && root.hasChildNodes()) {
+  // Already validated by prerender.jsx
+  if (content) applyContent(JSON.parse(content.textContent));
+  hydrateRoot(root, <EcommerceHolidayProduct {...JSON.parse(data.textContent)} />);
+} else {
+  (async () => {
+    try {
+      await loadContent();
+    } catch (e) {
+      console.error(e.message);
+    }
+    createRoot(root).render(<EcommerceHolidayProduct />);
+  })();
+}
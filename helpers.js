@@ -0,0 +1,68 @@
+/**
+ * Helpers shared by the page and its service modules.
+ * --------------------------------------------------------------
+ * Pure functions over PRODUCT_DATA-shaped products and carts: provider IDs, stock states,
+ * variant-linked media, and the price math (discount rules, bundle tiers); plus isEmail for the forms.
+ */
+import { DISCOUNT_RULES } from "./config.js";
+
+const gidTail = (gid) => String(gid).split("/").pop();
+const shopifyGid = (v) => (v.ids ? v.ids.shopify : undefined);
+
+const LOW_STOCK_AT = 30;
+
+// "in_stock" | "low_stock" | "sold_out" | "preorder" | "backorder" (stock exhausted, still selling)
+// stock == null means Shopify didn't share a count but the variant is for sale
+function stockState(v) {
+  if (v.sellingMode === "preorder") return "preorder";
+  if (v.stock == null) return "in_stock";
+  if (v.stock <= 0) return v.sellingMode === "backorder" ? "backorder" : "sold_out";
+  return v.stock < LOW_STOCK_AT && v.sellingMode !== "backorder" ? "low_stock" : "in_stock";
+}
+
+// A slide shows a variant when Shopify linked it (variantIds) or its `options` all match the variant's
+function mediaMatchesVariant(item, variant) {
+  if (item.variantIds) return item.variantIds.includes(variant.id);
+  return !!item.options && Object.entries(item.options).every(([axis, value]) => variant.options[axis] === value);
+}
+
+function sameAttributes(a, b) {
+  const norm = (list) => list.map((x) => `${x.key}=${x.value}`).sort().join("|");
+  return norm(a) === norm(b);
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Case-insensitive, order-insensitive comparison of discount code lists
+function sameCodes(a, b) {
+  const norm = (list) => list.map((c) => c.toUpperCase()).sort().join("|");
+  return norm(a) === norm(b);
+}
+
+// Evaluate codes against DISCOUNT_RULES -> {codes: [{code, applicable, reason, minSubtotal?}], amount, freeShipping}.
+// reason ("unknown" | "expired" | "minSubtotal" | "notApplicable") is a discount.* message key.
+function evaluateLocalDiscounts(codes, subtotal, now = new Date()) {
+  let amount = 0;
+  let freeShipping = false;
+  const results = codes.map((code) => {
+    const rule = DISCOUNT_RULES.find((r) => r.code === code.toUpperCase());
+    const notApplicable = (reason) => ({ code, applicable: false, reason });
+    if (!rule) return notApplicable("unknown");
+    if (rule.expiresISO && now >= new Date(rule.expiresISO)) return notApplicable("expired");
+    if (rule.minSubtotal && subtotal < rule.minSubtotal) return { ...notApplicable("minSubtotal"), minSubtotal: rule.minSubtotal };
+    if (rule.type === "free_shipping") freeShipping = true;
+    else if (rule.type === "percent") amount += (subtotal * rule.value) / 100;
+    else if (rule.type === "fixed") amount += rule.value;
+    return { code, applicable: true, reason: null };
+  });
+  return { codes: results, amount: round2(Math.min(amount, subtotal)), freeShipping };
+}
+
+// Best bundle tier reached by a quantity; null when no discounted tier applies
+function bundleTierFor(tiers = [], qty) {
+  return tiers.reduce((best, t) => (t.pct > 0 && qty >= t.qty && (!best || t.qty > best.qty) ? t : best), null);
+}
+
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
+
+export { bundleTierFor, evaluateLocalDiscounts, gidTail, isEmail, mediaMatchesVariant, round2, sameAttributes, sameCodes, shopifyGid, stockState };
@@ -1,146 +1,1010 @@
-import React, { useEffect, useMemo, useState } from "react";
+/** @jsx React.createElement */
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { ANALYTICS, BACK_IN_STOCK, CHECKOUT, CONSENT, COPY, EXPERIMENTS, GALLERY, GIFT, HEART_ICON, MARKETS, MESSAGES, NEWSLETTER, NO_GIFT, ORDER_TRACKING, PRODUCT_DATA, REVIEWS, SHIPPING, SHOPIFY, SITE, TRUST_ICONS, UPSELLS } from "./config.js";
+import { bundleTierFor, evaluateLocalDiscounts, gidTail, isEmail, mediaMatchesVariant, round2, sameCodes, shopifyGid, stockState } from "./helpers.js";
+import { checkoutErrorKey } from "./http.js";
+import { exposedExperiments, newEventId, startAnalytics, subscribeAnalytics, track } from "./analytics.js";
+import { CONSENT_STORAGE_KEY, getConsent, gpcEnabled, recordConsent, reloadConsent, storeItem } from "./consent.js";
+import { fetchProduct, fetchRecommendations, isShopifyConfigured } from "./storefront.js";
+import { checkoutProvider } from "./checkout.js";
+import { filterReviews, REVIEW_SOURCES, reviewAggregate, validateReview } from "./reviews.js";
+import { TRACKING_SOURCES, trackingTimeline, validateTrackingQuery } from "./order-tracking.js";
 
 /**
- * HOLIDAY DROPSHIPPING PRODUCT TEMPLATE (Single-file React + Tailwind)
+ * HOLIDAY DROPSHIPPING PRODUCT TEMPLATE (React + Tailwind)
  * ---------------------------------------------------------------
  * What you get:
  * - High-converting product page for a seasonal, giftable product (LED Glow String Lights)
  * - Mobile-first, fast, and accessible UI with Tailwind classes
  * - Urgency stack: announcement bar, limited-time offer badge, countdown to shipping cutoff
- * - Social proof stack: rating, sales counter, UGC/TikTok-style gallery, testimonials, trust badges
+ * - Social proof stack: reviews (local JSON / Judge.me / Yotpo) with histogram + filters, sales counter, UGC/TikTok-style gallery, trust badges
  * - Conversion stack: sticky Add-to-Cart, free shipping threshold, BNPL placeholder, guarantees, FAQs
  * - Lightweight cart drawer (client-side), variant/quantity selection, price math, coupon hook
- * - SEO: JSON-LD product schema, OpenGraph/Twitter meta placeholders
- * - Tracking placeholders: TikTok Pixel / Meta Pixel, conversion event hints
+ * - Markets: localized prices via Shopify @inContext, country/currency switcher, UI message catalog (en, de)
+ * - Order tracking panel (Header > Track Order): order number + email lookup via adapter, carrier timeline
+ * - Newsletter signup (Klaviyo / Mailchimp / Shopify / mock) with consent checkbox, double opt-in, welcome code
+ * - Gallery: hover/pinch zoom, fullscreen lightbox, swipe + arrow keys, MP4/HLS video, variant-linked slides
+ * - Shoppable short-video reels (autoplay muted in view, lazy, reduced-motion aware, creator credit, Shop this look)
+ * - A/B experiments: weighted, sticky per visitor, ?exp= overrides; exposures + conversions go to analytics
+ * - SEO: JSON-LD product schema, canonical + OpenGraph/Twitter meta emitted during render; SSR/static prerender (prerender.jsx)
+ * - Analytics: commerce event bus with TikTok Pixel / Meta Pixel / GA4 adapters, event-ID dedup, debug mode
+ * - Consent: cookie banner + preferences (necessary/analytics/marketing), versioned, honors GPC, gates pixels and storage
  *
  * How to use:
- * - Swap PRODUCT_DATA with your real product (images, variants, price, etc.)
- * - Connect the onCheckout handler to your cart/checkout (Shopify Buy SDK, Woo, Stripe, etc.)
- * - Replace placeholders for pixels and domain
- * - Optional: prerender with Next.js/Remix for SEO; this file still previews fine
+ * - Settings live in config.js. Swap PRODUCT_DATA with your real product (media, variants, price, etc.)
+ *   — or edit content.json, which overrides it along with the brand name, shipping dates and COPY;
+ *   check it with validate-content.js
+ * - Pick the checkout backend in CHECKOUT (Shopify Storefront, WooCommerce Store API or Stripe Checkout)
+ *   and give each variant its ID there in `ids`
+ * - No store yet? STOREFRONT_SANDBOX.enabled runs product, cart and checkout calls against an in-process mock
+ *   (storefront-sandbox.js); checkout_test.js runs the cart sync and checkout against it: `deno test -A`
+ * - Fill in ANALYTICS with your pixel / measurement IDs and replace the placeholder domain
+ * - Prerender static HTML per product with prerender.jsx and hydrate it with entry-client.jsx; this file still previews fine
  */
 
 // ----------------------------
-// Configurable Product Data
+// Localization
 // ----------------------------
+const MARKET_STORAGE_KEY = "glowMarket"; // necessary: prices and checkout depend on it
 
-// ✅ SHOPIFY CONFIG — fill these in
-const SHOPIFY = {
-  storeDomain: "YOUR_STORE.myshopify.com", // no https
-  storefrontToken: "YOUR_STOREFRONT_API_ACCESS_TOKEN", // from Shopify Admin > Settings > Apps & sales channels > Develop apps > Storefront API
-  apiVersion: "2025-01", // match your shop version
+const marketFor = (country) => MARKETS.find((m) => m.country === country) || MARKETS[0];
+
+// Saved choice first, then the browser's region (en-CA -> CA), else the default market
+function preferredMarket() {
+  if (typeof window === "undefined") return MARKETS[0];
+  const saved = localStorage.getItem(MARKET_STORAGE_KEY);
+  if (saved) return marketFor(saved);
+  const region = (navigator.language || "").split("-")[1];
+  return marketFor(region && region.toUpperCase());
+}
+
+// Formatters + translator for a market; prices use the product's currency, which is the market's
+// once Shopify has priced the product for it (the static PRODUCT_DATA stays in its own currency)
+function makeLocale(market, currency) {
+  const lang = market.language.toLowerCase();
+  const catalog = MESSAGES[lang] || MESSAGES.en;
+  const money = new Intl.NumberFormat(market.locale, { style: "currency", currency });
+  const fill = (text, vars) => text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  // Config labels given per language ({ en, de }) or as a plain string
+  const pick = (label) => (label && typeof label === "object" ? label[lang] ?? label.en : label);
+  return {
+    market,
+    t: (key, vars = {}) => fill(catalog[key] ?? MESSAGES.en[key] ?? key, vars),
+    pick,
+    // COPY / content-document text, with the same {name} placeholders as t()
+    copy: (text, vars = {}) => fill(pick(text) ?? "", vars),
+    fmt: (n) => money.format(n),
+    fmtNumber: (n) => n.toLocaleString(market.locale),
+    fmtRating: (n) => n.toLocaleString(market.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+    fmtDay: (value) => fmtDay(value, market.locale),
+    fmtDate: (ymd) => new Date(`${ymd}T12:00:00Z`).toLocaleDateString(market.locale, { dateStyle: "medium", timeZone: "UTC" }),
+    // Pass the zone explicitly: the server's and the shopper's clocks differ, and hydration must match
+    fmtDateTime: (d, timeZone) =>
+      d.toLocaleString(market.locale, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZone, timeZoneName: "short" }),
+  };
+}
+
+const LocaleContext = createContext(makeLocale(MARKETS[0], PRODUCT_DATA.currency));
+const useLocale = () => useContext(LocaleContext);
+
+// ----------------------------
+// Storefront hydration
+// ----------------------------
+// Live product from Shopify for a market; falls back to the static PRODUCT_DATA if the request fails.
+// Without a store (isShopifyConfigured) it is PRODUCT_DATA from the start and nothing is requested.
+// A server-rendered page passes the product it rendered as `initial`: no skeleton, and the client
+// still refetches for fresh stock. status: "loading" | "live" | "fallback"
+function useStorefrontProduct(handle, market, initial = null) {
+  const [product, setProduct] = useState(initial || PRODUCT_DATA);
+  const [status, setStatus] = useState(initial ? "live" : isShopifyConfigured() ? "loading" : "fallback");
+
+  useEffect(() => {
+    if (!isShopifyConfigured()) return;
+    // Switching markets again (or unmounting) aborts the request still in flight
+    const controller = new AbortController();
+    (async () => {
+      try {
+        const live = await fetchProduct(handle, market, { signal: controller.signal });
+        setProduct(live);
+        setStatus("live");
+      } catch (e) {
+        if (controller.signal.aborted) return;
+        console.warn("Storefront product unavailable, using PRODUCT_DATA", e);
+        setStatus((s) => (s === "live" ? s : "fallback"));
+      }
+    })();
+    return () => controller.abort();
+  }, [handle, market]);
+
+  return { product, status };
+}
+
+// Add-on products the cart can hold besides `product` (the gift wrap among them), with the rules that
+// suggest them (see UPSELLS): the local UPSELLS.addOns until the store has priced them for the market,
+// or Shopify's recommendations.
+// `ready` once that settled (waits for the product, whose GID recommendations need), so a restored cart
+// doesn't drop add-on lines it can't price yet.
+const LOCAL_ADD_ONS = [...UPSELLS.addOns, GIFT.wrap];
+
+function useAddOns(product, market, loading) {
+  const [state, setState] = useState(() => ({ addOns: LOCAL_ADD_ONS, rules: UPSELLS.rules, ready: !isShopifyConfigured() }));
+
+  useEffect(() => {
+    if (loading || !isShopifyConfigured()) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const load = (a) => fetchProduct(a.handle, market, { signal, fallback: a });
+    (async () => {
+      try {
+        if (UPSELLS.source === "shopify" && CHECKOUT.provider === "shopify" && product.gid) {
+          const [recommended, wrap] = await Promise.all([fetchRecommendations(product.gid, market, { signal }), load(GIFT.wrap)]);
+          setState({ addOns: [...recommended, wrap], rules: recommended.map((p) => ({ addOn: p.id })), ready: true });
+        } else {
+          const addOns = await Promise.all(LOCAL_ADD_ONS.map(load));
+          setState({ addOns, rules: UPSELLS.rules, ready: true });
+        }
+      } catch (e) {
+        if (signal.aborted) return;
+        console.warn("Add-on products unavailable, using UPSELLS.addOns", e);
+        setState({ addOns: LOCAL_ADD_ONS, rules: UPSELLS.rules, ready: true });
+      }
+    })();
+    return () => controller.abort();
+  }, [loading, product.gid, market]);
+
+  return state;
+}
+
+// ----------------------------
+// Cart persistence
+// ----------------------------
+// Lines are stored as {productId, variantId, ids, qty} and rebuilt against the current product and
+// add-ons on read, so prices and titles never come from storage. Discount codes and gift choices
+// are stored with them. Bump the version whenever the stored shape changes
+// and add a migration from the previous one; payloads with no migration path are discarded.
+const CART_STORAGE_KEY = "glowCart";
+const CART_STORAGE_VERSION = 5;
+const CART_STORAGE_MIGRATIONS = {
+  1: (stored) => ({ ...stored, v: 2, discountCodes: [] }), // v2: discount codes
+  // v3: per-provider variant ids instead of the Shopify GID
+  2: (stored) => ({ ...stored, v: 3, lines: stored.lines.map(({ gid, ...l }) => ({ ...l, ids: gid ? { shopify: gid } : {} })) }),
+  // v4: lines can be add-ons (productId); earlier lines, without one, are all the page's product
+  3: (stored) => ({ ...stored, v: 4 }),
+  4: (stored) => ({ ...stored, v: 5, gift: NO_GIFT }), // v5: gift message and packing slip choice
 };
+const EMPTY_STORED_CART = { lines: [], discountCodes: [], gift: NO_GIFT };
 
-// Simple helper for Storefront API calls
-async function sfy(query, variables) {
-  const res = await fetch(`https://${SHOPIFY.storeDomain}/api/${SHOPIFY.apiVersion}/graphql.json`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Storefront-Access-Token": SHOPIFY.storefrontToken,
-    },
-    body: JSON.stringify({ query, variables }),
+// -> {lines, discountCodes, gift}
+function readStoredCart(product, addOns) {
+  try {
+    const raw = localStorage.getItem(CART_STORAGE_KEY);
+    if (!raw) return EMPTY_STORED_CART;
+    let stored = JSON.parse(raw);
+    while (stored.v !== CART_STORAGE_VERSION && CART_STORAGE_MIGRATIONS[stored.v]) {
+      stored = CART_STORAGE_MIGRATIONS[stored.v](stored);
+    }
+    if (stored.v !== CART_STORAGE_VERSION || !Array.isArray(stored.lines)) {
+      localStorage.removeItem(CART_STORAGE_KEY);
+      return EMPTY_STORED_CART;
+    }
+    const gift = { ...NO_GIFT, ...stored.gift };
+    return { lines: restoreCart(product, stored.lines, addOns), discountCodes: stored.discountCodes || [], gift };
+  } catch (e) {
+    console.warn("Discarding unreadable stored cart", e);
+    return EMPTY_STORED_CART;
+  }
+}
+
+function writeStoredCart(cart, discountCodes, gift) {
+  const json = JSON.stringify({
+    v: CART_STORAGE_VERSION,
+    lines: cart.map((l) => ({ productId: l.productId, variantId: l.variantId, ids: l.ids, qty: l.qty })),
+    discountCodes,
+    gift,
+  });
+  // Skip no-op writes: every open tab re-runs this after a cross-tab update
+  if (localStorage.getItem(CART_STORAGE_KEY) !== json) storeItem(CART_STORAGE_KEY, json, "necessary");
+}
+
+// ----------------------------
+// Consent
+// ----------------------------
+// The stored record and the storage gate (storeItem) are in consent.js.
+
+// consent is undefined until mounted (the server can't know it), then null or the stored record
+function useConsent() {
+  const [consent, setConsent] = useState(undefined);
+
+  // Choices made in another tab apply here too
+  useEffect(() => {
+    setConsent(getConsent());
+    const onStorage = (e) => {
+      if (e.key === CONSENT_STORAGE_KEY) setConsent(reloadConsent());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  function saveConsent(choice) {
+    setConsent(recordConsent(choice));
+  }
+
+  return { consent, gpc: gpcEnabled(), saveConsent };
+}
+
+// Expire first-party cookies by name prefix on this host and its parent domains
+function clearCookies(prefixes) {
+  const hosts = window.location.hostname.split(".").map((_, i, parts) => parts.slice(i).join("."));
+  document.cookie.split(";").forEach((c) => {
+    const name = c.split("=")[0].trim();
+    if (!prefixes.some((p) => name.startsWith(p))) return;
+    [null, ...hosts].forEach((host) => {
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${host ? `; domain=${host}` : ""}`;
+    });
   });
-  if (!res.ok) throw new Error(`Shopify error ${res.status}`);
-  const data = await res.json();
-  if (data.errors) throw new Error(JSON.stringify(data.errors));
-  return data.data;
-}
-
-// Create a cart and return {id, checkoutUrl}
-async function createCart(lines = []) {
-  const mutation = `#graphql
-    mutation CreateCart($lines: [CartLineInput!]) {
-      cartCreate(input: { lines: $lines }) {
-        cart { id checkoutUrl }
-        userErrors { field message }
+}
+
+// ----------------------------
+// Analytics
+// ----------------------------
+// The event bus is analytics.js; this section turns cart lines into event payloads and loads the
+// vendor pixels the bus feeds.
+
+// Priced cart lines (see priceCart) -> {items, value}
+function cartEvent(lines) {
+  return {
+    items: lines.map((l) => ({ id: l.variantId, ids: l.ids, name: l.title, variant: l.variantName, price: l.unitPrice, quantity: l.qty })),
+    value: round2(lines.reduce((s, l) => s + l.total, 0)),
+  };
+}
+
+// Vendor scripts are tagged with their adapter so unloading can find them
+function injectScript(src, adapterId) {
+  const script = document.createElement("script");
+  script.async = true;
+  script.src = src;
+  script.dataset.analytics = adapterId;
+  document.head.appendChild(script);
+  return script;
+}
+
+function removeScripts(adapterId) {
+  document.querySelectorAll(`script[data-analytics="${adapterId}"]`).forEach((el) => el.remove());
+}
+
+// Each adapter: category (consent needed), enabled(config) -> bool, load(config) installs the vendor
+// snippet, send(event) maps the event, unload(config) undoes load when consent is withdrawn. Code a
+// vendor script already ran can't be evicted; dropping its globals and cookies stops further tracking.
+const ANALYTICS_ADAPTERS = {
+  tiktok: {
+    category: "marketing",
+    enabled: (c) => !!c.pixelId,
+    load({ pixelId }) {
+      if (window.ttq) return;
+      // Queue stub from TikTok's base code; events.js replays the queue once it loads
+      const ttq = (window.ttq = []);
+      ["page", "track", "identify", "instances", "debug", "on", "off", "once", "ready", "alias", "group", "enableCookie", "disableCookie"].forEach((m) => {
+        ttq[m] = (...args) => ttq.push([m, ...args]);
+      });
+      const src = "https://analytics.tiktok.com/i18n/pixel/events.js";
+      ttq._i = { [pixelId]: Object.assign([], { _u: src }) };
+      ttq._t = { [pixelId]: Date.now() };
+      ttq._o = { [pixelId]: {} };
+      injectScript(`${src}?sdkid=${pixelId}&lib=ttq`, "tiktok");
+      ttq.page();
+    },
+    unload() {
+      if (window.ttq && window.ttq.disableCookie) window.ttq.disableCookie();
+      delete window.ttq;
+      removeScripts("tiktok");
+      clearCookies(["_ttp", "_tt_"]);
+    },
+    send(e) {
+      if (e.name === "ExperimentExposure") return; // nothing to optimize ads on
+      window.ttq.track(
+        e.name,
+        {
+          contents: e.items.map((i) => ({ content_id: i.id, content_name: i.name, quantity: i.quantity, price: i.price })),
+          content_type: "product",
+          value: e.value,
+          currency: e.currency,
+          ...(e.coupon ? { coupon: e.coupon } : {}),
+        },
+        { event_id: e.eventId }
+      );
+    },
+  },
+  meta: {
+    category: "marketing",
+    enabled: (c) => !!c.pixelId,
+    load({ pixelId }) {
+      if (window.fbq) return;
+      // Meta's base code: calls queue until fbevents.js takes over
+      const fbq = (...args) => (fbq.callMethod ? fbq.callMethod(...args) : fbq.queue.push(args));
+      Object.assign(fbq, { push: fbq, loaded: true, version: "2.0", queue: [] });
+      window.fbq = window._fbq = fbq;
+      injectScript("https://connect.facebook.net/en_US/fbevents.js", "meta");
+      fbq("init", pixelId);
+      fbq("track", "PageView");
+    },
+    unload() {
+      if (window.fbq) window.fbq("consent", "revoke");
+      delete window.fbq;
+      delete window._fbq;
+      removeScripts("meta");
+      clearCookies(["_fbp", "_fbc"]);
+    },
+    send(e) {
+      if (e.name === "ExperimentExposure") {
+        window.fbq("trackCustom", e.name, { experiment: e.experiment, variant: e.variant }, { eventID: e.eventId });
+        return;
       }
+      // RemoveFromCart and ApplyCoupon aren't Meta standard events
+      const standard = ["ViewContent", "AddToCart", "AddToWishlist", "InitiateCheckout"].includes(e.name);
+      window.fbq(
+        standard ? "track" : "trackCustom",
+        e.name,
+        {
+          content_ids: e.items.map((i) => i.id),
+          content_type: "product",
+          contents: e.items.map((i) => ({ id: i.id, quantity: i.quantity, item_price: i.price })),
+          num_items: e.items.reduce((s, i) => s + i.quantity, 0),
+          value: e.value,
+          currency: e.currency,
+          ...(e.coupon ? { coupon: e.coupon } : {}),
+          ...(e.experiments ? { experiments: experimentsParam(e.experiments) } : {}),
+        },
+        { eventID: e.eventId }
+      );
+    },
+  },
+  ga4: {
+    category: "analytics",
+    enabled: (c) => !!c.measurementId,
+    load({ measurementId }) {
+      window[`ga-disable-${measurementId}`] = false;
+      if (window.gtag) return;
+      window.dataLayer = window.dataLayer || [];
+      window.gtag = function gtag() {
+        window.dataLayer.push(arguments); // gtag.js expects the arguments object itself
+      };
+      window.gtag("js", new Date());
+      window.gtag("config", measurementId);
+      injectScript(`https://www.googletagmanager.com/gtag/js?id=${measurementId}`, "ga4");
+    },
+    unload({ measurementId }) {
+      if (window.gtag) window.gtag("consent", "update", { analytics_storage: "denied", ad_storage: "denied" });
+      window[`ga-disable-${measurementId}`] = true; // gtag.js honors this even while loaded
+      delete window.gtag;
+      removeScripts("ga4");
+      clearCookies(["_ga", "_gid"]);
+    },
+    send(e) {
+      const names = {
+        ViewContent: "view_item",
+        AddToCart: "add_to_cart",
+        RemoveFromCart: "remove_from_cart",
+        AddToWishlist: "add_to_wishlist",
+        InitiateCheckout: "begin_checkout",
+        ApplyCoupon: "apply_coupon", // custom: GA4 has no recommended event for it
+      };
+      if (e.name === "ExperimentExposure") {
+        window.gtag("event", "experiment_exposure", { experiment_id: e.experiment, variant_id: e.variant, event_id: e.eventId });
+        return;
+      }
+      window.gtag("event", names[e.name], {
+        currency: e.currency,
+        value: e.value,
+        ...(e.coupon ? { coupon: e.coupon } : {}),
+        ...(e.experiments ? { experiments: experimentsParam(e.experiments) } : {}),
+        event_id: e.eventId,
+        items: e.items.map((i) => ({ item_id: i.id, item_name: i.name, item_variant: i.variant, price: i.price, quantity: i.quantity })),
+      });
+    },
+  },
+};
+
+const analyticsDebug = () =>
+  ANALYTICS.debug || (typeof window !== "undefined" && new URLSearchParams(window.location.search).has("analytics_debug"));
+
+const loadedAdapters = new Set();
+
+// Load the configured pixels the shopper consented to and route bus events to them (or to the
+// console in debug mode); pixels whose consent is withdrawn are unloaded. The bus holds events until
+// consent has been read (undefined until mount) and the first adapters are subscribed.
+function useAnalytics(consent) {
+  const consentRead = consent !== undefined;
+  const analyticsOk = !!(consent && consent.analytics);
+  const marketingOk = !!(consent && consent.marketing);
+  useEffect(() => {
+    if (!consentRead) return;
+    const granted = { necessary: true, analytics: analyticsOk, marketing: marketingOk };
+    const configured = Object.entries(ANALYTICS_ADAPTERS).filter(([id, adapter]) => ANALYTICS[id] && adapter.enabled(ANALYTICS[id]));
+    const active = configured.filter(([, adapter]) => granted[adapter.category]);
+    if (analyticsDebug()) {
+      const to = active.map(([id]) => id);
+      const off = subscribeAnalytics((e) => console.info(`[analytics] ${e.name}`, e, { to }));
+      startAnalytics();
+      return off;
     }
-  `;
-  const out = await sfy(mutation, { lines });
-  return out.cartCreate.cart;
-}
-
-// Add lines to an existing cart
-async function addCartLines(cartId, lines) {
-  const mutation = `#graphql
-    mutation AddLines($cartId: ID!, $lines: [CartLineInput!]!) {
-      cartLinesAdd(cartId: $cartId, lines: $lines) {
-        cart { id checkoutUrl }
-        userErrors { field message }
+    configured.forEach(([id, adapter]) => {
+      if (!granted[adapter.category] && loadedAdapters.has(id)) {
+        adapter.unload(ANALYTICS[id]);
+        loadedAdapters.delete(id);
       }
+    });
+    active.forEach(([id, adapter]) => {
+      adapter.load(ANALYTICS[id]);
+      loadedAdapters.add(id);
+    });
+    const unsubscribers = active.map(([id, adapter]) =>
+      subscribeAnalytics((e) => {
+        try {
+          adapter.send(e);
+        } catch (err) {
+          console.warn(`Analytics adapter ${id} failed on ${e.name}`, err);
+        }
+      })
+    );
+    startAnalytics();
+    return () => unsubscribers.forEach((off) => off());
+  }, [consentRead, analyticsOk, marketingOk]);
+}
+
+// ----------------------------
+// Experiments
+// ----------------------------
+// Assignments are {experimentId: {variant, params, reported}}. The server can't know the visitor, so
+// every page renders the controls until mount and switches to the visitor's variants after.
+const EXPERIMENT_STORAGE_KEY = "glowExperiments";
+
+function controlAssignments() {
+  return Object.fromEntries(
+    Object.entries(EXPERIMENTS).map(([id, exp]) => [id, { variant: exp.variants[0].id, params: exp.variants[0].params || {}, reported: false }])
+  );
+}
+
+// Weighted draw over variants with weight > 0
+function drawVariant(variants, rand = Math.random()) {
+  let x = rand * variants.reduce((s, v) => s + v.weight, 0);
+  return (variants.find((v) => (x -= v.weight) < 0) || variants[0]).id;
+}
+
+// ?exp=announcement:giftFocus,atcCopy:getYours -> {announcement: "giftFocus", atcCopy: "getYours"}
+function experimentOverrides() {
+  const param = new URLSearchParams(window.location.search).get("exp") || "";
+  return Object.fromEntries(
+    param
+      .split(",")
+      .map((pair) => pair.split(":"))
+      .filter(([id, variant]) => EXPERIMENTS[id] && EXPERIMENTS[id].variants.some((v) => v.id === variant))
+  );
+}
+
+// Reuse the visitor's stored variants and draw the missing ones -> {assignments, sticky}, sticky being
+// the {id: variant} to store. A stored variant whose weight is now 0 is redrawn; a paused experiment
+// keeps its stored variant for when it resumes.
+function assignExperiments() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(EXPERIMENT_STORAGE_KEY) || "{}");
+  } catch {
+    // unreadable: draw again, as for a new visitor
+  }
+  const overrides = experimentOverrides();
+  const sticky = {};
+  const assignments = {};
+  Object.entries(EXPERIMENTS).forEach(([id, exp]) => {
+    const inRotation = exp.variants.filter((v) => v.weight > 0);
+    let variant = exp.variants[0].id;
+    if (exp.enabled && inRotation.length) {
+      variant = inRotation.some((v) => v.id === stored[id]) ? stored[id] : drawVariant(inRotation);
+      sticky[id] = variant;
+    } else if (stored[id]) {
+      sticky[id] = stored[id];
     }
-  `;
-  const out = await sfy(mutation, { cartId, lines });
-  return out.cartLinesAdd.cart;
-}
-
-const PRODUCT_DATA = {
-  id: "led-glow-string-lights",
-  title: "AuroraGlow™ LED String Lights — 8 Modes, USB + Remote",
-  subtitle: "Instant cozy holiday vibes. Gift-ready packaging.",
-  description:
-    "Transform any space into a festive scene in seconds. Our AuroraGlow™ LED String Lights feature 8 lighting modes, memory function, and low-heat copper wire. Perfect for trees, mantels, bedrooms, and holiday parties.",
-  images: [
-    // Use your CDN images; these are placeholders
-    "https://images.unsplash.com/photo-1511735111819-9a3f7709049c?q=80&w=1600&auto=format&fit=crop",
-    "https://images.unsplash.com/photo-1512207846876-c60b6bdf52ae?q=80&w=1600&auto=format&fit=crop",
-    "https://images.unsplash.com/photo-1516822003754-cca485356ecb?q=80&w=1600&auto=format&fit=crop",
-    "https://images.unsplash.com/photo-1519682577862-22b62b24e493?q=80&w=1600&auto=format&fit=crop",
-  ],
-  rating: 4.8,
-  reviewCount: 2197,
-  basePrice: 24.99, // current selling price
-  compareAtPrice: 39.99, // crossed-out price
-  currency: "USD",
-  soldThisWeek: 1280,
-  freeShippingThreshold: 35,
-  shippingCutoffISO: "2025-12-18T20:00:00-08:00", // PST; update as season progresses
-  bnplCopy: "or 4 interest-free payments of $6.25",
-  badges: ["Bestseller", "Holiday Deal", "Ships from USA"],
-  bullets: [
-    "8 lighting modes + memory",
-    "USB powered + remote included",
-    "Flexible copper wire · low heat",
-    "Indoor & outdoor (IP44) rated",
-    "Gift-ready eco packaging",
-  ],
-  variants: [
-    // ⚠️ Add your Shopify variant GIDs here (copy from Admin > Products > variant > GraphQL ID)
-    { id: "warm-10m", gid: "gid://shopify/ProductVariant/1234567890", name: "Warm White · 10m (33ft)", color: "#F6E27A", price: 24.99, stock: 212 },
-    { id: "warm-20m", gid: "gid://shopify/ProductVariant/1234567891", name: "Warm White · 20m (66ft)", color: "#F6E27A", price: 29.99, stock: 163 },
-    { id: "multicolor-10m", gid: "gid://shopify/ProductVariant/1234567892", name: "Multi-Color · 10m (33ft)", color: "#7BCDEF", price: 26.99, stock: 97 },
-    { id: "multicolor-20m", gid: "gid://shopify/ProductVariant/1234567893", name: "Multi-Color · 20m (66ft)", color: "#7BCDEF", price: 31.99, stock: 74 },
-  ],
-  // UGC/TikTok-like short clips or images
-  ugc: [
-    { type: "img", src: "https://images.unsplash.com/photo-1514525253161-7a46d19cd819?q=80&w=1600&auto=format&fit=crop", alt: "Bedroom before/after glow" },
-    { type: "img", src: "https://images.unsplash.com/photo-1512917774080-9991f1c4c750?q=80&w=1600&auto=format&fit=crop", alt: "Tree wrap demo" },
-    { type: "img", src: "https://images.unsplash.com/photo-1513289931115-39538e9d2f71?q=80&w=1600&auto=format&fit=crop", alt: "Mantel styling" },
-    { type: "img", src: "https://images.unsplash.com/photo-1483721310020-03333e577078?q=80&w=1600&auto=format&fit=crop", alt: "Party string lights" },
-  ],
+    const shown = exp.variants.find((v) => v.id === (overrides[id] || variant));
+    assignments[id] = { variant: shown.id, params: shown.params || {}, reported: exp.enabled && !overrides[id] };
+  });
+  return { assignments, sticky };
+}
+
+// Variant names only, no visitor ID: keeps the page the shopper saw consistent. Sticky across visits
+// only with analytics consent; without it the draw lasts for this page load. Stored at mount and again
+// when analytics consent is granted, so a draw made before the banner was answered sticks.
+function useExperiments(consent) {
+  const [drawn, setDrawn] = useState(() => ({ assignments: controlAssignments(), sticky: null }));
+  const analyticsOk = !!(consent && consent.analytics);
+  useEffect(() => setDrawn(assignExperiments()), []);
+  useEffect(() => {
+    if (drawn.sticky) storeItem(EXPERIMENT_STORAGE_KEY, JSON.stringify(drawn.sticky), "analytics");
+  }, [drawn, analyticsOk]);
+  return drawn.assignments;
+}
+
+const ExperimentContext = createContext(controlAssignments());
+
+// An experiment's assignment; rendering with it reports the exposure (once per page load)
+function useExperimentVariant(assignments, id) {
+  const assignment = assignments[id];
+  if (!assignment) throw new Error(`Unknown experiment: ${id}`);
+  const { variant, reported } = assignment;
+  useEffect(() => {
+    if (!reported || exposedExperiments.has(id)) return;
+    exposedExperiments.set(id, variant);
+    track("ExperimentExposure", { experiment: id, variant });
+  }, [id, variant, reported]);
+  return assignment;
+}
+
+// For components under <ExperimentContext.Provider>
+const useExperiment = (id) => useExperimentVariant(useContext(ExperimentContext), id);
+
+// {announcement: "giftFocus", atcCopy: "control"} -> "announcement:giftFocus,atcCopy:control" (vendor params are flat)
+const experimentsParam = (experiments) =>
+  Object.entries(experiments)
+    .map(([id, variant]) => `${id}:${variant}`)
+    .join(",");
+
+// ----------------------------
+// Reviews
+// ----------------------------
+// Sources and review helpers are in reviews.js.
+
+// status: "loading" | "ready" | "error"; aggregate is null until loaded. `initial` ({reviews, aggregate})
+// comes from a server render; the client reloads them like the product.
+function useReviews(product, initial = null) {
+  const [state, setState] = useState(() =>
+    initial ? { status: "ready", reviews: initial.reviews, aggregate: initial.aggregate || reviewAggregate(initial.reviews) } : { status: "loading", reviews: [], aggregate: null }
+  );
+  const productKey = product.gid || product.id;
+  const productRef = useRef(product);
+  productRef.current = product;
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const out = await REVIEW_SOURCES[REVIEWS.source].load(productRef.current);
+        if (cancelled) return;
+        setState({ status: "ready", reviews: out.reviews, aggregate: out.aggregate || reviewAggregate(out.reviews) });
+      } catch (e) {
+        console.warn("Reviews unavailable", e);
+        if (!cancelled) setState({ status: "error", reviews: [], aggregate: null });
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [productKey]);
+
+  // New reviews go to moderation, so they're not added to the list or the aggregate here
+  const submit = (review) => REVIEW_SOURCES[REVIEWS.source].submit(review, productRef.current);
+
+  return { ...state, submit };
+}
+
+// ----------------------------
+// Order tracking
+// ----------------------------
+// Sources and order helpers are in order-tracking.js.
+
+// status: "idle" | "loading" | "found" | "notFound" | "error"; only the latest lookup updates it
+function useOrderLookup() {
+  const [state, setState] = useState({ status: "idle", order: null });
+  const latest = useRef(0);
+
+  async function lookup(query) {
+    const id = ++latest.current;
+    setState({ status: "loading", order: null });
+    try {
+      const order = await TRACKING_SOURCES[ORDER_TRACKING.source].lookup({
+        orderNumber: query.orderNumber.trim().replace(/^#/, ""),
+        email: query.email.trim(),
+      });
+      if (id === latest.current) setState(order ? { status: "found", order } : { status: "notFound", order: null });
+    } catch (e) {
+      console.warn("Order lookup failed", e);
+      if (id === latest.current) setState({ status: "error", order: null });
+    }
+  }
+
+  function reset() {
+    latest.current++;
+    setState({ status: "idle", order: null });
+  }
+
+  return { ...state, lookup, reset };
+}
+
+// ----------------------------
+// Newsletter
+// ----------------------------
+// A provider subscribes {email, locale, consentedAt} and resolves to "subscribed", "pending" (waiting
+// for the double opt-in confirmation) or "alreadySubscribed"; it throws when the signup failed.
+const NEWSLETTER_PROVIDERS = {
+  mock: {
+    async subscribe({ email }) {
+      await new Promise((resolve) => setTimeout(resolve, NEWSLETTER.mock.latencyMs));
+      if (email === "fail@example.com") throw new Error("Mock newsletter failure");
+      const { storageKey } = NEWSLETTER.mock;
+      const emails = JSON.parse(localStorage.getItem(storageKey) || "[]");
+      if (emails.includes(email)) return "alreadySubscribed";
+      storeItem(storageKey, JSON.stringify([...emails, email]), "necessary");
+      return NEWSLETTER.doubleOptIn ? "pending" : "subscribed";
+    },
+  },
+  // Client Subscriptions API (public key only). It doesn't reveal existing subscribers, and Klaviyo
+  // itself skips the confirmation email for them.
+  klaviyo: {
+    async subscribe({ email, locale, consentedAt }) {
+      const { publicKey, listId } = NEWSLETTER.klaviyo;
+      const res = await fetch(`https://a.klaviyo.com/client/subscriptions/?company_id=${encodeURIComponent(publicKey)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/vnd.api+json", revision: "2024-10-15" },
+        body: JSON.stringify({
+          data: {
+            type: "subscription",
+            attributes: {
+              custom_source: "Footer newsletter",
+              profile: {
+                data: {
+                  type: "profile",
+                  attributes: {
+                    email,
+                    locale,
+                    subscriptions: { email: { marketing: { consent: "SUBSCRIBED", consented_at: consentedAt } } },
+                  },
+                },
+              },
+            },
+            relationships: { list: { data: { type: "list", id: listId } } },
+          },
+        }),
+      });
+      if (!res.ok) throw new Error(`Klaviyo subscribe failed ${res.status}`);
+      return NEWSLETTER.doubleOptIn ? "pending" : "subscribed";
+    },
+  },
+  // Mailchimp's embedded-form endpoint; it only answers cross-origin as JSONP
+  mailchimp: {
+    async subscribe({ email }) {
+      const out = await jsonp(`${NEWSLETTER.mailchimp.formAction}&EMAIL=${encodeURIComponent(email)}`);
+      if (out.result === "success") return NEWSLETTER.doubleOptIn ? "pending" : "subscribed";
+      if (/already subscribed/i.test(out.msg)) return "alreadySubscribed";
+      throw new Error(`Mailchimp subscribe failed: ${out.msg}`);
+    },
+  },
+  shopify: {
+    async subscribe({ email, locale, consentedAt }) {
+      const res = await fetch(NEWSLETTER.shopify.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, doubleOptIn: NEWSLETTER.doubleOptIn, locale, consentedAt }),
+      });
+      if (!res.ok) throw new Error(`Newsletter signup failed ${res.status}`);
+      const { status } = await res.json();
+      if (!["subscribed", "pending", "alreadySubscribed"].includes(status)) throw new Error(`Unexpected newsletter status: ${status}`);
+      return status;
+    },
+  },
 };
-  // UGC/TikTok-like short clips or images
-  ugc: [
-    { type: "img", src: "https://images.unsplash.com/photo-1514525253161-7a46d19cd819?q=80&w=1600&auto=format&fit=crop", alt: "Bedroom before/after glow" },
-    { type: "img", src: "https://images.unsplash.com/photo-1512917774080-9991f1c4c750?q=80&w=1600&auto=format&fit=crop", alt: "Tree wrap demo" },
-    { type: "img", src: "https://images.unsplash.com/photo-1513289931115-39538e9d2f71?q=80&w=1600&auto=format&fit=crop", alt: "Mantel styling" },
-    { type: "img", src: "https://images.unsplash.com/photo-1483721310020-03333e577078?q=80&w=1600&auto=format&fit=crop", alt: "Party string lights" },
-  ],
+
+// Load a JSONP URL (the callback name is appended as `c`)
+function jsonp(url, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const callback = `jsonp_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const script = document.createElement("script");
+    const done = () => {
+      clearTimeout(timer);
+      delete window[callback];
+      script.remove();
+    };
+    const timer = setTimeout(() => {
+      done();
+      reject(new Error("JSONP request timed out"));
+    }, timeoutMs);
+    window[callback] = (data) => {
+      done();
+      resolve(data);
+    };
+    script.onerror = () => {
+      done();
+      reject(new Error("JSONP request failed"));
+    };
+    script.src = `${url}${url.includes("?") ? "&" : "?"}c=${callback}`;
+    document.head.appendChild(script);
+  });
+}
+
+function validateSignup(draft) {
+  const errors = {};
+  if (!isEmail(draft.email)) errors.email = { key: "newsletter.invalid.email" };
+  if (!draft.consent) errors.consent = { key: "newsletter.invalid.consent" };
+  return errors;
+}
+
+// status: "idle" | "loading" | "subscribed" | "pending" | "alreadySubscribed" | "error"
+function useNewsletter() {
+  const [status, setStatus] = useState("idle");
+  const { market } = useLocale();
+
+  async function subscribe(email) {
+    setStatus("loading");
+    try {
+      const result = await NEWSLETTER_PROVIDERS[NEWSLETTER.provider].subscribe({
+        email: email.trim().toLowerCase(),
+        locale: market.locale,
+        consentedAt: new Date().toISOString(),
+      });
+      setStatus(result);
+    } catch (e) {
+      console.warn("Newsletter signup failed", e);
+      setStatus("error");
+    }
+  }
+
+  return { status, subscribe };
+}
+
+// ----------------------------
+// Wishlist
+// ----------------------------
+// The buy box heart and "Save for later" in the cart drawer share one list, kept in this browser.
+// Items are cart-line shaped and stored like the cart ({productId, variantId, ids, qty}, rebuilt against
+// the current product and add-ons on read), except that sold-out items stay listed. A share link
+// (?wishlist=<variant>[:qty],… with variantParam keys) adds its items to the list of whoever opens it.
+const WISHLIST_STORAGE_KEY = "glowWishlist";
+const WISHLIST_STORAGE_VERSION = 1;
+const WISHLIST_PARAM = "wishlist";
+
+// Rebuild items against the current product and add-ons; variants that no longer exist drop out
+function restoreWishlist(product, items, addOns = []) {
+  return items.reduce((acc, l) => {
+    const p = lineProduct(product, addOns, l);
+    const v = p && (p.variants.find((x) => x.id === l.variantId) || p.variants.find((x) => sameProviderIds(l.ids, x.ids)));
+    const qty = Math.max(1, Math.floor(Number(l.qty)) || 1);
+    return v ? saveItem(acc, makeCartLine(p, v, Math.min(qty, p.maxPerOrder || 99))) : acc;
+  }, []);
+}
+
+// Add an item, or raise the saved quantity to the item's
+function saveItem(prev, line) {
+  const i = prev.findIndex((l) => l.variantId === line.variantId);
+  if (i === -1) return [...prev, line];
+  const next = [...prev];
+  next[i] = { ...next[i], qty: Math.max(next[i].qty, line.qty) };
+  return next;
+}
+
+function readWishlist(product, addOns) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY) || "null");
+    if (!stored || stored.v !== WISHLIST_STORAGE_VERSION || !Array.isArray(stored.items)) return [];
+    return restoreWishlist(product, stored.items, addOns);
+  } catch (e) {
+    console.warn("Discarding unreadable stored wishlist", e);
+    return [];
+  }
+}
+
+function writeWishlist(items) {
+  const json = JSON.stringify({
+    v: WISHLIST_STORAGE_VERSION,
+    items: items.map((l) => ({ productId: l.productId, variantId: l.variantId, ids: l.ids, qty: l.qty })),
+  });
+  if (localStorage.getItem(WISHLIST_STORAGE_KEY) !== json) storeItem(WISHLIST_STORAGE_KEY, json, "necessary");
+}
+
+// ?wishlist= value -> items; keys nothing on this page sells are skipped
+function sharedWishlist(product, addOns, param) {
+  return param.split(",").reduce((acc, entry) => {
+    const [key, count] = entry.split(":");
+    for (const p of [product, ...addOns]) {
+      const v = findVariantByKey(p.variants, key);
+      if (v) return saveItem(acc, makeCartLine(p, v, Math.min(Math.max(1, Math.floor(Number(count)) || 1), p.maxPerOrder || 99)));
+    }
+    return acc;
+  }, []);
+}
+
+function wishlistShareUrl(items) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  const keys = items.map((l) => `${encodeURIComponent(variantParam({ id: l.variantId, ids: l.ids }))}${l.qty > 1 ? `:${l.qty}` : ""}`);
+  url.search = `?${WISHLIST_PARAM}=${keys.join(",")}`; // ":" and "," left readable
+  return url.toString();
+}
+
+// Native share sheet where there is one, else the clipboard -> "shared" | "copied"
+async function shareWishlist(items, title) {
+  const url = wishlistShareUrl(items);
+  if (navigator.share) {
+    await navigator.share({ title, url });
+    return "shared";
+  }
+  await navigator.clipboard.writeText(url);
+  return "copied";
+}
+
+// ----------------------------
+// Back in stock
+// ----------------------------
+// A provider records {email, product, variant, locale, requestedAt} and resolves to "subscribed" or
+// "alreadySubscribed"; it throws when that failed.
+const BACK_IN_STOCK_PROVIDERS = {
+  mock: {
+    async subscribe({ email, variant }) {
+      await new Promise((resolve) => setTimeout(resolve, BACK_IN_STOCK.mock.latencyMs));
+      if (email === "fail@example.com") throw new Error("Mock back-in-stock failure");
+      const { storageKey } = BACK_IN_STOCK.mock;
+      const requests = JSON.parse(localStorage.getItem(storageKey) || "[]");
+      const key = `${email}|${variant.id}`;
+      if (requests.includes(key)) return "alreadySubscribed";
+      storeItem(storageKey, JSON.stringify([...requests, key]), "necessary");
+      return "subscribed";
+    },
+  },
+  // Klaviyo catalog variants synced from Shopify are keyed by the numeric variant ID
+  klaviyo: {
+    async subscribe({ email, variant }) {
+      if (!shopifyGid(variant)) throw new Error(`Variant ${variant.id} has no Shopify ID for Klaviyo`);
+      const res = await fetch(`https://a.klaviyo.com/client/back-in-stock-subscriptions/?company_id=${encodeURIComponent(BACK_IN_STOCK.klaviyo.publicKey)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/vnd.api+json", revision: "2024-10-15" },
+        body: JSON.stringify({
+          data: {
+            type: "back-in-stock-subscription",
+            attributes: { channels: ["EMAIL"], profile: { data: { type: "profile", attributes: { email } } } },
+            relationships: { variant: { data: { type: "catalog-variant", id: `$shopify:::$default:::${gidTail(shopifyGid(variant))}` } } },
+          },
+        }),
+      });
+      if (!res.ok) throw new Error(`Klaviyo back-in-stock subscribe failed ${res.status}`);
+      return "subscribed";
+    },
+  },
+  webhook: {
+    async subscribe({ email, product, variant, locale, requestedAt }) {
+      const res = await fetch(BACK_IN_STOCK.webhook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, productId: product.id, variantId: variant.id, ids: variant.ids, locale, requestedAt }),
+      });
+      if (!res.ok) throw new Error(`Back-in-stock request failed ${res.status}`);
+      const { status } = await res.json();
+      if (!["subscribed", "alreadySubscribed"].includes(status)) throw new Error(`Unexpected back-in-stock status: ${status}`);
+      return status;
+    },
+  },
 };
 
-// Utility: currency format
-const fmt = (n) => new Intl.NumberFormat("en-US", { style: "currency", currency: PRODUCT_DATA.currency }).format(n);
+// status: "idle" | "loading" | "subscribed" | "alreadySubscribed" | "error"
+function useBackInStock() {
+  const [status, setStatus] = useState("idle");
+  const { market } = useLocale();
+
+  async function subscribe(email, product, variant) {
+    setStatus("loading");
+    try {
+      const result = await BACK_IN_STOCK_PROVIDERS[BACK_IN_STOCK.provider].subscribe({
+        email: email.trim().toLowerCase(),
+        product,
+        variant,
+        locale: market.locale,
+        requestedAt: new Date().toISOString(),
+      });
+      setStatus(result);
+    } catch (e) {
+      console.warn("Back-in-stock signup failed", e);
+      setStatus("error");
+    }
+  }
+
+  return { status, subscribe, reset: () => setStatus("idle") };
+}
+
+// ----------------------------
+// Server rendering
+// ----------------------------
+// Props for <EcommerceHolidayProduct /> on the server. The same object is embedded in the page and
+// passed again to hydrateRoot, so the first client render matches the server's exactly.
+// readPublicFile(url) -> text reads what the browser would fetch from a root-relative URL (e.g.
+// REVIEWS.local.url); a server has no origin to fetch those from.
+async function loadPageData(handle = SHOPIFY.productHandle, country = MARKETS[0].country, { readPublicFile } = {}) {
+  const market = marketFor(country);
+  // PRODUCT_DATA only stands in for its own product
+  if (!isShopifyConfigured() && handle !== SHOPIFY.productHandle) throw new Error(`No Shopify store configured to load ${handle}`);
+  let product = PRODUCT_DATA;
+  if (isShopifyConfigured()) {
+    try {
+      product = await fetchProduct(handle, market);
+    } catch (e) {
+      if (handle !== SHOPIFY.productHandle) throw e;
+      console.warn(`Prerendering ${handle} from PRODUCT_DATA`, e);
+    }
+  }
+  let reviews = null;
+  try {
+    const out = await REVIEW_SOURCES[REVIEWS.source].load(product, { readPublicFile });
+    reviews = { reviews: out.reviews, aggregate: out.aggregate || reviewAggregate(out.reviews) };
+  } catch (e) {
+    console.warn(`Prerendering ${handle} without reviews`, e);
+  }
+  return { handle, country: market.country, product, reviews, renderedAt: new Date().toISOString() };
+}
+
+// Server renders collect head tags here (see prerender.jsx); in the browser there's no provider
+const HeadContext = createContext(null);
 
 // ----------------------------
 // Main Component
 // ----------------------------
-export default function EcommerceHolidayProduct() {
-  const [selectedVariant, setSelectedVariant] = useState(PRODUCT_DATA.variants[0]);
+// Props (all optional; without them, e.g. a plain client render, everything loads in the browser):
+//   handle      Storefront product handle (default SHOPIFY.productHandle)
+//   country     market to render, a MARKETS country code (default the first market)
+//   product     product in PRODUCT_DATA shape, already fetched for that market (see loadPageData)
+//   reviews     {reviews, aggregate} from the reviews source
+//   renderedAt  ISO time of the server render; pins the clock for the first render so the
+//               countdown hydrates without a mismatch
+export default function EcommerceHolidayProduct({
+  handle = SHOPIFY.productHandle,
+  country = MARKETS[0].country,
+  product: initialProduct = null,
+  reviews: initialReviews = null,
+  renderedAt = null,
+}) {
+  const [market, setMarket] = useState(() => marketFor(country));
+  const { product: loadedProduct, status: productStatus } = useStorefrontProduct(handle, market, initialProduct);
+  const loading = productStatus === "loading";
+  const { consent, gpc, saveConsent } = useConsent();
+  // Offer tests swap product data (badges, bundle tiers) for everything downstream: display, pricing, cart
+  const experiments = useExperiments(consent);
+  const badgeTest = useExperimentVariant(experiments, "badges");
+  const bundleTest = useExperimentVariant(experiments, "bundleOffer");
+  const product = useMemo(
+    () => ({ ...loadedProduct, ...badgeTest.params, ...bundleTest.params }),
+    [loadedProduct, badgeTest.params, bundleTest.params]
+  );
+  const reviews = useReviews(product, initialReviews);
+  const { addOns, rules: upsellRules, ready: addOnsReady } = useAddOns(product, market, loading);
+  const locale = useMemo(() => makeLocale(market, product.currency), [market, product.currency]);
+  const { t, fmt } = locale;
+  const [consentPrefsOpen, setConsentPrefsOpen] = useState(false);
+  const [trackOpen, setTrackOpen] = useState(false);
+  useAnalytics(consent);
+  // Picked up from ?variant= after mount (ads land on a specific SKU); resolved against live or static variants
+  const [selectedVariantId, setSelectedVariantId] = useState(product.variants[0].id);
+  const selectedVariant = findVariantByKey(product.variants, selectedVariantId) || product.variants[0];
   const [qty, setQty] = useState(1);
   const [cartOpen, setCartOpen] = useState(false);
-  const [cart, setCart] = useState([]); // simple in-memory cart
-  const [now, setNow] = useState(new Date());
+  const [cart, setCart] = useState([]); // persisted to localStorage once restored (see below)
+  const [discountCodes, setDiscountCodes] = useState([]); // persisted with the cart
+  const [gift, setGift] = useState(NO_GIFT); // {message, hidePrices}, persisted with the cart; the wrap is a line
+  const [saved, setSaved] = useState([]); // wishlist / saved for later, persisted once restored (see below)
+  const [remoteDiscount, setRemoteDiscount] = useState(null); // last discount state Shopify reported
+  const [discountBusy, setDiscountBusy] = useState(false);
+  const [discountError, setDiscountError] = useState(null);
+  const [checkoutBusy, setCheckoutBusy] = useState(false);
+  const [checkoutError, setCheckoutError] = useState(null); // CheckoutError shown in the drawer
+  const checkoutInFlight = useRef(false); // state updates too late to stop a double click
+  const [now, setNow] = useState(() => (renderedAt ? new Date(renderedAt) : new Date()));
+
+  // Browser-only state is applied after hydration, so the first render matches the server's:
+  // the ?variant= deep link, the shopper's saved or guessed market, and the real clock.
+  // Runs once: the page's props don't change after mount.
+  const [hydrated, setHydrated] = useState(false);
+  useEffect(() => {
+    const key = variantParamFromUrl();
+    if (key) setSelectedVariantId(key);
+    const preferred = preferredMarket();
+    if (preferred.country !== country) {
+      setMarket(preferred);
+      setShipRegion(preferred.shipRegion || SHIPPING.defaultRegion);
+    }
+    setNow(new Date());
+    if (window.location.hash === "#track-order") setTrackOpen(true);
+    setHydrated(true);
+  }, [country]);
 
   // Countdown to shipping cutoff
   useEffect(() => {
@@ -148,252 +1012,605 @@ export default function EcommerceHolidayProduct() {
     return () => clearInterval(t);
   }, []);
 
-  const cutoff = useMemo(() => new Date(PRODUCT_DATA.shippingCutoffISO), []);
-  const timeLeft = Math.max(0, cutoff.getTime() - now.getTime());
-  const countdown = useMemo(() => formatDuration(timeLeft), [timeLeft]);
+  // Delivery estimate; the plan only changes when the date or a cutoff rolls over, so key it by minute
+  const [shipRegion, setShipRegion] = useState(() => market.shipRegion || SHIPPING.defaultRegion);
+  const nowMinute = Math.floor(now.getTime() / 60000);
+  const shipping = useMemo(() => shippingPlan(shipRegion, new Date(nowMinute * 60000)), [shipRegion, nowMinute]);
 
-  const discountPct = Math.round(((PRODUCT_DATA.compareAtPrice - selectedVariant.price) / PRODUCT_DATA.compareAtPrice) * 100);
-  const lineTotal = selectedVariant.price * qty;
+  // Variants from Shopify carry their own compare-at; static variants inherit the product-level one
+  const compareAt = selectedVariant.compareAtPrice ?? product.compareAtPrice;
+  const discountPct = compareAt > selectedVariant.price ? Math.round(((compareAt - selectedVariant.price) / compareAt) * 100) : 0;
+  // Inventory: how many more of the selected variant fit, given stock, maxPerOrder and the cart
+  const stock = stockState(selectedVariant);
+  const inCartQty = (cart.find((l) => l.variantId === selectedVariant.id) || { qty: 0 }).qty;
+  const room = Math.max(0, maxQtyFor(product, selectedVariant) - inCartQty);
+  const canAdd = !loading && room > 0;
+  useEffect(() => {
+    setQty((q) => clampQty(q, room));
+  }, [room]);
 
-  function addToCart() {
-    const line = {
-      productId: PRODUCT_DATA.id,
-      variantId: selectedVariant.id,
-      title: PRODUCT_DATA.title,
-      variantName: selectedVariant.name,
-      price: selectedVariant.price,
-      qty,
-      image: PRODUCT_DATA.images[0],
+  const bundleTier = bundleTierFor(product.bundles, qty);
+  const lineTotal = round2(bundleUnitPrice(selectedVariant.price, bundleTier) * qty);
+
+  // Keep ?variant= in step with the selection (replaceState: no history entry per click)
+  useEffect(() => {
+    if (loading || !hydrated) return;
+    const url = new URL(window.location.href);
+    url.searchParams.set("variant", variantParam(selectedVariant));
+    window.history.replaceState(window.history.state, "", url);
+  }, [loading, hydrated, selectedVariant]);
+
+  // ViewContent once per variant per page view (the stable eventId absorbs effect re-runs)
+  const pageViewId = useMemo(newEventId, []);
+  useEffect(() => {
+    if (loading || !hydrated) return;
+    track("ViewContent", {
+      eventId: `${pageViewId}:view:${selectedVariant.id}`,
+      currency: product.currency,
+      ...cartEvent(priceCart(product, [makeCartLine(product, selectedVariant, 1)])),
+    });
+  }, [loading, hydrated, product, selectedVariant, pageViewId]);
+
+  // Switching market refetches the product in that market's currency and language; the
+  // delivery estimate follows to the market's shipping region
+  function changeMarket(country) {
+    const next = marketFor(country);
+    setMarket(next);
+    setShipRegion(next.shipRegion || SHIPPING.defaultRegion);
+    storeItem(MARKET_STORAGE_KEY, next.country, "necessary");
+  }
+
+  // Restore the cart once we know which variants exist (live or fallback, add-ons included). The
+  // persisted local cart wins; with none, adopt the lines of the checkout provider's stored cart.
+  const [cartReady, setCartReady] = useState(false);
+  useEffect(() => {
+    if (loading || !addOnsReady || cartReady) return;
+    const stored = readStoredCart(product, addOns);
+    setCart(stored.lines);
+    setDiscountCodes(stored.discountCodes);
+    setGift(stored.gift);
+    const provider = checkoutProvider();
+    if (stored.lines.length || !provider.hasCart()) {
+      setCartReady(true);
+      return;
+    }
+    (async () => {
+      try {
+        const remoteLines = await provider.restore();
+        if (remoteLines) setCart((prev) => (prev.length ? prev : cartFromRemote(product, remoteLines, addOns)));
+      } catch (e) {
+        console.warn(`Could not load the ${CHECKOUT.provider} cart`, e);
+      } finally {
+        setCartReady(true);
+      }
+    })();
+  }, [loading, addOnsReady, cartReady, product, addOns]);
+
+  // Cart lines carry display prices: re-price them when the product or add-ons are refetched for
+  // another market
+  const cartPricedFor = useRef({ product, addOns });
+  useEffect(() => {
+    if (cartPricedFor.current.product === product && cartPricedFor.current.addOns === addOns) return;
+    cartPricedFor.current = { product, addOns };
+    setCart((prev) => restoreCart(product, prev, addOns));
+    setSaved((prev) => restoreWishlist(product, prev, addOns));
+  }, [product, addOns]);
+
+  // Persist every change; other tabs pick it up through the storage event
+  useEffect(() => {
+    if (cartReady) writeStoredCart(cart, discountCodes, gift);
+  }, [cartReady, cart, discountCodes, gift]);
+
+  const cartFromOtherTab = useRef(false);
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== CART_STORAGE_KEY) return;
+      const stored = readStoredCart(product, addOns);
+      cartFromOtherTab.current = true;
+      setCart(stored.lines);
+      setDiscountCodes(stored.discountCodes);
+      setGift(stored.gift);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [product, addOns]);
+
+  // Push local edits (qty changes, removals) to the provider's cart, debounced.
+  // Edits made in another tab were already pushed by that tab.
+  useEffect(() => {
+    if (cartFromOtherTab.current) {
+      cartFromOtherTab.current = false;
+      return;
+    }
+    if (!cartReady || !checkoutProvider().hasCart()) return;
+    const t = setTimeout(() => {
+      syncRemoteCart(discountCodes)
+        .then(({ discount }) => setRemoteDiscount(discount))
+        .catch((e) => console.warn(`${CHECKOUT.provider} cart sync failed`, e));
+    }, 600);
+    return () => clearTimeout(t);
+  }, [cartReady, cart, discountCodes, gift, product, market]);
+
+  // Gift wrap only goes with something to wrap
+  useEffect(() => {
+    if (cart.length && cart.every((l) => l.productId === GIFT.wrap.id)) setCart([]);
+  }, [cart]);
+
+  // Restore the wishlist like the cart; a shared ?wishlist= link adds its items and opens the drawer
+  // to show them, then leaves the URL so a reload doesn't add them again
+  const [wishlistReady, setWishlistReady] = useState(false);
+  useEffect(() => {
+    if (loading || !addOnsReady || wishlistReady) return;
+    let items = readWishlist(product, addOns);
+    const url = new URL(window.location.href);
+    const shared = url.searchParams.get(WISHLIST_PARAM);
+    if (shared) {
+      items = sharedWishlist(product, addOns, shared).reduce(saveItem, items);
+      url.searchParams.delete(WISHLIST_PARAM);
+      window.history.replaceState(window.history.state, "", url);
+      setCartOpen(true);
+    }
+    setSaved(items);
+    setWishlistReady(true);
+  }, [loading, addOnsReady, wishlistReady, product, addOns]);
+
+  useEffect(() => {
+    if (wishlistReady) writeWishlist(saved);
+  }, [wishlistReady, saved]);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === WISHLIST_STORAGE_KEY) setSaved(readWishlist(product, addOns));
     };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [product, addOns]);
+
+  const savedLines = saved.map((l) => {
+    const p = lineProduct(product, addOns, l);
+    return { ...l, available: !!p && isAvailable(p.variants.find((v) => v.id === l.variantId)) };
+  });
+  const isSaved = saved.some((l) => l.variantId === selectedVariant.id);
+
+  // The buy box heart: saves one of the selected variant, sold out or not
+  function toggleWishlist() {
+    if (loading) return;
+    if (isSaved) {
+      setSaved((prev) => prev.filter((l) => l.variantId !== selectedVariant.id));
+      return;
+    }
+    const line = makeCartLine(product, selectedVariant, 1);
+    setSaved((prev) => saveItem(prev, line));
+    track("AddToWishlist", { currency: product.currency, ...cartEvent(priceCart(product, [line])) });
+  }
+
+  function saveForLater(variantId) {
+    const line = cart.find((l) => l.variantId === variantId);
+    if (!line) return;
+    setSaved((prev) => saveItem(prev, line));
+    removeLine(variantId);
+  }
+
+  function moveToCart(variantId) {
+    const line = saved.find((l) => l.variantId === variantId);
+    const from = line && lineProduct(product, addOns, line);
+    const variant = from && from.variants.find((v) => v.id === variantId);
+    if (isAvailable(variant) && addVariantToCart(variant, line.qty, from)) {
+      setSaved((prev) => prev.filter((l) => l.variantId !== variantId));
+    }
+  }
+
+  function addToCart() {
+    if (!canAdd) return;
+    addVariantToCart(selectedVariant, qty);
+  }
+
+  // Adds up to `count` of a variant of `from` (the product or an add-on; whatever still fits) and opens
+  // the cart -> whether anything was added
+  function addVariantToCart(variant, count, from = product) {
+    const inCart = (cart.find((l) => l.variantId === variant.id) || { qty: 0 }).qty;
+    const fits = Math.min(count, maxQtyFor(from, variant) - inCart);
+    if (loading || fits <= 0) return false;
+    const line = makeCartLine(from, variant, fits);
     setCart((prev) => mergeCart(prev, line));
     setCartOpen(true);
-    // Tracking placeholder: TikTok Pixel AddToCart
-    // window.ttq && window.ttq.track('AddToCart', { content_id: selectedVariant.id, value: lineTotal, currency: PRODUCT_DATA.currency });
+    track("AddToCart", { currency: product.currency, ...cartEvent(priceCart(product, [line])) });
+    return true;
+  }
+
+  function changeLineQty(variantId, delta) {
+    const line = pricedCart.find((l) => l.variantId === variantId);
+    const max = line ? line.maxQty : 0;
+    setCart((prev) => changeQty(prev, variantId, delta, max));
+    // Only an actual decrement counts as a removal; the stepper stops at 1
+    if (line && delta < 0 && line.qty > 1) {
+      track("RemoveFromCart", { currency: product.currency, ...cartEvent([{ ...line, qty: 1, total: line.unitPrice }]) });
+    }
+  }
+
+  function removeLine(variantId) {
+    const line = pricedCart.find((l) => l.variantId === variantId);
+    setCart((prev) => prev.filter((l) => l.variantId !== variantId));
+    if (line) track("RemoveFromCart", { currency: product.currency, ...cartEvent([line]) });
+  }
+
+  // The provider's cart mirrors the local one with these codes, as far as this page's merchandise goes
+  // (it's replaced, not appended to); lines other pages added to the shared cart stay
+  function syncRemoteCart(codes) {
+    return checkoutProvider().sync({
+      lines: checkoutLines(product, cart, addOns, gift),
+      managedIds: managedLineIds(product, addOns),
+      discountCodes: cartDiscountCodes(product, cart, codes),
+      hiddenCodes: bundleCodes(product),
+      country: market.country,
+      attributes: giftAttributes(gift),
+    });
+  }
+
+  // Gift wrap is a line of its own; toggling it adds or removes that line
+  const wrapProduct = addOns.find((p) => p.id === GIFT.wrap.id);
+  function toggleGiftWrap(on) {
+    const variant = wrapProduct && wrapProduct.variants[0];
+    if (!variant) return;
+    if (on) addVariantToCart(variant, 1, wrapProduct);
+    else removeLine(variant.id);
   }
 
   function onCheckout() {
-    // Convert local cart -> Shopify CartLines and redirect to checkoutUrl
-    const lines = cart.map((l) => ({
-      // 👉 Replace with your real variant GIDs (graphql IDs) from Shopify for each variant
-      // You can store a mapping on each variant in PRODUCT_DATA.variants as `gid`
-      merchandiseId: variantGidById(l.variantId),
-      quantity: l.qty,
-    }));
+    if (checkoutInFlight.current) return;
+    checkoutInFlight.current = true;
+    setCheckoutBusy(true);
+    setCheckoutError(null);
+    // Sync the provider's cart one last time, then redirect to its checkout
+    (async () => {
+      try {
+        const session = await checkoutProvider().checkout({
+          lines: checkoutLines(product, cart, addOns, gift),
+          managedIds: managedLineIds(product, addOns),
+          discountCodes: cartDiscountCodes(product, cart, discountCodes),
+          country: market.country,
+          attributes: giftAttributes(gift),
+        });
+        // Keyed by cart so retrying a checkout doesn't count twice
+        track("InitiateCheckout", {
+          eventId: `checkout:${session.id}`,
+          currency: product.currency,
+          ...cartEvent(pricedCart),
+          value: round2(subtotal - discount.amount),
+          ...(discountCodes.length ? { coupon: discountCodes.join(",") } : {}),
+        });
+        window.location.href = session.url;
+      } catch (e) {
+        console.error(e);
+        setCheckoutError(e);
+      } finally {
+        checkoutInFlight.current = false;
+        setCheckoutBusy(false);
+      }
+    })();
+  }
+
+  // An error about the previous cart contents no longer applies
+  useEffect(() => setCheckoutError(null), [cart]);
 
-    // Persist cartId so returning users keep the same checkout
-    const existing = localStorage.getItem("shopifyCartId");
+  // Discount codes: evaluated locally against DISCOUNT_RULES without a store (or with Stripe, which
+  // only sees them at checkout), otherwise by the checkout provider.
+  // The drawer applies one code at a time: a new code replaces the current one.
+  const localDiscounts = !checkoutProvider().configured() || !checkoutProvider().pricesDiscounts;
 
+  // `added` is the code the shopper just entered: ApplyCoupon fires once it's accepted
+  function applyDiscountCodes(codes, added = null) {
+    setDiscountCodes(codes);
+    setDiscountError(null);
+    const couponEvent = () => ({ currency: product.currency, ...cartEvent(pricedCart), coupon: added });
+    if (localDiscounts) {
+      const result = evaluateLocalDiscounts(codes, subtotal);
+      if (added && result.codes.some((c) => c.code === added && c.applicable)) track("ApplyCoupon", couponEvent());
+      return;
+    }
+    setDiscountBusy(true);
     (async () => {
       try {
-        let cartObj;
-        if (!existing) {
-          cartObj = await createCart(lines);
-          localStorage.setItem("shopifyCartId", cartObj.id);
-        } else {
-          cartObj = await addCartLines(existing, lines);
-        }
-        // Fire pixels if needed, then redirect
-        // window.ttq && window.ttq.track('InitiateCheckout');
-        window.location.href = cartObj.checkoutUrl;
+        const { discount: remote } = await syncRemoteCart(codes);
+        setRemoteDiscount(remote);
+        if (added && remote.codes.some((c) => c.code.toUpperCase() === added && c.applicable)) track("ApplyCoupon", couponEvent());
       } catch (e) {
         console.error(e);
-        alert("Checkout error — check your Shopify credentials and variant IDs.");
+        setDiscountError(t(checkoutErrorKey(e), { message: e.message }));
+      } finally {
+        setDiscountBusy(false);
       }
     })();
   }
 
-  const subtotal = cart.reduce((s, l) => s + l.price * l.qty, 0);
-  const qualifiesFreeShip = subtotal >= PRODUCT_DATA.freeShippingThreshold;
+  // Cart lines with bundle pricing applied; subtotal is after bundle savings, before codes
+  const pricedCart = priceCart(product, cart).map((l) => {
+    const p = lineProduct(product, addOns, l);
+    const v = p && findVariantByKey(p.variants, l.variantId);
+    return { ...l, maxQty: maxQtyFor(p || product, v), shipNote: v ? shipNote(v, l.qty, locale) : null, attributes: lineAttributes(l, gift) };
+  });
+  const subtotal = round2(pricedCart.reduce((s, l) => s + l.total, 0));
+  const bundleSavings = round2(pricedCart.reduce((s, l) => s + l.price * l.qty - l.total, 0));
+  const discount = localDiscounts
+    ? evaluateLocalDiscounts(discountCodes, subtotal, now)
+    : remoteDiscount && sameCodes(remoteDiscount.codes.map((c) => c.code), discountCodes)
+      ? remoteDiscount
+      : { codes: discountCodes.map((code) => ({ code, applicable: null, reason: null })), amount: 0, freeShipping: false };
+  // The market's threshold is in its own currency, so it only applies once prices are too
+  const freeShipThreshold = product.currency === market.currency ? market.freeShippingThreshold : product.freeShippingThreshold;
+  const qualifiesFreeShip = subtotal >= freeShipThreshold || discount.freeShipping;
+  const upsells = cart.length ? upsellSuggestions(product, addOns, upsellRules, cart, qualifiesFreeShip ? 0 : round2(freeShipThreshold - subtotal)) : [];
 
   return (
-    <div className="min-h-screen bg-neutral-50 text-neutral-900">
-      <SEOHead />
-      <AnnouncementBar />
-      <Header cartCount={cart.reduce((s, l) => s + l.qty, 0)} onCart={() => setCartOpen(true)} />
+    <LocaleContext.Provider value={locale}>
+      <ExperimentContext.Provider value={experiments}>
+        <div className="min-h-screen bg-neutral-50 text-neutral-900" lang={market.locale}>
+          <SEOHead product={product} variant={selectedVariant} reviews={reviews} handle={handle} />
+          <AnnouncementBar freeShipThreshold={freeShipThreshold} />
+          <Header
+            cartCount={cart.reduce((s, l) => s + l.qty, 0)}
+            onCart={() => setCartOpen(true)}
+            onTrackOrder={() => setTrackOpen(true)}
+            markets={MARKETS}
+            market={market}
+            onMarket={changeMarket}
+          />
 
-      <main className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* Left: Gallery */}
-          <Gallery images={PRODUCT_DATA.images} badges={PRODUCT_DATA.badges} />
+          <main className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-8">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              {/* Left: Gallery */}
+              {loading ? (
+                <GallerySkeleton />
+              ) : (
+                <Gallery media={product.media} badges={product.badges} variant={selectedVariant} />
+              )}
 
-          {/* Right: Buy Box */}
-          <section aria-label="Purchase options" className="flex flex-col gap-5">
-            <h1 className="text-3xl md:text-4xl font-bold tracking-tight">{PRODUCT_DATA.title}</h1>
-            <p className="text-neutral-600 -mt-2">{PRODUCT_DATA.subtitle}</p>
+              {/* Right: Buy Box */}
+              <section aria-label={t("buy.label")} aria-busy={loading} className="flex flex-col gap-5">
+                {loading ? (
+                  <Skeleton className="h-10 w-4/5" />
+                ) : (
+                  <h1 className="text-3xl md:text-4xl font-bold tracking-tight">{product.title}</h1>
+                )}
+                <p className="text-neutral-600 -mt-2">{product.subtitle}</p>
 
-            <Rating rating={PRODUCT_DATA.rating} count={PRODUCT_DATA.reviewCount} />
+                {reviews.status === "loading" ? (
+                  <Skeleton className="h-5 w-48" />
+                ) : (
+                  reviews.aggregate && reviews.aggregate.count > 0 && <Rating rating={reviews.aggregate.rating} count={reviews.aggregate.count} />
+                )}
 
-            <PriceBlock
-              price={selectedVariant.price}
-              compareAt={PRODUCT_DATA.compareAtPrice}
-              discountPct={discountPct}
-              bnplCopy={PRODUCT_DATA.bnplCopy}
-            />
+                {loading ? (
+                  <Skeleton className="h-9 w-1/2" />
+                ) : (
+                  <PriceBlock
+                    price={selectedVariant.price}
+                    compareAt={compareAt}
+                    discountPct={discountPct}
+                    installments={product.bnplInstallments}
+                  />
+                )}
 
-            <div>
-              <Label>Choose style/length</Label>
-              <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
-                {PRODUCT_DATA.variants.map((v) => (
-                  <button
-                    key={v.id}
-                    onClick={() => setSelectedVariant(v)}
-                    className={`group relative w-full rounded-xl border px-3 py-3 text-left shadow-sm transition focus:outline-none focus:ring-2 focus:ring-offset-2 ${
-                      selectedVariant.id === v.id
-                        ? "bg-white border-neutral-900 ring-2 ring-neutral-900"
-                        : "bg-white border-neutral-200 hover:border-neutral-400"
-                    }`}
-                    aria-pressed={selectedVariant.id === v.id}
+                {loading ? (
+                  <div className="space-y-4">
+                    {PRODUCT_DATA.options.map((o) => (
+                      <Skeleton key={o.name} className="h-16 w-2/3" />
+                    ))}
+                  </div>
+                ) : (
+                  <VariantPicker
+                    options={product.options}
+                    variants={product.variants}
+                    selected={selectedVariant}
+                    onSelect={(v) => setSelectedVariantId(v.id)}
                   >
-                    <div className="flex items-center justify-between">
-                      <div>
-                        <p className="font-medium">{v.name}</p>
-                        <p className="text-sm text-neutral-500">{fmt(v.price)}</p>
-                      </div>
-                      <span
-                        className="h-6 w-6 rounded-full border"
-                        style={{ backgroundColor: v.color }}
-                        aria-hidden
-                      />
-                    </div>
-                    {v.stock < 30 && (
-                      <span className="absolute -top-2 -right-2 rounded-full bg-rose-600 px-2 py-0.5 text-xs font-semibold text-white shadow">
-                        Low stock
-                      </span>
-                    )}
-                  </button>
-                ))}
-              </div>
-            </div>
+                    <BackInStock product={product} selected={selectedVariant} />
+                  </VariantPicker>
+                )}
 
-            <BundleSave onSelect={(count) => setQty(count)} />
+                {!loading && <StockNotice variant={selectedVariant} qty={qty} />}
 
-            <div className="flex items-center gap-4">
-              <div className="flex items-center rounded-xl border bg-white px-2">
-                <button
-                  className="px-3 py-2 text-xl disabled:opacity-30"
-                  onClick={() => setQty((q) => Math.max(1, q - 1))}
-                  aria-label="Decrease quantity"
-                >
-                  −
-                </button>
-                <input
-                  className="w-12 text-center py-2 outline-none"
-                  value={qty}
-                  onChange={(e) => setQty(Math.max(1, Number(e.target.value) || 1))}
-                  inputMode="numeric"
-                  aria-label="Quantity"
+                <BundleSave
+                  tiers={product.bundles}
+                  price={selectedVariant.price}
+                  qty={qty}
+                  maxQty={room}
+                  onSelect={(count) => setQty(clampQty(count, room))}
                 />
-                <button
-                  className="px-3 py-2 text-xl"
-                  onClick={() => setQty((q) => q + 1)}
-                  aria-label="Increase quantity"
-                >
-                  +
-                </button>
-              </div>
 
-              <button
-                onClick={addToCart}
-                className="flex-1 rounded-2xl bg-neutral-900 px-6 py-4 text-white font-semibold shadow-lg hover:shadow-xl active:scale-[0.99]"
-              >
-                Add to Cart • {fmt(lineTotal)}
-              </button>
-            </div>
+                <div className="flex items-center gap-4">
+                  <div className="flex items-center rounded-xl border bg-white px-2">
+                    <button
+                      className="px-3 py-2 text-xl disabled:opacity-30"
+                      onClick={() => setQty((q) => Math.max(1, q - 1))}
+                      disabled={qty <= 1}
+                      aria-label={t("qty.decrease")}
+                    >
+                      −
+                    </button>
+                    <input
+                      className="w-12 text-center py-2 outline-none"
+                      value={qty}
+                      onChange={(e) => setQty(clampQty(Number(e.target.value) || 1, room))}
+                      inputMode="numeric"
+                      aria-label={t("qty.label")}
+                    />
+                    <button
+                      className="px-3 py-2 text-xl disabled:opacity-30"
+                      onClick={() => setQty((q) => clampQty(q + 1, room))}
+                      disabled={qty >= room}
+                      aria-label={t("qty.increase")}
+                    >
+                      +
+                    </button>
+                  </div>
 
-            <Urgency cutoff={cutoff} countdown={countdown} />
+                  <AddToCartButton
+                    onClick={addToCart}
+                    disabled={!canAdd}
+                    label={(addKey) => addToCartLabel(loading, stock, room, fmt(lineTotal), t, addKey)}
+                    className="shadow-lg hover:shadow-xl active:scale-[0.99]"
+                  />
+                  <button
+                    onClick={toggleWishlist}
+                    disabled={loading}
+                    aria-pressed={isSaved}
+                    aria-label={t(isSaved ? "wishlist.remove" : "wishlist.add", { name: `${product.title} — ${selectedVariant.name}` })}
+                    title={t(isSaved ? "wishlist.remove" : "wishlist.add", { name: selectedVariant.name })}
+                    className="shrink-0 rounded-2xl border bg-white p-3 shadow-sm transition hover:border-neutral-400 disabled:opacity-40"
+                  >
+                    <Icon d={HEART_ICON} className={`h-6 w-6 ${isSaved ? "fill-rose-500 text-rose-500" : "text-neutral-700"}`} />
+                  </button>
+                </div>
 
-            <ul className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
-              {PRODUCT_DATA.bullets.map((b) => (
-                <li key={b} className="flex items-start gap-2">
-                  <span className="mt-1 inline-block h-2 w-2 rounded-full bg-emerald-500" aria-hidden />
-                  <span>{b}</span>
-                </li>
-              ))}
-            </ul>
+                <Urgency plan={shipping} now={now} regions={SHIPPING.regions} onRegion={setShipRegion} />
 
-            <TrustBar freeShipThreshold={PRODUCT_DATA.freeShippingThreshold} />
+                <ul className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+                  {product.bullets.map((b) => (
+                    <li key={b} className="flex items-start gap-2">
+                      <span className="mt-1 inline-block h-2 w-2 rounded-full bg-emerald-500" aria-hidden />
+                      <span>{b}</span>
+                    </li>
+                  ))}
+                </ul>
 
-            <Details description={PRODUCT_DATA.description} />
-          </section>
-        </div>
+                <TrustBar freeShipThreshold={freeShipThreshold} />
 
-        {/* UGC / Social proof */}
-        <UGCGrid items={PRODUCT_DATA.ugc} />
+                <Details description={product.description} />
+              </section>
+            </div>
 
-        <SocialProofReels />
+            {/* UGC / Social proof */}
+            <UGCGrid product={product} />
 
-        {/* Testimonials */}
-        <Testimonials />
+            <SocialProofReels reels={product.reels} variants={product.variants} onShop={(v) => addVariantToCart(v, 1)} />
 
-        {/* FAQ */}
-        <FAQ />
-      </main>
+            {/* Reviews */}
+            <Reviews data={reviews} variants={product.variants} />
 
-      <Footer />
+            {/* FAQ */}
+            <FAQ />
+          </main>
 
-      {/* Sticky ATC on mobile */}
-      <div className="fixed inset-x-0 bottom-0 z-40 bg-white/90 backdrop-blur supports-[backdrop-filter]:bg-white/60 border-t p-3 md:hidden">
-        <div className="mx-auto max-w-7xl flex items-center gap-3">
-          <button
-            onClick={addToCart}
-            className="flex-1 rounded-2xl bg-neutral-900 px-6 py-4 text-white font-semibold shadow"
-          >
-            Add to Cart • {fmt(lineTotal)}
-          </button>
-          <button
-            onClick={() => setCartOpen(true)}
-            className="rounded-2xl border px-4 py-4 font-semibold"
-          >
-            Cart ({cart.reduce((s, l) => s + l.qty, 0)})
-          </button>
-        </div>
-      </div>
+          {/* The year in the shop's zone: server and browser agree, even on New Year's Eve */}
+          <Footer year={zonedParts(now, SHIPPING.timeZone).ymd.slice(0, 4)} onCookiePrefs={() => setConsentPrefsOpen(true)} />
 
-      {/* Cart Drawer */}
-      <CartDrawer
-        open={cartOpen}
-        onClose={() => setCartOpen(false)}
-        cart={cart}
-        onQty={(variantId, delta) => setCart((prev) => changeQty(prev, variantId, delta))}
-        onRemove={(variantId) => setCart((prev) => prev.filter((l) => l.variantId !== variantId))}
-        subtotal={subtotal}
-        qualifiesFreeShip={qualifiesFreeShip}
-        onCheckout={onCheckout}
-      />
+          {/* Sticky ATC on mobile */}
+          <div className="fixed inset-x-0 bottom-0 z-40 bg-white/90 backdrop-blur supports-[backdrop-filter]:bg-white/60 border-t p-3 md:hidden">
+            <div className="mx-auto max-w-7xl flex items-center gap-3">
+              <AddToCartButton
+                onClick={addToCart}
+                disabled={!canAdd}
+                label={(addKey) => addToCartLabel(loading, stock, room, fmt(lineTotal), t, addKey)}
+                className="shadow"
+              />
+              <button
+                onClick={() => setCartOpen(true)}
+                className="rounded-2xl border px-4 py-4 font-semibold"
+              >
+                {t("header.cart")} ({cart.reduce((s, l) => s + l.qty, 0)})
+              </button>
+            </div>
+          </div>
 
-      {/* Tracking placeholders: insert your pixels/scripts in <SEOHead /> */}
-    </div>
+          {/* Cart Drawer */}
+          <CartDrawer
+            open={cartOpen}
+            onClose={() => setCartOpen(false)}
+            cart={pricedCart}
+            onQty={changeLineQty}
+            onRemove={removeLine}
+            subtotal={subtotal}
+            bundleSavings={bundleSavings}
+            discount={discount}
+            discountBusy={discountBusy}
+            discountError={discountError}
+            onApplyCode={(code) => applyDiscountCodes([code.toUpperCase()], code.toUpperCase())}
+            onRemoveCode={(code) => applyDiscountCodes(discountCodes.filter((c) => c !== code))}
+            qualifiesFreeShip={qualifiesFreeShip}
+            freeShipThreshold={freeShipThreshold}
+            upsells={upsells}
+            onAddUpsell={(s) => addVariantToCart(s.variant, 1, s.product)}
+            gift={gift}
+            onGiftChange={(patch) => setGift((prev) => ({ ...prev, ...patch }))}
+            giftWrap={wrapProduct && isAvailable(wrapProduct.variants[0]) ? wrapProduct.variants[0] : null}
+            onGiftWrap={toggleGiftWrap}
+            onSaveForLater={saveForLater}
+            saved={savedLines}
+            onMoveToCart={moveToCart}
+            onRemoveSaved={(variantId) => setSaved((prev) => prev.filter((l) => l.variantId !== variantId))}
+            onCheckout={onCheckout}
+            checkoutBusy={checkoutBusy}
+            checkoutError={checkoutError}
+            onDismissError={() => setCheckoutError(null)}
+          />
+
+          {consent === null && !consentPrefsOpen && (
+            <ConsentBanner
+              onAcceptAll={() => saveConsent({ analytics: true, marketing: true })}
+              onRejectAll={() => saveConsent({ analytics: false, marketing: false })}
+              onCustomize={() => setConsentPrefsOpen(true)}
+            />
+          )}
+          <ConsentPreferences
+            open={consentPrefsOpen}
+            consent={consent}
+            gpc={gpc}
+            onSave={(choice) => {
+              saveConsent(choice);
+              setConsentPrefsOpen(false);
+            }}
+            onClose={() => setConsentPrefsOpen(false)}
+          />
+
+          <OrderTracking open={trackOpen} onClose={() => setTrackOpen(false)} />
+        </div>
+      </ExperimentContext.Provider>
+    </LocaleContext.Provider>
   );
 }
 
 // ----------------------------
 // Subcomponents
 // ----------------------------
-function AnnouncementBar() {
+function AnnouncementBar({ freeShipThreshold }) {
+  const { copy, fmt } = useLocale();
+  const { variant } = useExperiment("announcement");
   return (
     <div className="w-full bg-emerald-600 text-white text-sm py-2 text-center">
-      🎁 Holiday Deal: Save 35% today — Free shipping over $35 — Easy returns
+      {copy(COPY.announcement[variant] ?? COPY.announcement.control, { threshold: fmt(freeShipThreshold) })}
     </div>
   );
 }
 
-function Header({ cartCount, onCart }: { cartCount: number; onCart: () => void }) {
+function Header({ cartCount, onCart, onTrackOrder, markets, market, onMarket }) {
+  const { t } = useLocale();
   return (
     <header className="sticky top-0 z-30 bg-white/90 backdrop-blur supports-[backdrop-filter]:bg-white/60 border-b">
       <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
         <div className="flex items-center gap-3">
           <div className="h-9 w-9 rounded-xl bg-neutral-900" aria-hidden />
-          <a href="#" className="font-bold tracking-tight text-lg">GlowGoods</a>
+          <a href="#" className="font-bold tracking-tight text-lg">{SITE.name}</a>
         </div>
         <nav className="hidden md:flex items-center gap-6 text-sm text-neutral-700">
-          <a className="hover:text-neutral-900" href="#details">Details</a>
-          <a className="hover:text-neutral-900" href="#ugc">Gallery</a>
-          <a className="hover:text-neutral-900" href="#faq">FAQ</a>
+          <a className="hover:text-neutral-900" href="#details">{t("nav.details")}</a>
+          <a className="hover:text-neutral-900" href="#ugc">{t("nav.gallery")}</a>
+          <a className="hover:text-neutral-900" href="#faq">{t("nav.faq")}</a>
         </nav>
         <div className="flex items-center gap-3">
-          <button className="rounded-xl border px-3 py-2 text-sm">Track Order</button>
+          <select
+            value={market.country}
+            onChange={(e) => onMarket(e.target.value)}
+            aria-label={t("header.market")}
+            className="hidden sm:block rounded-xl border bg-white px-2 py-2 text-sm"
+          >
+            {markets.map((m) => (
+              <option key={m.country} value={m.country}>{m.label}</option>
+            ))}
+          </select>
+          <button onClick={onTrackOrder} className="rounded-xl border px-3 py-2 text-sm">{t("header.trackOrder")}</button>
           <button onClick={onCart} className="relative rounded-xl border px-3 py-2 text-sm">
-            Cart
+            {t("header.cart")}
             <span className="absolute -top-2 -right-2 h-5 min-w-[1.25rem] px-1 rounded-full bg-neutral-900 text-white text-[10px] flex items-center justify-center">
               {cartCount}
             </span>
@@ -404,235 +1621,1285 @@ function Header({ cartCount, onCart }: { cartCount: number; onCart: () => void }
   );
 }
 
-function Gallery({ images, badges }: { images: string[]; badges: string[] }) {
+function Gallery({ media, badges, variant }) {
+  const { t } = useLocale();
   const [active, setActive] = useState(0);
+  const [lightbox, setLightbox] = useState(false);
+  const count = media.length;
+  const index = Math.min(active, count - 1); // media can shrink when the product reloads
+  const go = (delta) => setActive((i) => (Math.min(i, count - 1) + delta + count) % count);
+  const swipe = useSwipe(go);
+
+  // Picking a variant jumps to its first linked slide
+  useEffect(() => {
+    const i = media.findIndex((m) => mediaMatchesVariant(m, variant));
+    if (i >= 0) setActive(i);
+  }, [media, variant]);
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowLeft") go(-1);
+    else if (e.key === "ArrowRight") go(1);
+    else if (e.key === "Enter" && e.target === e.currentTarget) setLightbox(true);
+    else return;
+    e.preventDefault();
+  }
+
+  const item = media[index];
+  const arrow = "absolute top-1/2 -translate-y-1/2 h-9 w-9 rounded-full bg-white/90 shadow text-lg";
   return (
-    <section aria-label="Product media" className="">
-      <div className="relative aspect-square overflow-hidden rounded-2xl bg-neutral-100 shadow">
-        <img src={images[active]} alt="Product view" className="h-full w-full object-cover" />
-        <div className="absolute left-3 top-3 flex gap-2">
+    <section aria-label={t("media.label")} aria-roledescription="carousel">
+      <div
+        className="relative aspect-square overflow-hidden rounded-2xl bg-neutral-100 shadow outline-none focus-visible:ring-2 focus-visible:ring-neutral-900"
+        tabIndex={0}
+        onKeyDown={onKeyDown}
+        {...swipe}
+      >
+        {item.type === "video" ? (
+          <GalleryVideo item={item} className="h-full w-full object-cover" />
+        ) : (
+          <HoverZoomImage src={item.src} alt={item.alt || t("media.view")} onClick={() => setLightbox(true)} />
+        )}
+        <div className="pointer-events-none absolute left-3 top-3 flex gap-2">
           {badges.map((b) => (
             <span key={b} className="rounded-full bg-white/90 px-2 py-1 text-xs font-semibold shadow">
               {b}
             </span>
           ))}
         </div>
+        {count > 1 && (
+          <>
+            <button onClick={() => go(-1)} className={`${arrow} left-3`} aria-label={t("media.prev")}>‹</button>
+            <button onClick={() => go(1)} className={`${arrow} right-3`} aria-label={t("media.next")}>›</button>
+          </>
+        )}
+        <button onClick={() => setLightbox(true)} className="absolute right-3 top-3 rounded-full bg-white/90 px-2 py-1 text-xs font-semibold shadow" aria-label={t("media.open")}>
+          ⤢
+        </button>
+        <p className="sr-only" aria-live="polite">{t("media.position", { n: index + 1, count })}</p>
       </div>
-      <div className="mt-3 grid grid-cols-4 gap-3">
-        {images.map((src, i) => (
+      <div className="mt-3 grid grid-cols-5 gap-3">
+        {media.map((m, i) => (
           <button
-            key={src}
-            className={`aspect-square overflow-hidden rounded-xl border ${i === active ? "border-neutral-900" : "border-transparent"}`}
+            key={m.src}
+            className={`relative aspect-square overflow-hidden rounded-xl border ${i === index ? "border-neutral-900" : "border-transparent"}`}
             onClick={() => setActive(i)}
-            aria-label={`View image ${i + 1}`}
+            aria-label={m.alt || t("media.thumb", { n: i + 1 })}
+            aria-current={i === index}
           >
-            <img src={src} alt="Thumbnail" className="h-full w-full object-cover" />
+            <img src={m.type === "video" ? m.poster : m.src} alt="" loading="lazy" className="h-full w-full object-cover" />
+            {m.type === "video" && (
+              <span className="absolute inset-0 flex items-center justify-center bg-black/20 text-white text-lg" title={t("media.video")}>
+                ▶
+              </span>
+            )}
           </button>
         ))}
       </div>
+      {lightbox && <Lightbox media={media} index={index} onIndex={setActive} onClose={() => setLightbox(false)} />}
     </section>
   );
 }
 
-function Rating({ rating, count }: { rating: number; count: number }) {
+// Magnifies under the pointer on devices that hover; touch devices use the lightbox instead
+function HoverZoomImage({ src, alt, onClick }) {
+  const [zoom, setZoom] = useState(null); // transform-origin while zoomed
+  function onMouseMove(e) {
+    if (!window.matchMedia("(hover: hover)").matches) return;
+    const r = e.currentTarget.getBoundingClientRect();
+    setZoom(`${((e.clientX - r.left) / r.width) * 100}% ${((e.clientY - r.top) / r.height) * 100}%`);
+  }
   return (
-    <div className="flex items-center gap-2 text-sm text-neutral-700">
-      <div className="flex items-center" aria-label={`${rating} out of 5 stars`}>
-        {Array.from({ length: 5 }).map((_, i) => (
-          <svg key={i} viewBox="0 0 20 20" className={`h-5 w-5 ${i < Math.round(rating) ? "fill-amber-400" : "fill-neutral-200"}`}>
-            <path d="M10 15l-5.878 3.09 1.123-6.545L.49 6.91l6.562-.953L10 0l2.948 5.957 6.562.953-4.755 4.635 1.123 6.545z" />
-          </svg>
-        ))}
+    <img
+      src={src}
+      alt={alt}
+      onClick={onClick}
+      onMouseMove={onMouseMove}
+      onMouseLeave={() => setZoom(null)}
+      style={zoom ? { transform: `scale(${GALLERY.hoverZoom})`, transformOrigin: zoom } : undefined}
+      className="h-full w-full cursor-zoom-in object-cover transition-transform duration-100"
+    />
+  );
+}
+
+function GalleryVideo({ item, className }) {
+  const ref = useRef(null);
+  useVideoSource(ref, item.src);
+  return <video ref={ref} poster={item.poster} aria-label={item.alt} controls playsInline muted preload="metadata" className={className} />;
+}
+
+function Lightbox({ media, index, onIndex, onClose }) {
+  const { t } = useLocale();
+  const count = media.length;
+  const pinch = usePinchZoom(GALLERY.maxPinchZoom);
+  // Each slide opens unzoomed
+  const go = (delta) => {
+    pinch.reset();
+    onIndex((index + delta + count) % count);
+  };
+  const swipe = useSwipe(go);
+  const item = media[index];
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+      else if (e.key === "ArrowLeft") go(-1);
+      else if (e.key === "ArrowRight") go(1);
+    };
+    window.addEventListener("keydown", onKey);
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      document.body.style.overflow = overflow;
+    };
+  });
+
+  // One finger swipes between slides until the image is zoomed, then it pans
+  const touch = {
+    onTouchStart: (e) => {
+      pinch.handlers.onTouchStart(e);
+      if (!pinch.zoomed) swipe.onTouchStart(e);
+    },
+    onTouchMove: pinch.handlers.onTouchMove,
+    onTouchEnd: (e) => {
+      pinch.handlers.onTouchEnd(e);
+      if (!pinch.zoomed) swipe.onTouchEnd(e);
+    },
+  };
+  const arrow = "absolute top-1/2 -translate-y-1/2 h-11 w-11 rounded-full bg-white/15 text-2xl text-white hover:bg-white/25";
+  return (
+    <div role="dialog" aria-modal="true" aria-label={t("media.label")} className="fixed inset-0 z-[80] flex flex-col bg-black/95">
+      <div className="flex items-center justify-between p-3 text-sm text-white">
+        <span aria-live="polite">{t("media.position", { n: index + 1, count })}</span>
+        <button onClick={onClose} autoFocus className="rounded-lg border border-white/40 px-3 py-1">{t("media.close")}</button>
       </div>
-      <span className="tabular-nums">{rating.toFixed(1)} · {count.toLocaleString()} reviews</span>
+      <div className="relative flex-1 overflow-hidden touch-none" {...touch}>
+        {item.type === "video" ? (
+          <GalleryVideo item={item} className="h-full w-full object-contain" />
+        ) : (
+          <img
+            src={item.src}
+            alt={item.alt || t("media.view")}
+            onDoubleClick={pinch.handlers.onDoubleClick}
+            style={{ transform: `translate(${pinch.view.x}px, ${pinch.view.y}px) scale(${pinch.view.scale})` }}
+            className="h-full w-full select-none object-contain"
+            draggable={false}
+          />
+        )}
+        {count > 1 && (
+          <>
+            <button onClick={() => go(-1)} className={`${arrow} left-3`} aria-label={t("media.prev")}>‹</button>
+            <button onClick={() => go(1)} className={`${arrow} right-3`} aria-label={t("media.next")}>›</button>
+          </>
+        )}
+      </div>
+      <p className="p-3 text-center text-xs text-white/70">{item.alt}{item.type === "image" && <span className="block sm:hidden">{t("media.zoomHint")}</span>}</p>
+    </div>
+  );
+}
+
+function Rating({ rating, count }) {
+  const { t, fmtNumber, fmtRating } = useLocale();
+  const stars = fmtRating(rating);
+  return (
+    <a href="#reviews" className="flex items-center gap-2 text-sm text-neutral-700 hover:text-neutral-900">
+      <Stars rating={rating} label={t("rating.stars", { rating: stars })} />
+      <span className="tabular-nums">{stars} · {t("rating.reviews", { count: fmtNumber(count) })}</span>
+    </a>
+  );
+}
+
+function Stars({ rating, label, className = "h-5 w-5" }) {
+  return (
+    <div className="flex items-center" role="img" aria-label={label}>
+      {Array.from({ length: 5 }).map((_, i) => (
+        <svg key={i} viewBox="0 0 20 20" className={`${className} ${i < Math.round(rating) ? "fill-amber-400" : "fill-neutral-200"}`}>
+          <path d="M10 15l-5.878 3.09 1.123-6.545L.49 6.91l6.562-.953L10 0l2.948 5.957 6.562.953-4.755 4.635 1.123 6.545z" />
+        </svg>
+      ))}
     </div>
   );
 }
 
-function PriceBlock({ price, compareAt, discountPct, bnplCopy }: { price: number; compareAt: number; discountPct: number; bnplCopy?: string }) {
+function PriceBlock({ price, compareAt, discountPct, installments }) {
+  const { t, fmt } = useLocale();
+  const { variant } = useExperiment("priceLayout");
+  const savingsAmount = variant === "savingsAmount";
   return (
-    <div className="flex items-end gap-3">
+    <div className={savingsAmount ? "flex flex-wrap items-end gap-x-3 gap-y-1" : "flex items-end gap-3"}>
       <div className="flex items-baseline gap-2">
         <span className="text-3xl font-bold">{fmt(price)}</span>
-        <span className="text-neutral-400 line-through">{fmt(compareAt)}</span>
+        {discountPct > 0 && <span className="text-neutral-400 line-through">{fmt(compareAt)}</span>}
+      </div>
+      {discountPct > 0 && (
+        <span className="rounded-full bg-emerald-100 text-emerald-700 px-2 py-1 text-xs font-semibold">
+          {savingsAmount ? t("price.saveAmount", { amount: fmt(round2(compareAt - price)) }) : t("price.save", { pct: discountPct })}
+        </span>
+      )}
+      {installments > 1 && (
+        <span className={savingsAmount ? "w-full text-sm text-neutral-600" : "ml-auto text-xs text-neutral-600"}>
+          {t("price.bnpl", { n: installments, amount: fmt(round2(price / installments)) })}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// label(addKey) renders the button text; the atcCopy experiment picks the "add" message
+function AddToCartButton({ onClick, disabled, label, className = "" }) {
+  const { variant } = useExperiment("atcCopy");
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`flex-1 rounded-2xl bg-neutral-900 px-6 py-4 text-white font-semibold disabled:opacity-50 ${className}`}
+    >
+      {label(variant === "getYours" ? "atc.getYours" : "atc.add")}
+    </button>
+  );
+}
+
+function Skeleton({ className = "" }) {
+  return <div className={`animate-pulse rounded-lg bg-neutral-200 ${className}`} aria-hidden />;
+}
+
+function GallerySkeleton() {
+  const { t } = useLocale();
+  return (
+    <section aria-label={t("media.label")} aria-busy>
+      <Skeleton className="aspect-square rounded-2xl" />
+      <div className="mt-3 grid grid-cols-4 gap-3">
+        {Array.from({ length: 4 }).map((_, i) => (
+          <Skeleton key={i} className="aspect-square rounded-xl" />
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function VariantPicker({ options, variants, selected, onSelect, children }) {
+  const { t, fmt } = useLocale();
+  // Axes with a single value (e.g. Shopify's "Title / Default Title") need no picker
+  const axes = options.filter((o) => o.values.length > 1);
+  return (
+    <div className="space-y-4">
+      {axes.map((axis) => (
+        <div key={axis.name}>
+          <Label>
+            {axis.name}: <span className="font-normal text-neutral-600">{selected.options[axis.name]}</span>
+          </Label>
+          <div role="radiogroup" aria-label={axis.name} className="mt-2 flex flex-wrap gap-2">
+            {axis.values.map(({ value, swatch }) => {
+              const state = optionValueState(variants, selected.options, axis.name, value);
+              const checked = selected.options[axis.name] === value;
+              const pick = () => onSelect(variantForOption(variants, selected, axis.name, value));
+              const label = state === "unavailable" ? t("variant.unavailable", { value }) : value;
+              if (swatch) {
+                return (
+                  <button
+                    key={value}
+                    role="radio"
+                    aria-checked={checked}
+                    aria-label={label}
+                    title={label}
+                    disabled={state === "unavailable"}
+                    onClick={pick}
+                    className={`h-10 w-10 rounded-full border-2 border-white shadow transition focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-30 ${
+                      checked ? "ring-2 ring-neutral-900 ring-offset-2" : "hover:ring-2 hover:ring-neutral-300"
+                    } ${state === "combo" ? "opacity-60" : ""}`}
+                    style={{ backgroundColor: swatch }}
+                  />
+                );
+              }
+              const combo = findVariant(variants, { ...selected.options, [axis.name]: value });
+              return (
+                <button
+                  key={value}
+                  role="radio"
+                  aria-checked={checked}
+                  aria-label={label}
+                  disabled={state === "unavailable"}
+                  onClick={pick}
+                  className={`rounded-xl border bg-white px-4 py-2 text-left text-sm shadow-sm transition focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-40 ${
+                    checked ? "border-neutral-900 ring-2 ring-neutral-900" : "border-neutral-200 hover:border-neutral-400"
+                  }`}
+                >
+                  <span className={`font-medium ${state === "combo" ? "text-neutral-400 line-through" : ""}`}>{value}</span>
+                  {combo && <span className="block text-xs text-neutral-500">{fmt(combo.price)}</span>}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      {children}
+    </div>
+  );
+}
+
+// "Notify me when back" for each sold-out variant; opens by itself for a sold-out selection (e.g. a
+// ?variant= link to one)
+function BackInStock({ product, selected }) {
+  const { t } = useLocale();
+  const soldOut = product.variants.filter((v) => !isAvailable(v));
+  const [openId, setOpenId] = useState(null);
+  const [email, setEmail] = useState("");
+  const [invalid, setInvalid] = useState(false);
+  const { status, subscribe, reset } = useBackInStock();
+  useEffect(() => {
+    if (!isAvailable(selected)) setOpenId(selected.id);
+  }, [selected]);
+  if (!soldOut.length) return null;
+  const open = soldOut.find((v) => v.id === openId);
+
+  function toggle(id) {
+    setOpenId((prev) => (prev === id ? null : id));
+    setInvalid(false);
+    reset();
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    setInvalid(!isEmail(email));
+    if (isEmail(email)) subscribe(email, product, open);
+  }
+
+  return (
+    <div className="rounded-xl border border-dashed p-3 text-sm">
+      <p className="font-semibold">{t("backInStock.title")}</p>
+      <ul className="mt-1 flex flex-wrap gap-2">
+        {soldOut.map((v) => (
+          <li key={v.id}>
+            <button
+              className={`rounded-lg border px-2 py-1 text-xs ${v.id === openId ? "border-neutral-900 bg-neutral-900 text-white" : "bg-white"}`}
+              onClick={() => toggle(v.id)}
+              aria-expanded={v.id === openId}
+              aria-label={t("backInStock.notifyAria", { variant: v.name })}
+            >
+              {v.name} · {t("backInStock.notify")}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {open &&
+        (status === "subscribed" || status === "alreadySubscribed" ? (
+          <p role="status" className="mt-2 font-semibold text-emerald-700">
+            {t(status === "subscribed" ? "backInStock.subscribed" : "backInStock.already", { variant: open.name })}
+          </p>
+        ) : (
+          <form onSubmit={submit} noValidate className="mt-2">
+            <div className="flex gap-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="email"
+                className="flex-1 min-w-0 rounded-xl border px-3 py-2"
+                placeholder={t("footer.email")}
+                aria-label={t("backInStock.email", { variant: open.name })}
+                aria-invalid={invalid}
+                aria-describedby={invalid ? "back-in-stock-error" : "back-in-stock-note"}
+              />
+              <button type="submit" disabled={status === "loading"} className="rounded-xl bg-neutral-900 px-4 py-2 font-semibold text-white disabled:opacity-50">
+                {status === "loading" ? t("backInStock.sending") : t("backInStock.submit")}
+              </button>
+            </div>
+            {invalid && <p id="back-in-stock-error" className="mt-1 text-xs text-rose-600">{t("backInStock.invalid")}</p>}
+            {status === "error" && <p role="alert" className="mt-1 text-xs text-rose-600">{t("backInStock.error")}</p>}
+            <p id="back-in-stock-note" className="mt-1 text-xs text-neutral-500">{t("backInStock.note")}</p>
+          </form>
+        ))}
+    </div>
+  );
+}
+
+function StockNotice({ variant, qty }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const state = stockState(variant);
+  if (state === "sold_out") return <p className="text-sm font-semibold text-rose-600">{t("stock.soldOut")}</p>;
+  if (state === "low_stock") return <p className="text-sm font-semibold text-rose-600">{t("stock.low", { count: variant.stock })}</p>;
+  const note = shipNote(variant, qty, locale);
+  return note ? <p className="text-sm font-semibold text-amber-700">{note}</p> : null;
+}
+
+function BundleSave({ tiers, price, qty, maxQty, onSelect }) {
+  const { t, fmt } = useLocale();
+  if (!tiers || tiers.length < 2) return null;
+  // Highlight the largest tier the current quantity reaches
+  const active = tiers.reduce((best, tier) => (qty >= tier.qty ? tier : best), tiers[0]);
+  return (
+    <div>
+      <Label>{t("bundle.title")}</Label>
+      <div role="radiogroup" aria-label={t("bundle.offers")} className="mt-2 grid grid-cols-1 sm:grid-cols-3 gap-2">
+        {tiers.map((tier) => {
+          const unit = bundleUnitPrice(price, tier);
+          const selected = active.qty === tier.qty;
+          return (
+            <button
+              key={tier.qty}
+              role="radio"
+              aria-checked={selected}
+              onClick={() => onSelect(tier.qty)}
+              disabled={tier.qty > maxQty}
+              className={`relative rounded-xl border bg-white px-3 py-3 text-left shadow-sm transition focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-40 ${
+                selected ? "border-neutral-900 ring-2 ring-neutral-900" : "border-neutral-200 hover:border-neutral-400"
+              }`}
+            >
+              {tier.badge && (
+                <span className="absolute -top-2 right-2 rounded-full bg-emerald-600 px-2 py-0.5 text-[10px] font-semibold text-white shadow">
+                  {tier.badge}
+                </span>
+              )}
+              <p className="font-medium">{tier.label}</p>
+              <p className="text-sm text-neutral-700">{t("bundle.each", { price: fmt(unit) })}</p>
+              {tier.pct > 0 && <p className="text-xs font-semibold text-emerald-700">{t("bundle.savePerUnit", { amount: fmt(price - unit) })}</p>}
+            </button>
+          );
+        })}
       </div>
-      <span className="rounded-full bg-emerald-100 text-emerald-700 px-2 py-1 text-xs font-semibold">Save {discountPct}%</span>
-      {bnplCopy && <span className="ml-auto text-xs text-neutral-600">{bnplCopy}</span>}
     </div>
   );
 }
 
-function Label({ children }: { children: React.ReactNode }) {
+function Label({ children }) {
   return <p className="text-sm font-semibold text-neutral-800">{children}</p>;
 }
 
-function Urgency({ cutoff, countdown }: { cutoff: Date; countdown: string }) {
+function Urgency({ plan, now, regions, onRegion }) {
+  const { t, pick, fmtDay, fmtDateTime } = useLocale();
+  const { method, region, holidayPassed } = plan;
+  const holiday = pick(SHIPPING.holiday.name);
+  const methodLabel = pick(method.label);
+  const range = method.from === method.to ? fmtDay(method.from) : `${fmtDay(method.from)} – ${fmtDay(method.to)}`;
+  const countdown = formatDuration(method.cutoff.getTime() - now.getTime(), t("duration.days"));
   return (
     <div className="mt-2 rounded-xl border bg-white p-3 text-sm">
       <div className="flex items-center gap-2">
         <svg viewBox="0 0 24 24" className="h-5 w-5"><path d="M12 1a2 2 0 012 2v1h3a2 2 0 012 2v3h1a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2V11a2 2 0 012-2h1V6a2 2 0 012-2h3V3a2 2 0 012-2zm-1 8v4.586l3.293 3.293 1.414-1.414L13 12.586V9h-2z"/></svg>
-        <span className="font-semibold">Order in the next <span className="tabular-nums">{countdown}</span> for delivery by Christmas*.</span>
+        {holidayPassed ? (
+          <span className="font-semibold">{t("urgency.orderToday", { range })}</span>
+        ) : method.makesHoliday ? (
+          <span className="font-semibold tabular-nums">{t("urgency.orderIn", { countdown, holiday })}</span>
+        ) : (
+          <span className="font-semibold">{t("urgency.afterHoliday", { holiday, range })}</span>
+        )}
       </div>
-      <p className="mt-1 text-xs text-neutral-500">*Based on standard shipping before cutoff {cutoff.toLocaleString()}.</p>
+      <p className="mt-1 text-xs text-neutral-500">
+        {method.makesHoliday && !holidayPassed
+          ? t("urgency.footnote", { method: methodLabel, range, cutoff: fmtDateTime(method.cutoff, SHIPPING.timeZone) })
+          : t("urgency.estimate", { method: methodLabel })}
+      </p>
+      <label className="mt-2 flex items-center gap-2 text-xs text-neutral-600">
+        {t("urgency.shipTo")}
+        <select value={region.id} onChange={(e) => onRegion(e.target.value)} className="rounded-lg border bg-white px-2 py-1">
+          {regions.map((r) => (
+            <option key={r.id} value={r.id}>{pick(r.label)}</option>
+          ))}
+        </select>
+      </label>
     </div>
   );
 }
 
-function TrustBar({ freeShipThreshold }: { freeShipThreshold: number }) {
+function TrustBar({ freeShipThreshold }) {
+  const { copy, fmt } = useLocale();
   return (
     <div className="mt-3 grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
-      {[
-        { t: `Free shipping over ${fmt(freeShipThreshold)}`, i: "M3 12h18M3 12l4-4m-4 4l4 4" },
-        { t: "30‑day returns", i: "M4 7h16v10H4z M8 7V5h8v2" },
-        { t: "Secure checkout", i: "M6 10h12v8H6z M9 10V8a3 3 0 016 0v2" },
-        { t: "1‑year warranty", i: "M12 2l7 4v6c0 5-3.5 8-7 10-3.5-2-7-5-7-10V6l7-4z" },
-      ].map((k) => (
-        <div key={k.t} className="flex items-center gap-2 rounded-xl border bg-white p-3">
-          <Icon d={k.i} />
-          <span>{k.t}</span>
+      {COPY.trust.map((badge, i) => (
+        <div key={i} className="flex items-center gap-2 rounded-xl border bg-white p-3">
+          <Icon d={TRUST_ICONS[badge.icon]} />
+          <span>{copy(badge.text, { threshold: fmt(freeShipThreshold) })}</span>
         </div>
       ))}
     </div>
   );
 }
 
-function Details({ description }: { description: string }) {
+function Details({ description }) {
+  const { t, copy } = useLocale();
   return (
     <section id="details" className="mt-6 space-y-3">
-      <h2 className="text-lg font-semibold">Product details</h2>
+      <h2 className="text-lg font-semibold">{t("details.title")}</h2>
       <p className="text-neutral-700 leading-relaxed">{description}</p>
       <ul className="list-disc pl-5 text-sm text-neutral-700 space-y-1">
-        <li>Cable: flexible copper wire · USB powered</li>
-        <li>Modes: 8 modes + memory (steady, twinkle, wave…)</li>
-        <li>Remote: on/off, timer, brightness, mode</li>
-        <li>Water resistance: IP44 (indoor/outdoor)</li>
-        <li>Safety: low heat emission</li>
+        {COPY.details.map((line, i) => (
+          <li key={i}>{copy(line)}</li>
+        ))}
       </ul>
     </section>
   );
 }
 
-function UGCGrid({ items }: { items: { type: "img"; src: string; alt: string }[] }) {
+function UGCGrid({ product }) {
+  const { t } = useLocale();
   return (
     <section id="ugc" className="mt-12">
       <div className="flex items-center justify-between mb-4">
-        <h2 className="text-lg font-semibold">In real spaces (UGC)</h2>
-        <span className="text-sm text-neutral-600">#{PRODUCT_DATA.title.split(" ")[0]} · TikTok/Reels</span>
+        <h2 className="text-lg font-semibold">{t("ugc.title")}</h2>
+        <span className="text-sm text-neutral-600">#{product.title.split(" ")[0]} · TikTok/Reels</span>
       </div>
       <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-        {items.map((m, i) => (
+        {product.ugc.map((m, i) => (
           <figure key={i} className="overflow-hidden rounded-2xl bg-neutral-100 aspect-[3/4]">
-            <img src={m.src} alt={m.alt} className="h-full w-full object-cover hover:scale-105 transition" />
+            {m.type === "video" ? (
+              <InViewVideo src={m.src} poster={m.poster} label={m.alt} className="h-full w-full object-cover" />
+            ) : (
+              <img src={m.src} alt={m.alt} className="h-full w-full object-cover hover:scale-105 transition" />
+            )}
           </figure>
         ))}
       </div>
-    </section>
+    </section>
+  );
+}
+
+// Muted looping clip: loads when near the viewport, plays while mostly visible (never with reduced motion)
+function InViewVideo({ src, poster, label, className }) {
+  const ref = useRef(null);
+  const { near, visible } = useInView(ref);
+  const reducedMotion = usePrefersReducedMotion();
+  useVideoSource(ref, src, near);
+  useEffect(() => {
+    const video = ref.current;
+    if (visible && !reducedMotion) video.play().catch(() => {});
+    else video.pause();
+  }, [visible, reducedMotion, near]);
+  return <video ref={ref} poster={poster} aria-label={label} muted loop playsInline preload="none" className={className} />;
+}
+
+function SocialProofReels({ reels, variants, onShop }) {
+  const { t } = useLocale();
+  const rail = useRef(null);
+  const reducedMotion = usePrefersReducedMotion();
+  if (!reels || reels.length === 0) return null;
+  const scroll = (dir) => rail.current.scrollBy({ left: dir * rail.current.clientWidth * 0.8, behavior: reducedMotion ? "auto" : "smooth" });
+  return (
+    <section aria-label={t("reels.label")} className="mt-12">
+      <div className="flex items-end justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold">{t("reels.title")}</h2>
+          <p className="text-sm text-neutral-600">{t("reels.subtitle")}</p>
+        </div>
+        <div className="hidden sm:flex gap-2">
+          <button onClick={() => scroll(-1)} className="h-9 w-9 rounded-full border bg-white" aria-label={t("reels.prev")}>‹</button>
+          <button onClick={() => scroll(1)} className="h-9 w-9 rounded-full border bg-white" aria-label={t("reels.next")}>›</button>
+        </div>
+      </div>
+      <ul ref={rail} className="flex gap-3 overflow-x-auto snap-x snap-mandatory pb-2">
+        {reels.map((reel) => (
+          <li key={reel.id} className="w-[70%] sm:w-[40%] md:w-[23%] shrink-0 snap-start">
+            <ReelCard
+              reel={reel}
+              variants={reel.variantIds.map((id) => findVariantByKey(variants, id)).filter(Boolean)}
+              reducedMotion={reducedMotion}
+              onShop={onShop}
+            />
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// Autoplays muted while mostly in view, unless the shopper paused it or prefers reduced motion
+function ReelCard({ reel, variants, reducedMotion, onShop }) {
+  const { t, fmt } = useLocale();
+  const ref = useRef(null);
+  const { near, visible } = useInView(ref);
+  const [muted, setMuted] = useState(true);
+  const [paused, setPaused] = useState(null); // null = follow autoplay; true/false = the shopper's choice
+  const playing = paused === null ? visible && !reducedMotion : !paused && visible;
+  useVideoSource(ref, reel.src, near);
+
+  useEffect(() => {
+    const video = ref.current;
+    // Blocked autoplay (e.g. low-power mode) leaves it paused; a play() cut short by pause() is fine
+    if (playing) video.play().catch((e) => e.name === "NotAllowedError" && setPaused(true));
+    else video.pause();
+  }, [playing, near]);
+  useEffect(() => {
+    ref.current.muted = muted;
+  }, [muted]);
+
+  const control = "rounded-full bg-black/50 px-2 py-1 text-xs font-semibold text-white";
+  return (
+    <figure className="flex h-full flex-col">
+      <div className="relative aspect-[9/16] overflow-hidden rounded-2xl bg-neutral-900">
+        <video ref={ref} poster={reel.poster} aria-label={reel.alt} muted loop playsInline preload="none" className="h-full w-full object-cover" />
+        <div className="absolute right-2 top-2 flex gap-2">
+          <button onClick={() => setPaused(playing)} className={control} aria-label={playing ? t("reels.pause") : t("reels.play")}>
+            {playing ? "❚❚" : "▶"}
+          </button>
+          <button onClick={() => setMuted((m) => !m)} className={control} aria-label={muted ? t("reels.unmute") : t("reels.mute")} aria-pressed={!muted}>
+            {muted ? "🔇" : "🔊"}
+          </button>
+        </div>
+        <figcaption className="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/70 to-transparent p-3 text-white">
+          <p className="text-sm font-semibold">{reel.caption}</p>
+          <p className="text-xs">
+            {t("reels.by", { name: reel.creator.name })} ·{" "}
+            <a href={reel.creator.url} target="_blank" rel="noopener noreferrer" className="underline">
+              {reel.creator.handle}
+            </a>{" "}
+            ({reel.creator.platform})
+          </p>
+        </figcaption>
+      </div>
+      {variants.length > 0 && (
+        <div className="mt-2 space-y-1">
+          <p className="text-xs font-semibold text-neutral-700">{t("reels.shop")}</p>
+          {variants.map((v) => {
+            const soldOut = stockState(v) === "sold_out";
+            return (
+              <button
+                key={v.id}
+                onClick={() => onShop(v)}
+                disabled={soldOut}
+                className="w-full rounded-xl bg-neutral-900 px-3 py-2 text-left text-xs font-semibold text-white disabled:opacity-50"
+              >
+                {t(soldOut ? "reels.soldOut" : "reels.add", { variant: v.name, price: fmt(v.price) })}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </figure>
+  );
+}
+
+function Reviews({ data, variants }) {
+  const { t, fmtNumber, fmtRating } = useLocale();
+  const [filters, setFilters] = useState({ rating: null, variantId: null, withPhotos: false });
+  const [page, setPage] = useState(1);
+  const [writing, setWriting] = useState(false);
+  const { status, reviews, aggregate } = data;
+
+  const filtered = useMemo(() => filterReviews(reviews, filters), [reviews, filters]);
+  const pages = Math.max(1, Math.ceil(filtered.length / REVIEWS.perPage));
+  const shown = filtered.slice((page - 1) * REVIEWS.perPage, page * REVIEWS.perPage);
+  const setFilter = (patch) => {
+    setFilters((f) => ({ ...f, ...patch }));
+    setPage(1);
+  };
+  // Only offer variants that have reviews
+  const reviewedVariants = variants.filter((v) => reviews.some((r) => r.variantId === v.id));
+  const variantName = (id) => (variants.find((v) => v.id === id) || {}).name;
+  const filtering = filters.rating || filters.variantId || filters.withPhotos;
+
+  return (
+    <section id="reviews" className="mt-12">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold">{t("reviews.title")}</h2>
+        <button onClick={() => setWriting((w) => !w)} className="rounded-xl border px-3 py-2 text-sm font-semibold">
+          {t("reviews.write")}
+        </button>
+      </div>
+
+      {writing && <ReviewForm variants={variants} onSubmit={data.submit} onDone={() => setWriting(false)} />}
+
+      {status === "loading" && <p className="text-sm text-neutral-600">{t("reviews.loading")}</p>}
+      {status === "error" && <p className="text-sm text-neutral-600">{t("reviews.error")}</p>}
+      {status === "ready" && aggregate.count === 0 && <p className="text-sm text-neutral-600">{t("reviews.empty")}</p>}
+
+      {status === "ready" && aggregate.count > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="rounded-2xl border bg-white p-4 shadow-sm h-fit">
+            <p className="text-3xl font-bold tabular-nums">{fmtRating(aggregate.rating)}</p>
+            <Stars rating={aggregate.rating} label={t("rating.stars", { rating: fmtRating(aggregate.rating) })} />
+            <p className="mt-1 text-sm text-neutral-600">{t("reviews.basedOn", { count: fmtNumber(aggregate.count) })}</p>
+            {/* Histogram doubles as the rating filter */}
+            <ul className="mt-4 space-y-1">
+              {[5, 4, 3, 2, 1].map((stars) => {
+                const n = aggregate.histogram[stars] || 0;
+                const active = filters.rating === stars;
+                return (
+                  <li key={stars}>
+                    <button
+                      onClick={() => setFilter({ rating: active ? null : stars })}
+                      aria-pressed={active}
+                      disabled={n === 0}
+                      className={`flex w-full items-center gap-2 rounded-lg px-1 text-xs disabled:opacity-40 ${active ? "bg-neutral-100 font-semibold" : "hover:bg-neutral-50"}`}
+                    >
+                      <span className="w-12 text-left">{t("reviews.starsLabel", { stars })}</span>
+                      <span className="h-2 flex-1 overflow-hidden rounded-full bg-neutral-200">
+                        <span className="block h-full bg-amber-400" style={{ width: `${aggregate.count ? (n / aggregate.count) * 100 : 0}%` }} />
+                      </span>
+                      <span className="w-10 text-right tabular-nums">{fmtNumber(n)}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
+          <div className="md:col-span-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <select
+                value={filters.rating || ""}
+                onChange={(e) => setFilter({ rating: Number(e.target.value) || null })}
+                aria-label={t("reviews.filterRating")}
+                className="rounded-xl border bg-white px-2 py-1"
+              >
+                <option value="">{t("reviews.allRatings")}</option>
+                {[5, 4, 3, 2, 1].map((stars) => (
+                  <option key={stars} value={stars}>{t("reviews.starsOption", { stars })}</option>
+                ))}
+              </select>
+              {reviewedVariants.length > 1 && (
+                <select
+                  value={filters.variantId || ""}
+                  onChange={(e) => setFilter({ variantId: e.target.value || null })}
+                  aria-label={t("reviews.filterVariant")}
+                  className="rounded-xl border bg-white px-2 py-1"
+                >
+                  <option value="">{t("reviews.allVariants")}</option>
+                  {reviewedVariants.map((v) => (
+                    <option key={v.id} value={v.id}>{v.name}</option>
+                  ))}
+                </select>
+              )}
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={filters.withPhotos} onChange={(e) => setFilter({ withPhotos: e.target.checked })} />
+                {t("reviews.withPhotos")}
+              </label>
+              {filtering && (
+                <button onClick={() => setFilter({ rating: null, variantId: null, withPhotos: false })} className="text-neutral-600 underline">
+                  {t("reviews.clearFilters")}
+                </button>
+              )}
+            </div>
+
+            {shown.length === 0 && <p className="mt-4 text-sm text-neutral-600">{t("reviews.none")}</p>}
+            <div className="mt-4 space-y-3">
+              {shown.map((r) => (
+                <ReviewCard key={r.id} review={r} variantName={variantName(r.variantId)} />
+              ))}
+            </div>
+
+            {pages > 1 && (
+              <nav aria-label={t("reviews.pagination")} className="mt-4 flex items-center justify-between text-sm">
+                <button onClick={() => setPage((p) => p - 1)} disabled={page <= 1} className="rounded-xl border px-3 py-1 disabled:opacity-40">
+                  {t("reviews.prev")}
+                </button>
+                <span className="tabular-nums text-neutral-600">{t("reviews.page", { page, pages })}</span>
+                <button onClick={() => setPage((p) => p + 1)} disabled={page >= pages} className="rounded-xl border px-3 py-1 disabled:opacity-40">
+                  {t("reviews.next")}
+                </button>
+              </nav>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function ReviewCard({ review, variantName }) {
+  const { t, fmtDate } = useLocale();
+  return (
+    <article className="rounded-2xl border bg-white p-4 shadow-sm">
+      <div className="flex items-center justify-between gap-2">
+        <Stars rating={review.rating} label={t("rating.stars", { rating: review.rating })} className="h-4 w-4" />
+        {review.date && <time dateTime={review.date} className="text-xs text-neutral-500">{fmtDate(review.date)}</time>}
+      </div>
+      {review.title && <h3 className="mt-2 font-semibold">{review.title}</h3>}
+      <p className="mt-1 text-neutral-800">{review.body}</p>
+      {review.photos.length > 0 && (
+        <div className="mt-3 flex gap-2">
+          {review.photos.map((p) => (
+            <a key={p.url} href={p.url} target="_blank" rel="noreferrer" className="h-20 w-20 overflow-hidden rounded-xl bg-neutral-100">
+              <img src={p.url} alt={p.alt || t("reviews.photoAlt", { author: review.author })} loading="lazy" className="h-full w-full object-cover" />
+            </a>
+          ))}
+        </div>
+      )}
+      <footer className="mt-3 text-sm text-neutral-600">
+        — {review.author}
+        {review.verified && <span className="ml-2 text-xs font-semibold text-emerald-700">{t("reviews.verified")}</span>}
+        {variantName && <span className="ml-2 text-xs text-neutral-500">{variantName}</span>}
+      </footer>
+    </article>
+  );
+}
+
+const EMPTY_REVIEW_DRAFT = { rating: 0, name: "", email: "", title: "", body: "", variantId: "" };
+
+function ReviewForm({ variants, onSubmit, onDone }) {
+  const { t } = useLocale();
+  const [draft, setDraft] = useState(EMPTY_REVIEW_DRAFT);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle"); // "idle" | "submitting" | "sent" | "notStored" | "failed"
+  const [failure, setFailure] = useState(null);
+  const set = (field) => (e) => setDraft((d) => ({ ...d, [field]: e.target.value }));
+
+  async function submit(e) {
+    e.preventDefault();
+    const found = validateReview(draft);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+    setStatus("submitting");
+    try {
+      const result = await onSubmit({ ...draft, name: draft.name.trim(), email: draft.email.trim(), title: draft.title.trim(), body: draft.body.trim(), variantId: draft.variantId || null });
+      setStatus(result && result.stored === false ? "notStored" : "sent");
+      setDraft(EMPTY_REVIEW_DRAFT);
+    } catch (err) {
+      console.error(err);
+      setFailure(err.message);
+      setStatus("failed");
+    }
+  }
+
+  if (status === "sent" || status === "notStored") {
+    return (
+      <div className="mb-6 rounded-2xl border bg-emerald-50 p-4 text-sm text-emerald-800" role="status">
+        {t(status === "sent" ? "reviews.form.thanks" : "reviews.form.notStored")}
+        <button onClick={onDone} className="ml-2 underline">{t("reviews.form.done")}</button>
+      </div>
+    );
+  }
+
+  const error = (field) =>
+    errors[field] && (
+      <p id={`review-${field}-error`} className="mt-1 text-xs text-rose-600">
+        {t(errors[field].key, errors[field].vars)}
+      </p>
+    );
+  const input = "mt-1 w-full rounded-xl border px-3 py-2";
+  return (
+    <form onSubmit={submit} noValidate className="mb-6 space-y-3 rounded-2xl border bg-white p-4 text-sm shadow-sm">
+      <fieldset>
+        <legend className="font-semibold">{t("reviews.form.rating")}</legend>
+        <div role="radiogroup" className="mt-1 flex gap-1" aria-describedby={errors.rating ? "review-rating-error" : undefined}>
+          {[1, 2, 3, 4, 5].map((n) => (
+            <button
+              key={n}
+              type="button"
+              role="radio"
+              aria-checked={draft.rating === n}
+              aria-label={t("rating.stars", { rating: n })}
+              onClick={() => setDraft((d) => ({ ...d, rating: n }))}
+              className="text-2xl leading-none"
+            >
+              <span className={n <= draft.rating ? "text-amber-400" : "text-neutral-300"}>★</span>
+            </button>
+          ))}
+        </div>
+        {error("rating")}
+      </fieldset>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block">
+          {t("reviews.form.name")}
+          <input value={draft.name} onChange={set("name")} autoComplete="name" className={input} aria-invalid={!!errors.name} aria-describedby={errors.name ? "review-name-error" : undefined} />
+          {error("name")}
+        </label>
+        <label className="block">
+          {t("reviews.form.email")}
+          <input type="email" value={draft.email} onChange={set("email")} autoComplete="email" className={input} aria-invalid={!!errors.email} aria-describedby={errors.email ? "review-email-error" : undefined} />
+          {error("email")}
+        </label>
+      </div>
+      {variants.length > 1 && (
+        <label className="block">
+          {t("reviews.form.variant")}
+          <select value={draft.variantId} onChange={set("variantId")} className={`${input} bg-white`}>
+            <option value="">—</option>
+            {variants.map((v) => (
+              <option key={v.id} value={v.id}>{v.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label className="block">
+        {t("reviews.form.title")}
+        <input value={draft.title} onChange={set("title")} maxLength={REVIEWS.form.titleMax} className={input} aria-invalid={!!errors.title} aria-describedby={errors.title ? "review-title-error" : undefined} />
+        {error("title")}
+      </label>
+      <label className="block">
+        {t("reviews.form.body")}
+        <textarea value={draft.body} onChange={set("body")} rows={4} maxLength={REVIEWS.form.bodyMax} className={input} aria-invalid={!!errors.body} aria-describedby={errors.body ? "review-body-error" : undefined} />
+        {error("body")}
+      </label>
+      {status === "failed" && <p className="text-xs text-rose-600" role="alert">{t("reviews.form.failed", { message: failure })}</p>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onDone} className="rounded-xl border px-4 py-2 font-semibold">{t("reviews.form.cancel")}</button>
+        <button type="submit" disabled={status === "submitting"} className="rounded-xl bg-neutral-900 px-4 py-2 font-semibold text-white disabled:opacity-50">
+          {status === "submitting" ? t("reviews.form.submitting") : t("reviews.form.submit")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function FAQ() {
+  const { t, copy } = useLocale();
+  const faqs = COPY.faq.map((f) => ({ q: copy(f.q), a: copy(f.a) }));
+  const [open, setOpen] = useState("0");
+  return (
+    <section id="faq" className="mt-12">
+      <h2 className="text-lg font-semibold mb-3">{t("faq.title")}</h2>
+      <div className="divide-y rounded-2xl border bg-white">
+        {faqs.map((f, i) => (
+          <div key={i}>
+            <button
+              onClick={() => setOpen((o) => (o === String(i) ? "" : String(i)))}
+              className="w-full px-4 py-4 text-left font-medium flex items-center justify-between"
+              aria-expanded={open === String(i)}
+            >
+              {f.q}
+              <span className="ml-3 text-xl">{open === String(i) ? "−" : "+"}</span>
+            </button>
+            {open === String(i) && <p className="px-4 pb-4 text-sm text-neutral-700">{f.a}</p>}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function Footer({ year, onCookiePrefs }) {
+  const { t, copy } = useLocale();
+  const { columns } = COPY.footer;
+  return (
+    <footer className="mt-16 border-t bg-white">
+      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-10 grid grid-cols-1 md:grid-cols-4 gap-6 text-sm">
+        <div>
+          <div className="h-9 w-9 rounded-xl bg-neutral-900 mb-2" aria-hidden />
+          <p className="text-neutral-600">{copy(COPY.footer.tagline)} © {year} {SITE.name}</p>
+        </div>
+        {columns.map((col, i) => (
+          <div key={i}>
+            <h3 className="font-semibold mb-2">{copy(col.title)}</h3>
+            <ul className="space-y-1 text-neutral-600">
+              {col.links.map((link, j) => (
+                <li key={j}><a href={link.href} className="hover:text-neutral-900">{copy(link.label)}</a></li>
+              ))}
+              {i === columns.length - 1 && (
+                <li><button onClick={onCookiePrefs} className="hover:text-neutral-900">{t("footer.cookies")}</button></li>
+              )}
+            </ul>
+          </div>
+        ))}
+        <div>
+          <h3 className="font-semibold mb-2">{t("footer.newsletter")}</h3>
+          <NewsletterForm />
+        </div>
+      </div>
+    </footer>
+  );
+}
+
+function NewsletterForm() {
+  const { t, pick } = useLocale();
+  const [draft, setDraft] = useState({ email: "", consent: false });
+  const [errors, setErrors] = useState({});
+  const { status, subscribe } = useNewsletter();
+  const [copied, setCopied] = useState(false);
+  const reward = NEWSLETTER.reward;
+
+  function submit(e) {
+    e.preventDefault();
+    const found = validateSignup(draft);
+    setErrors(found);
+    if (!Object.keys(found).length) subscribe(draft.email);
+  }
+
+  async function copyCode() {
+    try {
+      await navigator.clipboard.writeText(reward.code);
+      setCopied(true);
+    } catch (e) {
+      console.warn("Clipboard unavailable", e);
+    }
+  }
+
+  if (status === "subscribed" || status === "pending" || status === "alreadySubscribed") {
+    return (
+      <div role="status" className="space-y-2 text-neutral-700">
+        <p className="font-semibold">{t({ subscribed: "newsletter.subscribed", pending: "newsletter.pending", alreadySubscribed: "newsletter.already" }[status])}</p>
+        {reward && status === "pending" && <p>{t("newsletter.pendingReward", { offer: pick(reward.offer) })}</p>}
+        {reward && status === "subscribed" && (
+          <div>
+            <p>{t("newsletter.reward", { offer: pick(reward.offer) })}</p>
+            <div className="mt-1 flex items-center gap-2">
+              <code className="rounded-lg border border-dashed bg-neutral-50 px-3 py-1 font-semibold tracking-wider">{reward.code}</code>
+              <button onClick={copyCode} className="rounded-lg border px-2 py-1 text-xs">{copied ? t("newsletter.copied") : t("newsletter.copy")}</button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const error = (field) =>
+    errors[field] && (
+      <p id={`newsletter-${field}-error`} className="mt-1 text-xs text-rose-600">
+        {t(errors[field].key)}
+      </p>
+    );
+  return (
+    <form onSubmit={submit} noValidate>
+      <div className="flex gap-2">
+        <input
+          type="email"
+          value={draft.email}
+          onChange={(e) => setDraft((d) => ({ ...d, email: e.target.value }))}
+          autoComplete="email"
+          className="flex-1 min-w-0 rounded-xl border px-3 py-2"
+          placeholder={t("footer.email")}
+          aria-label={t("footer.email")}
+          aria-invalid={!!errors.email}
+          aria-describedby={errors.email ? "newsletter-email-error" : undefined}
+        />
+        <button type="submit" disabled={status === "loading"} className="rounded-xl bg-neutral-900 px-4 py-2 text-white font-semibold disabled:opacity-50">
+          {status === "loading" ? t("newsletter.joining") : t("footer.join")}
+        </button>
+      </div>
+      {error("email")}
+      <label className="mt-2 flex items-start gap-2 text-xs text-neutral-600">
+        <input
+          type="checkbox"
+          className="mt-0.5"
+          checked={draft.consent}
+          onChange={(e) => setDraft((d) => ({ ...d, consent: e.target.checked }))}
+          aria-invalid={!!errors.consent}
+          aria-describedby={errors.consent ? "newsletter-consent-error" : undefined}
+        />
+        <span>
+          {t("newsletter.consent")}{" "}
+          <a href={CONSENT.policyUrl} className="underline">{t("newsletter.privacy")}</a>
+        </span>
+      </label>
+      {error("consent")}
+      {status === "error" && <p className="mt-1 text-xs text-rose-600" role="alert">{t("newsletter.error")}</p>}
+    </form>
+  );
+}
+
+function ConsentBanner({ onAcceptAll, onRejectAll, onCustomize }) {
+  const { t } = useLocale();
+  return (
+    <div role="region" aria-label={t("consent.title")} className="fixed inset-x-0 bottom-0 z-[60] p-3">
+      <div className="mx-auto max-w-3xl rounded-2xl border bg-white p-4 shadow-2xl text-sm">
+        <p className="font-semibold">{t("consent.title")}</p>
+        <p className="mt-1 text-neutral-600">
+          {t("consent.body")}{" "}
+          <a href={CONSENT.policyUrl} className="underline">{t("consent.policy")}</a>
+        </p>
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          <button onClick={onCustomize} className="rounded-xl border px-4 py-2 font-semibold">{t("consent.customize")}</button>
+          {/* Rejecting is as prominent as accepting */}
+          <button onClick={onRejectAll} className="rounded-xl bg-neutral-900 px-4 py-2 font-semibold text-white">{t("consent.rejectAll")}</button>
+          <button onClick={onAcceptAll} className="rounded-xl bg-neutral-900 px-4 py-2 font-semibold text-white">{t("consent.acceptAll")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ConsentPreferences({ open, consent, gpc, onSave, onClose }) {
+  const { t } = useLocale();
+  const [choice, setChoice] = useState({ analytics: false, marketing: false });
+  // Start from the stored choice each time the dialog opens
+  useEffect(() => {
+    if (open) setChoice({ analytics: !!(consent && consent.analytics), marketing: !!(consent && consent.marketing) && !gpc });
+  }, [open, consent, gpc]);
+  if (!open) return null;
+  return (
+    <div className="fixed inset-0 z-[70] flex items-end sm:items-center justify-center bg-black/30 p-3" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="consent-prefs-title"
+        className="w-full max-w-md rounded-2xl bg-white p-5 shadow-2xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="consent-prefs-title" className="font-semibold">{t("consent.prefsTitle")}</h3>
+          <button onClick={onClose} className="rounded-lg border px-2 py-1">{t("consent.close")}</button>
+        </div>
+        <div className="mt-4 space-y-3">
+          {CONSENT.categories.map((category) => {
+            const locked = category === "necessary" || (category === "marketing" && gpc);
+            return (
+              <label key={category} className="flex items-start gap-3 rounded-xl border p-3">
+                <input
+                  type="checkbox"
+                  className="mt-1"
+                  checked={category === "necessary" || !!choice[category]}
+                  disabled={locked}
+                  onChange={(e) => setChoice((c) => ({ ...c, [category]: e.target.checked }))}
+                />
+                <span>
+                  <span className="font-semibold">{t(`consent.${category}`)}</span>
+                  <span className="block text-neutral-600">{t(`consent.${category}Desc`)}</span>
+                  {category === "marketing" && gpc && <span className="block text-xs text-amber-700">{t("consent.gpc")}</span>}
+                </span>
+              </label>
+            );
+          })}
+        </div>
+        <button onClick={() => onSave(choice)} className="mt-4 w-full rounded-2xl bg-neutral-900 px-6 py-3 font-semibold text-white">
+          {t("consent.save")}
+        </button>
+      </div>
+    </div>
   );
 }
 
-function Testimonials() {
-  const quotes = [
-    {
-      n: "Kara M.",
-      t: "Obsessed! Did a 10‑minute tree install and the living room looks like a movie set.",
-    },
-    { n: "Luis R.", t: "Bought two 20m sets—one for the patio. Remote + timer = chef’s kiss." },
-    { n: "Alyssa P.", t: "Great gift. Packaging is cute and it’s actually bright without getting hot." },
-  ];
+const EMPTY_TRACKING_QUERY = { orderNumber: "", email: "" };
+
+function OrderTracking({ open, onClose }) {
+  const { t } = useLocale();
+  const [query, setQuery] = useState(EMPTY_TRACKING_QUERY);
+  const [errors, setErrors] = useState({});
+  const result = useOrderLookup();
+  const set = (field) => (e) => setQuery((q) => ({ ...q, [field]: e.target.value }));
+
+  // Escape closes, like the scrim
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  function submit(e) {
+    e.preventDefault();
+    const found = validateTrackingQuery(query);
+    setErrors(found);
+    if (!Object.keys(found).length) result.lookup(query);
+  }
+
+  const error = (field) =>
+    errors[field] && (
+      <p id={`track-${field}-error`} className="mt-1 text-xs text-rose-600">
+        {t(errors[field].key)}
+      </p>
+    );
+  const input = "mt-1 w-full rounded-xl border px-3 py-2";
   return (
-    <section className="mt-12">
-      <h2 className="text-lg font-semibold mb-4">Loved by 2,000+ holiday shoppers</h2>
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-        {quotes.map((q) => (
-          <blockquote key={q.n} className="rounded-2xl border bg-white p-4 shadow-sm">
-            <p className="text-neutral-800">“{q.t}”</p>
-            <footer className="mt-3 text-sm text-neutral-600">— {q.n}</footer>
-          </blockquote>
-        ))}
+    <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center bg-black/30 p-3" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="track-title"
+        className="w-full max-w-lg max-h-[90vh] overflow-auto rounded-2xl bg-white p-5 shadow-2xl text-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h3 id="track-title" className="font-semibold">{t("track.title")}</h3>
+          <button onClick={onClose} className="rounded-lg border px-2 py-1">{t("track.close")}</button>
+        </div>
+        {result.status === "found" ? (
+          <>
+            <TrackingResult order={result.order} />
+            <button onClick={result.reset} className="mt-4 underline">{t("track.another")}</button>
+          </>
+        ) : (
+          <form onSubmit={submit} noValidate className="mt-3 space-y-3">
+            <p className="text-neutral-600">{t("track.intro")}</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <label className="block">
+                {t("track.orderNumber")}
+                <input value={query.orderNumber} onChange={set("orderNumber")} placeholder="#1001" className={input} aria-invalid={!!errors.orderNumber} aria-describedby={errors.orderNumber ? "track-orderNumber-error" : undefined} />
+                {error("orderNumber")}
+              </label>
+              <label className="block">
+                {t("track.email")}
+                <input type="email" value={query.email} onChange={set("email")} autoComplete="email" className={input} aria-invalid={!!errors.email} aria-describedby={errors.email ? "track-email-error" : undefined} />
+                {error("email")}
+              </label>
+            </div>
+            {result.status === "notFound" && <p className="text-rose-600" role="alert">{t("track.notFound")}</p>}
+            {result.status === "error" && <p className="text-rose-600" role="alert">{t("track.error")}</p>}
+            <button type="submit" disabled={result.status === "loading"} className="w-full rounded-2xl bg-neutral-900 px-6 py-3 font-semibold text-white disabled:opacity-50">
+              {result.status === "loading" ? t("track.loading") : t("track.submit")}
+            </button>
+          </form>
+        )}
       </div>
-    </section>
+    </div>
   );
 }
 
-function FAQ() {
-  const faqs = [
-    {
-      q: "Will it arrive before Christmas?",
-      a: "Yes if you order before our shipping cutoff (see timer above). We also offer expedited options at checkout.",
-    },
-    {
-      q: "Is it safe for indoor trees?",
-      a: "Yes. Low-heat LEDs and copper wire. Always follow standard safety guidance.",
-    },
-    {
-      q: "Can I use it outside?",
-      a: "Rated IP44: protected against splashing water. Keep the USB power source covered.",
-    },
-    {
-      q: "What’s the return policy?",
-      a: "30 days hassle-free. Full details in Returns & Warranty.",
-    },
-  ];
-  const [open, setOpen] = useState("0");
+function TrackingResult({ order }) {
+  const { t, fmtDay } = useLocale();
   return (
-    <section id="faq" className="mt-12">
-      <h2 className="text-lg font-semibold mb-3">FAQ</h2>
-      <div className="divide-y rounded-2xl border bg-white">
-        {faqs.map((f, i) => (
-          <div key={i}>
-            <button
-              onClick={() => setOpen((o) => (o === String(i) ? "" : String(i)))}
-              className="w-full px-4 py-4 text-left font-medium flex items-center justify-between"
-              aria-expanded={open === String(i)}
-            >
-              {f.q}
-              <span className="ml-3 text-xl">{open === String(i) ? "−" : "+"}</span>
-            </button>
-            {open === String(i) && <p className="px-4 pb-4 text-sm text-neutral-700">{f.a}</p>}
-          </div>
-        ))}
+    <div className="mt-3 space-y-4" role="status">
+      <div>
+        <p className="font-semibold">{t("track.order", { number: order.number })}</p>
+        <p className="text-neutral-600">{t("track.placed", { date: fmtDay(order.placedAt) })}</p>
+        <ul className="mt-1 text-neutral-600">
+          {order.items.map((i) => (
+            <li key={i.title}>
+              {i.quantity} × {i.title}
+            </li>
+          ))}
+        </ul>
       </div>
-    </section>
+      {order.shipments.length === 0 ? (
+        <div className="rounded-xl border p-3">
+          <TrackingTimeline steps={trackingTimeline(order)} />
+          <p className="mt-2 text-neutral-600">{t("track.preparing")}</p>
+          {order.estimatedDelivery && <p className="mt-1 font-semibold">{t("track.eta", { date: fmtDay(order.estimatedDelivery) })}</p>}
+        </div>
+      ) : (
+        order.shipments.map((s, i) => (
+          <div key={s.trackingNumber || i} className="rounded-xl border p-3">
+            {order.shipments.length > 1 && <p className="text-xs text-neutral-500">{t("track.package", { n: i + 1, count: order.shipments.length })}</p>}
+            <p className="font-semibold">
+              {s.deliveredAt
+                ? t("track.deliveredOn", { date: fmtDay(s.deliveredAt) })
+                : s.estimatedDelivery && t("track.eta", { date: fmtDay(s.estimatedDelivery) })}
+            </p>
+            <TrackingTimeline steps={trackingTimeline(order, s)} />
+            {s.trackingNumber && (
+              <p className="mt-2 text-neutral-600">
+                {s.trackingUrl ? (
+                  <a href={s.trackingUrl} target="_blank" rel="noopener noreferrer" className="underline">
+                    {t("track.trackWith", { carrier: s.carrier })}
+                  </a>
+                ) : (
+                  s.carrier
+                )}{" "}
+                · {t("track.trackingNumber", { number: s.trackingNumber })}
+              </p>
+            )}
+          </div>
+        ))
+      )}
+    </div>
   );
 }
 
-function Footer() {
+function TrackingTimeline({ steps }) {
+  const { t, fmtDateTime } = useLocale();
   return (
-    <footer className="mt-16 border-t bg-white">
-      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8 py-10 grid grid-cols-1 md:grid-cols-4 gap-6 text-sm">
-        <div>
-          <div className="h-9 w-9 rounded-xl bg-neutral-900 mb-2" aria-hidden />
-          <p className="text-neutral-600">Cozy lights, happy nights. © {new Date().getFullYear()} GlowGoods</p>
-        </div>
-        <div>
-          <h3 className="font-semibold mb-2">Support</h3>
-          <ul className="space-y-1 text-neutral-600">
-            <li><a href="#" className="hover:text-neutral-900">Contact</a></li>
-            <li><a href="#" className="hover:text-neutral-900">Shipping & Returns</a></li>
-            <li><a href="#" className="hover:text-neutral-900">Warranty</a></li>
-          </ul>
-        </div>
-        <div>
-          <h3 className="font-semibold mb-2">Company</h3>
-          <ul className="space-y-1 text-neutral-600">
-            <li><a href="#" className="hover:text-neutral-900">About</a></li>
-            <li><a href="#" className="hover:text-neutral-900">Affiliate</a></li>
-            <li><a href="#" className="hover:text-neutral-900">Privacy & Terms</a></li>
-          </ul>
-        </div>
-        <div>
-          <h3 className="font-semibold mb-2">Newsletter</h3>
-          <div className="flex gap-2">
-            <input className="flex-1 rounded-xl border px-3 py-2" placeholder="Your email" />
-            <button className="rounded-xl bg-neutral-900 px-4 py-2 text-white font-semibold">Join</button>
-          </div>
-        </div>
-      </div>
-    </footer>
+    <ol className="mt-2 space-y-2">
+      {steps.map((step) => (
+        <li key={step.stage} className="flex items-start gap-3">
+          <span className={`mt-1 h-3 w-3 shrink-0 rounded-full ${step.done ? "bg-emerald-500" : "border border-neutral-300"}`} aria-hidden />
+          <span className={step.done ? "" : "text-neutral-400"}>
+            <span className="font-medium">{t(`track.stage.${step.stage}`)}</span>
+            {step.at && (
+              <span className="block text-xs text-neutral-500">
+                {fmtDateTime(new Date(step.at))}
+                {step.location && ` · ${step.location}`}
+              </span>
+            )}
+          </span>
+        </li>
+      ))}
+    </ol>
   );
 }
 
-function CartDrawer({ open, onClose, cart, onQty, onRemove, subtotal, qualifiesFreeShip, onCheckout }) {
+function CartDrawer({ open, onClose, cart, onQty, onRemove, subtotal, bundleSavings, discount, discountBusy, discountError, onApplyCode, onRemoveCode, qualifiesFreeShip, freeShipThreshold, upsells, onAddUpsell, gift, onGiftChange, giftWrap, onGiftWrap, onSaveForLater, saved, onMoveToCart, onRemoveSaved, onCheckout, checkoutBusy, checkoutError, onDismissError }) {
+  const { t, fmt } = useLocale();
+  const freeShipProgress = qualifiesFreeShip ? 1 : Math.min(1, subtotal / freeShipThreshold);
   return (
     <div className={`fixed inset-0 z-50 ${open ? "" : "pointer-events-none"}`} aria-hidden={!open}>
       {/* Scrim */}
@@ -643,44 +2910,127 @@ function CartDrawer({ open, onClose, cart, onQty, onRemove, subtotal, qualifiesF
       {/* Panel */}
       <aside className={`absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-2xl transition-transform ${open ? "translate-x-0" : "translate-x-full"}`}>
         <div className="flex items-center justify-between border-b p-4">
-          <h3 className="font-semibold">Your Cart</h3>
-          <button onClick={onClose} className="rounded-lg border px-2 py-1">Close</button>
+          <h3 className="font-semibold">{t("cart.title")}</h3>
+          <button onClick={onClose} className="rounded-lg border px-2 py-1">{t("cart.close")}</button>
         </div>
         <div className="p-4 space-y-3 max-h-[calc(100%-12rem)] overflow-auto">
-          {cart.length === 0 && <p className="text-sm text-neutral-600">Your cart is empty.</p>}
+          {cart.length === 0 && <p className="text-sm text-neutral-600">{t("cart.empty")}</p>}
           {cart.map((l) => (
             <div key={l.variantId} className="flex gap-3 rounded-xl border p-3">
-              <img src={l.image} alt="Cart item" className="h-16 w-16 rounded-lg object-cover" />
+              <img src={l.image} alt={t("cart.itemAlt")} className="h-16 w-16 rounded-lg object-cover" />
               <div className="flex-1">
                 <p className="font-medium leading-tight">{l.title}</p>
                 <p className="text-sm text-neutral-600">{l.variantName}</p>
+                {l.bundle && (
+                  <span className="mt-1 inline-block rounded-full bg-emerald-50 px-2 py-0.5 text-xs font-semibold text-emerald-700">
+                    {t("cart.bundle", { pct: l.bundle.pct })}
+                  </span>
+                )}
+                {l.shipNote && <p className="mt-1 text-xs font-semibold text-amber-700">{l.shipNote}</p>}
+                {l.attributes
+                  .filter((a) => !a.key.startsWith("_"))
+                  .map((a) => (
+                    <p key={a.key} className="mt-1 text-xs text-neutral-600 break-words">
+                      <span className="font-semibold">{a.key}:</span> {a.value}
+                    </p>
+                  ))}
                 <div className="mt-2 flex items-center gap-2">
-                  <button className="rounded-lg border px-2" onClick={() => onQty(l.variantId, -1)} aria-label="Decrease">−</button>
+                  <button className="rounded-lg border px-2" onClick={() => onQty(l.variantId, -1)} aria-label={t("cart.decrease")}>−</button>
                   <span className="tabular-nums">{l.qty}</span>
-                  <button className="rounded-lg border px-2" onClick={() => onQty(l.variantId, 1)} aria-label="Increase">+</button>
+                  <button
+                    className="rounded-lg border px-2 disabled:opacity-30"
+                    onClick={() => onQty(l.variantId, 1)}
+                    disabled={l.qty >= l.maxQty}
+                    aria-label={t("cart.increase")}
+                  >
+                    +
+                  </button>
                 </div>
               </div>
               <div className="text-right">
-                <p className="font-semibold">{fmt(l.price * l.qty)}</p>
-                <button className="mt-2 text-xs text-rose-600 underline" onClick={() => onRemove(l.variantId)}>Remove</button>
+                {l.bundle && <p className="text-xs text-neutral-400 line-through">{fmt(l.price * l.qty)}</p>}
+                <p className="font-semibold">{fmt(l.total)}</p>
+                <button className="mt-2 text-xs text-rose-600 underline" onClick={() => onRemove(l.variantId)}>{t("cart.remove")}</button>
+                {l.productId !== GIFT.wrap.id && (
+                  <button className="mt-1 block text-xs text-neutral-600 underline" onClick={() => onSaveForLater(l.variantId)}>
+                    {t("wishlist.saveForLater")}
+                  </button>
+                )}
               </div>
             </div>
           ))}
+          {GIFT.enabled && cart.length > 0 && (
+            <GiftOptions gift={gift} onChange={onGiftChange} wrap={giftWrap} wrapped={cart.some((l) => l.productId === GIFT.wrap.id)} onWrap={onGiftWrap} />
+          )}
+          {upsells.length > 0 && <UpsellRail suggestions={upsells} onAdd={onAddUpsell} />}
+          {saved.length > 0 && <SavedItems items={saved} onMoveToCart={onMoveToCart} onRemove={onRemoveSaved} />}
         </div>
         <div className="border-t p-4 space-y-2">
+          <DiscountCodeForm
+            codes={discount.codes}
+            busy={discountBusy}
+            error={discountError}
+            onApply={onApplyCode}
+            onRemove={onRemoveCode}
+          />
+          {bundleSavings > 0 && (
+            <div className="flex items-center justify-between text-sm text-emerald-700">
+              <span>{t("cart.bundleSavings")}</span>
+              <span>−{fmt(bundleSavings)}</span>
+            </div>
+          )}
           <div className="flex items-center justify-between text-sm">
-            <span>Subtotal</span>
-            <span className="font-semibold">{fmt(subtotal)}</span>
+            <span>{t("cart.subtotal")}</span>
+            <span className={discount.amount > 0 ? "text-neutral-400 line-through" : "font-semibold"}>{fmt(subtotal)}</span>
           </div>
+          {discount.amount > 0 && (
+            <>
+              <div className="flex items-center justify-between text-sm text-emerald-700">
+                <span>{t("cart.discount")}</span>
+                <span>−{fmt(discount.amount)}</span>
+              </div>
+              <div className="flex items-center justify-between text-sm">
+                <span>{t("cart.subtotalAfterDiscount")}</span>
+                <span className="font-semibold">{fmt(subtotal - discount.amount)}</span>
+              </div>
+            </>
+          )}
           <div className={`text-xs ${qualifiesFreeShip ? "text-emerald-700" : "text-neutral-600"}`}>
-            {qualifiesFreeShip ? "You qualify for free shipping!" : `Add ${fmt(Math.max(0, PRODUCT_DATA.freeShippingThreshold - subtotal))} for free shipping.`}
+            {qualifiesFreeShip
+              ? t("cart.freeShipping")
+              : t("cart.freeShippingGap", { amount: fmt(Math.max(0, freeShipThreshold - subtotal)) })}
+            <div
+              className="mt-1 h-1.5 overflow-hidden rounded-full bg-neutral-100"
+              role="progressbar"
+              aria-label={t("cart.freeShippingProgress")}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={Math.round(freeShipProgress * 100)}
+            >
+              <div
+                className={`h-full rounded-full transition-[width] duration-500 ease-out motion-reduce:transition-none ${qualifiesFreeShip ? "bg-emerald-500" : "bg-neutral-900"}`}
+                style={{ width: `${freeShipProgress * 100}%` }}
+              />
+            </div>
           </div>
+          {checkoutError && (
+            <div className="rounded-xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700" role="alert">
+              <p>{t(checkoutErrorKey(checkoutError), { message: checkoutError.message })}</p>
+              <div className="mt-2 flex gap-3 text-xs font-semibold">
+                {checkoutError.retryable && (
+                  <button className="underline" onClick={onCheckout} disabled={checkoutBusy}>{t("cart.error.retry")}</button>
+                )}
+                <button className="underline" onClick={onDismissError}>{t("cart.error.dismiss")}</button>
+              </div>
+            </div>
+          )}
           <button
             onClick={onCheckout}
-            disabled={subtotal === 0}
+            disabled={subtotal === 0 || checkoutBusy}
+            aria-busy={checkoutBusy}
             className="mt-2 w-full rounded-2xl bg-neutral-900 px-6 py-4 text-white font-semibold disabled:opacity-50"
           >
-            Checkout
+            {checkoutBusy ? t("cart.checkingOut") : t("cart.checkout")}
           </button>
           <div className="flex items-center justify-center gap-2 text-[11px] text-neutral-500 mt-2">
             <span className="rounded border px-2 py-1">VISA</span>
@@ -695,7 +3045,163 @@ function CartDrawer({ open, onClose, cart, onQty, onRemove, subtotal, qualifiesF
   );
 }
 
-function Icon({ d, className = "h-5 w-5" }: { d: string; className?: string }) {
+// Gift wrap (a paid line), a gift message and the packing-slip price toggle
+function GiftOptions({ gift, onChange, wrap, wrapped, onWrap }) {
+  const { t, fmt } = useLocale();
+  return (
+    <fieldset className="space-y-2 rounded-xl border p-3 text-sm">
+      <legend className="px-1 font-semibold">{t("gift.title")}</legend>
+      {wrap && (
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={wrapped} onChange={(e) => onWrap(e.target.checked)} />
+          {t("gift.wrap", { price: fmt(wrap.price) })}
+        </label>
+      )}
+      <label className="block">
+        <span className="text-xs text-neutral-600">{t("gift.message")}</span>
+        <textarea
+          value={gift.message}
+          onChange={(e) => onChange({ message: e.target.value.slice(0, GIFT.messageMaxLength) })}
+          maxLength={GIFT.messageMaxLength}
+          rows={3}
+          className="mt-1 w-full rounded-xl border px-3 py-2 text-sm"
+          placeholder={t("gift.messagePlaceholder")}
+          aria-describedby="gift-message-count"
+        />
+        <span id="gift-message-count" className="block text-right text-[11px] text-neutral-500">
+          {t("gift.messageCount", { count: gift.message.length, max: GIFT.messageMaxLength })}
+        </span>
+      </label>
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={gift.hidePrices} onChange={(e) => onChange({ hidePrices: e.target.checked })} />
+        {t("gift.hidePrices")}
+      </label>
+    </fieldset>
+  );
+}
+
+// The wishlist below the cart lines; sold-out items stay listed but can't be moved to the cart
+function SavedItems({ items, onMoveToCart, onRemove }) {
+  const { t, fmt } = useLocale();
+  const [copied, setCopied] = useState(false);
+
+  async function share() {
+    try {
+      if ((await shareWishlist(items, t("wishlist.shareTitle", { brand: SITE.name }))) === "copied") setCopied(true);
+    } catch (e) {
+      // Dismissing the share sheet rejects too
+      if (e.name !== "AbortError") console.warn("Could not share the wishlist", e);
+    }
+  }
+
+  return (
+    <section className="pt-2" aria-labelledby="saved-title">
+      <div className="flex items-center justify-between">
+        <h4 id="saved-title" className="text-sm font-semibold">{t("wishlist.title", { count: items.length })}</h4>
+        <button className="text-xs underline" onClick={share}>{copied ? t("wishlist.copied") : t("wishlist.share")}</button>
+      </div>
+      <ul className="mt-2 space-y-2">
+        {items.map((l) => (
+          <li key={l.variantId} className="flex gap-3 rounded-xl border p-2 text-sm">
+            <img src={l.image} alt="" className="h-12 w-12 rounded-lg object-cover" loading="lazy" />
+            <div className="flex-1">
+              <p className="font-medium leading-tight">{l.title}</p>
+              <p className="text-xs text-neutral-600">
+                {l.variantName}
+                {l.qty > 1 && ` × ${l.qty}`} · {fmt(l.price)}
+              </p>
+              {!l.available && <p className="text-xs font-semibold text-rose-600">{t("wishlist.soldOut")}</p>}
+            </div>
+            <div className="flex flex-col items-end gap-1 text-xs">
+              <button
+                className="rounded-lg bg-neutral-900 px-2 py-1 font-semibold text-white disabled:opacity-40"
+                onClick={() => onMoveToCart(l.variantId)}
+                disabled={!l.available}
+              >
+                {t("wishlist.moveToCart")}
+              </button>
+              <button className="text-rose-600 underline" onClick={() => onRemove(l.variantId)}>{t("wishlist.removeItem")}</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// Suggestions from upsellSuggestions, one tap each
+function UpsellRail({ suggestions, onAdd }) {
+  const { t, fmt } = useLocale();
+  return (
+    <section className="pt-2" aria-labelledby="upsell-title">
+      <h4 id="upsell-title" className="text-sm font-semibold">{t("upsell.title")}</h4>
+      <ul className="mt-2 flex gap-3 overflow-x-auto pb-1">
+        {suggestions.map((s) => (
+          <li key={s.variant.id} className="w-36 shrink-0 rounded-xl border p-2">
+            <img src={variantImage(s.product, s.variant)} alt="" className="h-20 w-full rounded-lg object-cover" loading="lazy" />
+            <p className="mt-1 line-clamp-2 text-xs font-medium leading-tight">{s.product.title}</p>
+            {s.product.variants.length > 1 && <p className="text-[11px] text-neutral-600">{s.variant.name}</p>}
+            <p className="text-xs font-semibold">{t("upsell.adds", { amount: fmt(s.adds) })}</p>
+            {s.closesGap && <p className="text-[11px] font-semibold text-emerald-700">{t("upsell.unlocksFreeShipping")}</p>}
+            <button
+              className="mt-1 w-full rounded-lg bg-neutral-900 px-2 py-1 text-xs font-semibold text-white"
+              onClick={() => onAdd(s)}
+              aria-label={t("upsell.addAria", { name: `${s.product.title} — ${s.variant.name}` })}
+            >
+              {t("upsell.add")}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function DiscountCodeForm({ codes, busy, error, onApply, onRemove }) {
+  const { t, fmt } = useLocale();
+  const [value, setValue] = useState("");
+  function submit(e) {
+    e.preventDefault();
+    if (!value.trim()) return;
+    onApply(value.trim());
+    setValue("");
+  }
+  return (
+    <div className="space-y-2">
+      <form onSubmit={submit} className="flex gap-2">
+        <input
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="flex-1 rounded-xl border px-3 py-2 text-sm uppercase"
+          placeholder={t("discount.placeholder")}
+          aria-label={t("discount.placeholder")}
+          autoComplete="off"
+        />
+        <button type="submit" disabled={busy || !value.trim()} className="rounded-xl border px-4 py-2 text-sm font-semibold disabled:opacity-50">
+          {busy ? t("discount.applying") : t("discount.apply")}
+        </button>
+      </form>
+      {error && <p className="text-xs text-rose-600" role="alert">{error}</p>}
+      {codes.map((c) => (
+        <div key={c.code} className="flex items-center justify-between text-xs">
+          <span className={`rounded-full px-2 py-1 font-semibold ${c.applicable === false ? "bg-rose-50 text-rose-700" : "bg-emerald-50 text-emerald-700"}`}>
+            {c.code} ·{" "}
+            {c.applicable === null
+              ? t("discount.checking")
+              : c.applicable
+                ? t("discount.applied")
+                : t(`discount.${c.reason || "notApplicable"}`, { amount: c.minSubtotal != null ? fmt(c.minSubtotal) : "" })}
+          </span>
+          <button className="text-neutral-600 underline" onClick={() => onRemove(c.code)} aria-label={t("discount.removeCode", { code: c.code })}>
+            {t("discount.remove")}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Icon({ d, className = "h-5 w-5" }) {
   // simple path-only icon renderer
   return (
     <svg viewBox="0 0 24 24" className={className} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
@@ -707,19 +3213,469 @@ function Icon({ d, className = "h-5 w-5" }: { d: string; className?: string }) {
 // ----------------------------
 // Helpers
 // ----------------------------
-function variantGidById(localId) {
-  const v = PRODUCT_DATA.variants.find((x) => x.id === localId);
-  if (!v || !v.gid) throw new Error(`Missing Shopify GID for variant ${localId}`);
-  return v.gid;
+// Horizontal swipe -> onSwipe(1) for next, onSwipe(-1) for previous; vertical moves and pinches don't count
+function useSwipe(onSwipe) {
+  const start = useRef(null);
+  return {
+    onTouchStart(e) {
+      start.current = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+    },
+    onTouchEnd(e) {
+      const from = start.current;
+      start.current = null;
+      if (!from || e.touches.length > 0) return;
+      const dx = e.changedTouches[0].clientX - from.x;
+      const dy = e.changedTouches[0].clientY - from.y;
+      if (Math.abs(dx) >= GALLERY.swipeThreshold && Math.abs(dx) > Math.abs(dy)) onSwipe(dx < 0 ? 1 : -1);
+    },
+  };
+}
+
+// Two-finger pinch scales (1..max), one finger pans while zoomed, double-tap/click toggles 2x
+function usePinchZoom(max) {
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const gesture = useRef(null);
+  const spread = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  const handlers = {
+    onTouchStart(e) {
+      if (e.touches.length === 2) gesture.current = { ...view, spread: spread(e.touches) };
+      else if (e.touches.length === 1 && view.scale > 1) gesture.current = { ...view, panX: e.touches[0].clientX, panY: e.touches[0].clientY };
+    },
+    onTouchMove(e) {
+      const g = gesture.current;
+      if (!g) return;
+      if (g.spread && e.touches.length === 2) {
+        const scale = Math.min(max, Math.max(1, (g.scale * spread(e.touches)) / g.spread));
+        setView(scale === 1 ? { scale, x: 0, y: 0 } : { scale, x: g.x, y: g.y });
+      } else if (g.panX !== undefined && e.touches.length === 1) {
+        setView({ scale: g.scale, x: g.x + e.touches[0].clientX - g.panX, y: g.y + e.touches[0].clientY - g.panY });
+      }
+    },
+    onTouchEnd(e) {
+      if (e.touches.length === 0) gesture.current = null;
+    },
+    onDoubleClick() {
+      setView((v) => (v.scale > 1 ? { scale: 1, x: 0, y: 0 } : { scale: 2, x: 0, y: 0 }));
+    },
+  };
+  return { view, zoomed: view.scale > 1, handlers, reset: () => setView({ scale: 1, x: 0, y: 0 }) };
+}
+
+// MP4 plays as-is; HLS plays natively (Safari, iOS) or through hls.js, loaded on first use
+// `load` false defers it (lazy clips)
+function useVideoSource(ref, src, load = true) {
+  useEffect(() => {
+    if (!load) return;
+    const video = ref.current;
+    if (!/\.m3u8(\?|$)/.test(src) || video.canPlayType("application/vnd.apple.mpegurl")) {
+      video.src = src;
+      return;
+    }
+    let hls = null;
+    let cancelled = false;
+    loadScript(GALLERY.hlsJsUrl)
+      .then(() => {
+        if (cancelled || !window.Hls.isSupported()) return;
+        hls = new window.Hls();
+        hls.loadSource(src);
+        hls.attachMedia(video);
+      })
+      .catch((e) => console.warn("HLS playback unavailable", e));
+    return () => {
+      cancelled = true;
+      if (hls) hls.destroy();
+    };
+  }, [ref, src, load]);
+}
+
+// near: the element came within `rootMargin` of the viewport (stays true, for lazy loading);
+// visible: at least `threshold` of it is on screen right now
+function useInView(ref, { threshold = 0.6, rootMargin = "300px" } = {}) {
+  const [state, setState] = useState({ near: false, visible: false });
+  useEffect(() => {
+    const el = ref.current;
+    const nearObserver = new IntersectionObserver(
+      ([entry]) => {
+        if (!entry.isIntersecting) return;
+        setState((s) => ({ ...s, near: true }));
+        nearObserver.disconnect();
+      },
+      { rootMargin }
+    );
+    const visibleObserver = new IntersectionObserver(([entry]) => setState((s) => ({ ...s, visible: entry.intersectionRatio >= threshold })), { threshold });
+    nearObserver.observe(el);
+    visibleObserver.observe(el);
+    return () => {
+      nearObserver.disconnect();
+      visibleObserver.disconnect();
+    };
+  }, [ref, threshold, rootMargin]);
+  return state;
+}
+
+function usePrefersReducedMotion() {
+  const [reduced, setReduced] = useState(false);
+  useEffect(() => {
+    const query = window.matchMedia("(prefers-reduced-motion: reduce)");
+    const update = () => setReduced(query.matches);
+    update();
+    query.addEventListener("change", update);
+    return () => query.removeEventListener("change", update);
+  }, []);
+  return reduced;
+}
+
+// Load a third-party script once; later calls share the same promise
+const scriptLoads = new Map();
+function loadScript(src) {
+  if (!scriptLoads.has(src)) {
+    scriptLoads.set(
+      src,
+      new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.async = true;
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => {
+          scriptLoads.delete(src);
+          reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+      })
+    );
+  }
+  return scriptLoads.get(src);
+}
+
+// A variant's ID with a checkout provider (variant.ids.shopify, .woocommerce or .stripe)
+function providerVariantId(product, localId, provider = CHECKOUT.provider) {
+  const v = product.variants.find((x) => x.id === localId);
+  const id = v && v.ids && v.ids[provider];
+  if (id == null) throw new Error(`Missing ${provider} ID for variant ${localId}`);
+  return id;
+}
+
+// ----------------------------
+// Variant options
+// ----------------------------
+// ?variant= accepts a local id or the numeric Shopify variant ID (what Shopify's own links use)
+function findVariantByKey(variants, key) {
+  return variants.find((v) => v.id === key || (shopifyGid(v) && gidTail(shopifyGid(v)) === key));
+}
+
+const variantParam = (v) => (shopifyGid(v) ? gidTail(shopifyGid(v)) : v.id);
+
+function variantParamFromUrl() {
+  if (typeof window === "undefined") return null;
+  return new URLSearchParams(window.location.search).get("variant");
+}
+
+// Variant whose options match every entry of `selected`
+function findVariant(variants, selected) {
+  return variants.find((v) => Object.keys(selected).every((k) => v.options[k] === selected[k]));
+}
+
+const isAvailable = (v) => !!v && stockState(v) !== "sold_out";
+
+// ----------------------------
+// Inventory
+// ----------------------------
+// Most of one variant a single order may hold
+function maxQtyFor(product, v) {
+  const cap = product.maxPerOrder || 99;
+  if (!v) return cap;
+  const state = stockState(v);
+  if (state === "sold_out") return 0;
+  if (state === "preorder" || v.sellingMode === "backorder" || v.stock == null) return cap;
+  return Math.min(cap, v.stock);
+}
+
+const clampQty = (q, max) => Math.max(1, Math.min(Math.floor(q) || 1, Math.max(1, max)));
+
+// Ship-date copy for preorder/backorder quantities; null when it all ships from stock
+function shipNote(v, qty, { t, fmtDay }) {
+  const when = v.shipDateISO ? t("stock.shipsBy", { date: fmtDay(v.shipDateISO) }) : t("stock.shipsWhenRestocked");
+  const state = stockState(v);
+  if (state === "preorder") return t("stock.preorder", { when });
+  if (state === "backorder") return t("stock.backorder", { when });
+  if (v.sellingMode === "backorder" && v.stock != null && qty > v.stock) {
+    return t("stock.partialBackorder", { now: v.stock, later: qty - v.stock, when });
+  }
+  return null;
+}
+
+// addKey: message for the plain "add" state (the atcCopy experiment swaps it)
+function addToCartLabel(loading, state, room, price, t, addKey = "atc.add") {
+  if (loading) return t("atc.loading");
+  if (state === "sold_out") return t("atc.soldOut");
+  if (room <= 0) return t("atc.max");
+  return t(state === "preorder" ? "atc.preorder" : addKey, { price });
+}
+
+// schema.org ItemAvailability for a variant
+function schemaAvailability(v) {
+  const state = stockState(v);
+  const map = {
+    in_stock: "InStock",
+    low_stock: "LimitedAvailability",
+    sold_out: "OutOfStock",
+    preorder: "PreOrder",
+    backorder: "BackOrder",
+  };
+  return `https://schema.org/${map[state]}`;
+}
+
+// "available": the combination with the other current options can be bought
+// "combo": that combination can't, but another variant with this value can (we'll switch to it)
+// "unavailable": no variant with this value can be bought
+function optionValueState(variants, selectedOptions, axis, value) {
+  if (isAvailable(findVariant(variants, { ...selectedOptions, [axis]: value }))) return "available";
+  return variants.some((v) => v.options[axis] === value && isAvailable(v)) ? "combo" : "unavailable";
+}
+
+// Variant to select when `axis` changes to `value`: keep the other options if that combination
+// is available, else the first available variant with that value
+function variantForOption(variants, current, axis, value) {
+  const exact = findVariant(variants, { ...current.options, [axis]: value });
+  if (isAvailable(exact)) return exact;
+  return variants.find((v) => v.options[axis] === value && isAvailable(v)) || exact || current;
+}
+
+// ----------------------------
+// Shipping calendar
+// ----------------------------
+// Calendar math runs on "YYYY-MM-DD" strings read as UTC noon, so weekdays never shift with the
+// viewer's zone; "now" is converted to the warehouse zone first.
+const ymdDate = (ymd) => new Date(`${ymd}T12:00:00Z`);
+
+function addDays(ymd, n) {
+  const d = ymdDate(ymd);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function isBusinessDay(ymd) {
+  const dow = ymdDate(ymd).getUTCDay();
+  return dow !== 0 && dow !== 6 && !SHIPPING.closedDates.includes(ymd);
+}
+
+function addBusinessDays(ymd, n) {
+  let d = ymd;
+  for (let i = 0; i < n; ) {
+    d = addDays(d, 1);
+    if (isBusinessDay(d)) i++;
+  }
+  return d;
+}
+
+// Wall-clock date/hour/minute of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  return { ymd: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+// The instant it is `hour`:00 on `ymd` in `timeZone`
+function zonedTime(ymd, hour, timeZone) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const guess = Date.parse(`${ymd}T${pad(hour)}:00:00Z`);
+  const seen = zonedParts(new Date(guess), timeZone);
+  const seenAsUtc = Date.parse(`${seen.ymd}T${pad(seen.hour)}:${pad(seen.minute)}:00Z`);
+  return new Date(guess - (seenAsUtc - guess));
+}
+
+// Day an order placed at `now` leaves the warehouse
+function shipDayFor(now) {
+  const { ymd, hour } = zonedParts(now, SHIPPING.timeZone);
+  if (isBusinessDay(ymd) && hour < SHIPPING.dailyCutoffHour) return ymd;
+  let d = addDays(ymd, 1);
+  while (!isBusinessDay(d)) d = addDays(d, 1);
+  return d;
+}
+
+// Last order time for a method with `transitMax` days to arrive by the holiday
+function holidayCutoff(transitMax, pinnedISO) {
+  let ship = addDays(SHIPPING.holiday.date, -1);
+  while (!isBusinessDay(ship) || addBusinessDays(ship, transitMax) > SHIPPING.holiday.date) ship = addDays(ship, -1);
+  const computed = zonedTime(ship, SHIPPING.dailyCutoffHour, SHIPPING.timeZone);
+  const pinned = pinnedISO ? new Date(pinnedISO) : null;
+  return pinned && pinned < computed ? pinned : computed;
+}
+
+// Delivery estimate for every method offered to a region. `method` is the first one that still
+// makes the holiday, or the first offered one once none does.
+function shippingPlan(regionId, now) {
+  const region = SHIPPING.regions.find((r) => r.id === regionId) || SHIPPING.regions[0];
+  const shipDay = shipDayFor(now);
+  const options = SHIPPING.methods
+    .filter((m) => region.transitDays[m.id])
+    .map((m) => {
+      const [min, max] = region.transitDays[m.id];
+      const cutoff = holidayCutoff(max, region.cutoffs && region.cutoffs[m.id]);
+      return { ...m, from: addBusinessDays(shipDay, min), to: addBusinessDays(shipDay, max), cutoff, makesHoliday: now < cutoff };
+    });
+  return {
+    region,
+    holidayPassed: zonedParts(now, SHIPPING.timeZone).ymd > SHIPPING.holiday.date,
+    method: options.find((o) => o.makesHoliday) || options[0],
+    options,
+  };
+}
+
+// "Dec 5" / "5. Dez." from a YYYY-MM-DD day or a full ISO timestamp
+function fmtDay(value, locale = "en-US") {
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return new Date(dayOnly ? `${value}T12:00:00Z` : value).toLocaleDateString(locale, {
+    month: "short",
+    day: "numeric",
+    ...(dayOnly ? { timeZone: "UTC" } : {}),
+  });
 }
-function formatDuration(ms: number) {
+
+function formatDuration(ms, dayUnit = "d") {
   const total = Math.floor(ms / 1000);
   const d = Math.floor(total / 86400);
   const h = Math.floor((total % 86400) / 3600);
   const m = Math.floor((total % 3600) / 60);
   const s = total % 60;
-  const pad = (n: number) => String(n).padStart(2, "0");
-  return `${d}d ${pad(h)}:${pad(m)}:${pad(s)}`;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d}${dayUnit} ${pad(h)}:${pad(m)}:${pad(s)}`;
+}
+
+const productImages = (product) => product.media.filter((m) => m.type === "image").map((m) => m.src);
+
+// The variant's own image, else its first linked photo, else the product's first
+function variantImage(product, variant) {
+  const linked = product.media.find((m) => m.type === "image" && mediaMatchesVariant(m, variant));
+  return variant.image || (linked ? linked.src : productImages(product)[0]);
+}
+
+function makeCartLine(product, variant, qty) {
+  return {
+    productId: product.id,
+    variantId: variant.id,
+    ids: variant.ids,
+    title: product.title,
+    variantName: variant.name,
+    price: variant.price,
+    qty,
+    image: variantImage(product, variant),
+  };
+}
+
+// The product a cart line is for: this page's product or one of the add-ons (see useAddOns)
+const lineProduct = (product, addOns, line) => (!line.productId || line.productId === product.id ? product : addOns.find((p) => p.id === line.productId));
+
+// Rebuild stored (possibly stale) lines against the current product and add-ons: a variant whose local
+// id changed is matched by a provider ID, one that no longer exists is dropped
+function restoreCart(product, lines, addOns = []) {
+  return lines.reduce((acc, l) => {
+    const p = lineProduct(product, addOns, l);
+    const v = p && (p.variants.find((x) => x.id === l.variantId) || p.variants.find((x) => sameProviderIds(l.ids, x.ids)));
+    // Clamp to current inventory; a variant that sold out meanwhile drops out
+    const qty = Math.min(Math.floor(Number(l.qty)), v ? maxQtyFor(p, v) : 0);
+    return v && qty > 0 ? mergeCart(acc, makeCartLine(p, v, qty)) : acc;
+  }, []);
+}
+
+// Some checkout provider knows both id maps by the same ID
+const sameProviderIds = (a = {}, b = {}) => Object.keys(a).some((provider) => a[provider] != null && a[provider] === b[provider]);
+
+// Local cart -> checkout provider lines
+function checkoutLines(product, cart, addOns = [], gift = NO_GIFT) {
+  return priceCart(product, cart).map((l) => ({
+    id: providerVariantId(lineProduct(product, addOns, l), l.variantId),
+    quantity: l.qty,
+    attributes: lineAttributes(l, gift),
+  }));
+}
+
+// Provider IDs of every variant this page sells (product and add-ons), as strings: the remote cart
+// lines a sync may change. The remote cart is shared with other product pages.
+function managedLineIds(product, addOns = [], provider = CHECKOUT.provider) {
+  return [product, ...addOns].flatMap((p) => p.variants.filter((v) => v.ids && v.ids[provider] != null).map((v) => String(v.ids[provider])));
+}
+
+// Line attributes (Shopify line item properties): bundled lines are tagged with the tier for
+// fulfillment, and the gift wrap line carries the gift choices so they print next to it.
+// Keys starting with "_" are for fulfillment only; the drawer and Shopify's checkout hide them.
+function lineAttributes(line, gift) {
+  if (line.bundle) return [{ key: "_bundle", value: line.bundle.label }];
+  return line.productId === GIFT.wrap.id ? giftAttributes(gift) : [];
+}
+
+// Gift choices ({message, hidePrices}) -> cart attributes, GIFT.attributes keys
+function giftAttributes(gift) {
+  const message = gift.message.trim().slice(0, GIFT.messageMaxLength);
+  return [
+    ...(message ? [{ key: GIFT.attributes.message, value: message }] : []),
+    ...(gift.hidePrices ? [{ key: GIFT.attributes.hidePrices, value: "Yes" }] : []),
+  ];
+}
+
+// Provider cart lines ({id, quantity}) -> local cart; lines for variants this page doesn't sell are dropped
+function cartFromRemote(product, remoteLines, addOns = []) {
+  return remoteLines.reduce((acc, r) => {
+    for (const p of [product, ...addOns]) {
+      const v = p.variants.find((x) => x.ids && String(x.ids[CHECKOUT.provider]) === String(r.id));
+      if (v) return mergeCart(acc, makeCartLine(p, v, r.quantity));
+    }
+    return acc;
+  }, []);
+}
+
+// Drawer suggestions -> [{product, variant, adds, closesGap}], at most UPSELLS.max. `adds` is what the
+// subtotal grows by (after bundle pricing); `gap` what's still missing for free shipping (0: none).
+// Sold-out variants, ones the cart can't hold more of and add-ons already in the cart are skipped.
+function upsellSuggestions(product, addOns, rules, cart, gap) {
+  const subtotalOf = (lines) => round2(priceCart(product, lines).reduce((s, l) => s + l.total, 0));
+  const subtotal = subtotalOf(cart);
+  const seen = new Set();
+  const suggestions = rules.flatMap((rule) => {
+    if (rule.ifInCart && !cart.some((l) => rule.ifInCart.includes(l.variantId))) return [];
+    const p = rule.addOn ? addOns.find((a) => a.id === rule.addOn) : product;
+    const v = p && (rule.variantId ? findVariantByKey(p.variants, rule.variantId) : p.variants.find(isAvailable));
+    if (!isAvailable(v) || seen.has(v.id)) return [];
+    const inCart = cart.filter((l) => l.variantId === v.id).reduce((s, l) => s + l.qty, 0);
+    if (inCart >= maxQtyFor(p, v) || (p !== product && inCart > 0)) return [];
+    seen.add(v.id);
+    const adds = round2(subtotalOf(mergeCart(cart, makeCartLine(p, v, 1))) - subtotal);
+    return [{ product: p, variant: v, adds, closesGap: gap > 0 && adds >= gap }];
+  });
+  if (gap > 0) {
+    // Closers first, cheapest first; then the ones that get closest
+    suggestions.sort((a, b) => b.closesGap - a.closesGap || (a.closesGap ? a.adds - b.adds : b.adds - a.adds));
+  }
+  return suggestions.slice(0, UPSELLS.max);
+}
+
+const bundleUnitPrice = (price, tier) => round2(tier ? price * (1 - tier.pct / 100) : price);
+
+// Bundle tier for the cart, counted over every line of this product
+function cartBundleTier(product, cart) {
+  const qty = cart.filter((l) => l.productId === product.id).reduce((s, l) => s + l.qty, 0);
+  return bundleTierFor(product.bundles, qty);
+}
+
+// Cart lines + {bundle, unitPrice, total}
+function priceCart(product, cart) {
+  const tier = cartBundleTier(product, cart);
+  return cart.map((l) => {
+    const bundle = l.productId === product.id ? tier : null;
+    const unitPrice = bundleUnitPrice(l.price, bundle);
+    return { ...l, bundle, unitPrice, total: round2(unitPrice * l.qty) };
+  });
+}
+
+const bundleCodes = (product) => (product.bundles || []).map((t) => t.code).filter(Boolean);
+
+// Shopper codes plus the Shopify code that carries the cart's bundle tier
+function cartDiscountCodes(product, cart, codes) {
+  const tier = cartBundleTier(product, cart);
+  return tier && tier.code ? [...codes, tier.code] : codes;
 }
 
 function mergeCart(prev, line) {
@@ -730,78 +3686,135 @@ function mergeCart(prev, line) {
   return next;
 }
 
-function changeQty(prev, variantId, delta) {
+function changeQty(prev, variantId, delta, max = Infinity) {
   return prev
-    .map((l) => (l.variantId === variantId ? { ...l, qty: Math.max(1, l.qty + delta) } : l))
+    .map((l) => (l.variantId === variantId ? { ...l, qty: Math.max(1, Math.min(max, l.qty + delta)) } : l))
     .filter((l) => l.qty > 0);
 }
 
 // ----------------------------
 // Lightweight Head / SEO
 // ----------------------------
-function SEOHead() {
-  // JSON-LD Product Schema
-  const schema = {
+// Head tags for a product page: {title, metas: [[attr, key, content]], links: [{rel, href}], jsonLd}
+function headTags(product, variant, reviews, handle) {
+  const url = `${SITE.url}${SITE.productPath(handle)}`;
+  const description = product.subtitle || product.description;
+  const aggregate = reviews.aggregate;
+  // JSON-LD Product Schema. Ratings come from the reviews source (omitted until it has any), and
+  // the Review entries are a sample of the same reviews the aggregate counts.
+  const jsonLd = {
     "@context": "https://schema.org",
     "@type": "Product",
-    name: PRODUCT_DATA.title,
-    image: PRODUCT_DATA.images,
-    description: PRODUCT_DATA.description,
-    sku: PRODUCT_DATA.id,
-    brand: { "@type": "Brand", name: "GlowGoods" },
-    aggregateRating: {
-      "@type": "AggregateRating",
-      ratingValue: PRODUCT_DATA.rating,
-      reviewCount: PRODUCT_DATA.reviewCount,
-    },
-    offers: {
+    name: product.title,
+    image: productImages(product),
+    description: product.description,
+    sku: product.id,
+    brand: { "@type": "Brand", name: SITE.name },
+    ...(aggregate && aggregate.count > 0
+      ? {
+          aggregateRating: {
+            "@type": "AggregateRating",
+            ratingValue: aggregate.rating,
+            reviewCount: aggregate.count,
+            bestRating: 5,
+            worstRating: 1,
+          },
+          review: filterReviews(reviews.reviews, {}).slice(0, REVIEWS.schemaReviews).map((r) => ({
+            "@type": "Review",
+            author: { "@type": "Person", name: r.author },
+            datePublished: r.date,
+            name: r.title,
+            reviewBody: r.body,
+            reviewRating: { "@type": "Rating", ratingValue: r.rating, bestRating: 5, worstRating: 1 },
+          })),
+        }
+      : {}),
+    offers: product.variants.map((v) => ({
       "@type": "Offer",
-      priceCurrency: PRODUCT_DATA.currency,
-      price: PRODUCT_DATA.basePrice,
-      availability: "https://schema.org/InStock",
-      url: "https://your-domain.example/product/auroraglow",
-    },
+      sku: v.id,
+      name: v.name,
+      priceCurrency: product.currency,
+      price: v.price,
+      availability: schemaAvailability(v),
+      ...(v.shipDateISO && stockState(v) === "preorder" ? { availabilityStarts: v.shipDateISO } : {}),
+      url: `${url}?variant=${variantParam(v)}`,
+    })),
   };
-
-  useEffect(() => {
-    // Insert JSON-LD
-    const script = document.createElement("script");
-    script.type = "application/ld+json";
-    script.text = JSON.stringify(schema);
-    document.head.appendChild(script);
-
-    // Open Graph / Twitter meta (basic)
-    const metas = [
-      ["property", "og:title", PRODUCT_DATA.title],
-      ["property", "og:description", PRODUCT_DATA.subtitle],
-      ["property", "og:image", PRODUCT_DATA.images[0]],
+  return {
+    title: `${product.title} | ${SITE.name}`,
+    metas: [
+      ["name", "description", description],
+      ["property", "og:type", "product"],
+      ["property", "og:site_name", SITE.name],
+      ["property", "og:title", product.title],
+      ["property", "og:description", description],
+      ["property", "og:image", productImages(product)[0]],
+      ["property", "og:url", url],
+      ["property", "product:price:amount", String(variant.price)],
+      ["property", "product:price:currency", product.currency],
       ["name", "twitter:card", "summary_large_image"],
-    ];
-    metas.forEach(([attr, name, content]) => {
-      const m = document.createElement("meta");
-      m.setAttribute(attr, name);
-      m.setAttribute("content", String(content));
-      document.head.appendChild(m);
-    });
+    ],
+    links: [{ rel: "canonical", href: url }],
+    jsonLd,
+  };
+}
+
+// JSON that is safe inside a <script> element
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
 
-    // Tracking placeholders (uncomment & insert your IDs)
-    // 1) TikTok Pixel
-    // !(function (w, d, t) {
-    //   w.ttq = w.ttq || [];
-    //   var s = d.createElement(t);
-    //   s.async = true;
-    //   s.src = "https://analytics.tiktok.com/i18n/pixel/events.js";
-    //   var f = d.getElementsByTagName(t)[0];
-    //   f.parentNode.insertBefore(s, f);
-    //   w.ttq.load("YOUR_TIKTOK_PIXEL_ID");
-    //   w.ttq.page();
-    // })(window, document, "script");
+// JSON-LD renders inline (same markup on server and client). Title, meta and canonical go to the
+// server's head collector during render; in the browser they're updated in place when the product,
+// variant or reviews change, and tags this component added are removed on unmount.
+function SEOHead({ product, variant, reviews, handle }) {
+  const tags = headTags(product, variant, reviews, handle);
+  const collector = useContext(HeadContext);
+  if (collector) collector.tags = tags;
 
+  // The effect reads the tags back from headKey, so it only re-runs when their content changes
+  const headKey = JSON.stringify([tags.title, tags.metas, tags.links]);
+  useEffect(() => {
+    const [title, metas, links] = JSON.parse(headKey);
+    const added = [];
+    const upsert = (selector, create, update) => {
+      let el = document.head.querySelector(selector);
+      if (!el) {
+        el = create();
+        document.head.appendChild(el);
+        added.push(el);
+      }
+      update(el);
+    };
+    const previousTitle = document.title;
+    document.title = title;
+    metas.forEach(([attr, key, content]) =>
+      upsert(
+        `meta[${attr}="${key}"]`,
+        () => document.createElement("meta"),
+        (el) => {
+          el.setAttribute(attr, key);
+          el.setAttribute("content", String(content));
+        }
+      )
+    );
+    links.forEach(({ rel, href }) =>
+      upsert(
+        `link[rel="${rel}"]`,
+        () => document.createElement("link"),
+        (el) => {
+          el.setAttribute("rel", rel);
+          el.setAttribute("href", href);
+        }
+      )
+    );
     return () => {
-      document.head.removeChild(script);
-      // NOTE: we’re not cleaning up OG/Twitter meta for brevity
+      added.forEach((el) => el.remove());
+      document.title = previousTitle;
     };
-  }, []);
+  }, [headKey]);
 
-  return null;
+  // Pixels are loaded by useAnalytics once consent allows (see ANALYTICS, CONSENT)
+  return <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: scriptJson(tags.jsonLd) }} />;
 }
+
+// Used by prerender.jsx
+export { HeadContext, loadPageData };
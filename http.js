@@ -0,0 +1,112 @@
+/**
+ * Requests to stores and services.
+ * --------------------------------------------------------------
+ * Typed failures (CheckoutError and its subclasses), fetch with a timeout and retries with backoff,
+ * shared by the Storefront API client, the WooCommerce and Stripe providers, the review sources and
+ * order lookups.
+ */
+import { NETWORK } from "./config.js";
+
+// Typed request failures, so callers can tell what went wrong and whether trying again can help.
+// `retryable` ones are transient: network, timeout, throttling, 5xx, a cart that expired mid-sync.
+class CheckoutError extends Error {
+  constructor(message, { retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.retryable = retryable;
+  }
+}
+
+// No response (offline, DNS, CORS, timeout) or a 5xx
+class NetworkError extends CheckoutError {
+  constructor(message, options) {
+    super(message, { retryable: true, ...options });
+  }
+}
+
+// 401/403: wrong or revoked token / keys; retrying won't help
+class AuthError extends CheckoutError {}
+
+class RateLimitError extends CheckoutError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { retryable: true, ...options });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A line's variant doesn't exist, isn't for sale or lacks the stock; the shopper has to change the cart
+class InvalidMerchandiseError extends CheckoutError {}
+
+// The remote cart is gone (expired or already checked out); a fresh sync starts a new one
+class CartExpiredError extends CheckoutError {
+  constructor(message, options) {
+    super(message, { retryable: true, ...options });
+  }
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener("abort", () => (clearTimeout(timer), reject(signal.reason)), { once: true });
+  });
+
+// Non-2xx response -> typed error
+function httpError(res, message) {
+  if (res.status === 401 || res.status === 403) return new AuthError(message);
+  if (res.status === 429) {
+    const seconds = Number(res.headers.get("Retry-After"));
+    return new RateLimitError(message, { retryAfterMs: seconds > 0 ? seconds * 1000 : null });
+  }
+  if (res.status >= 500) return new NetworkError(message);
+  return new CheckoutError(message);
+}
+
+// fetch() that gives up after NETWORK.timeoutMs; getting no response at all becomes a NetworkError.
+// An abort through init.signal (the caller lost interest) is passed through untouched.
+async function fetchWithTimeout(url, init = {}, fetcher = fetch) {
+  const { signal, ...rest } = init;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new NetworkError(`No response after ${NETWORK.timeoutMs} ms`)), NETWORK.timeoutMs);
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) forwardAbort();
+    else signal.addEventListener("abort", forwardAbort, { once: true });
+  }
+  try {
+    return await fetcher(url, { ...rest, signal: controller.signal });
+  } catch (e) {
+    if (signal && signal.aborted) throw e;
+    if (controller.signal.aborted) throw controller.signal.reason;
+    throw new NetworkError(`Request failed: ${e.message}`, { cause: e });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", forwardAbort);
+  }
+}
+
+// Runs task() again after retryable failures, up to NETWORK.retries times, backing off exponentially
+// with jitter (so open tabs don't retry in lockstep); a rate limit's Retry-After wins. Only wrap work
+// that is safe to repeat: queries, and cart syncs, which re-read the cart and re-plan their mutations.
+async function withRetry(task, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (e) {
+      if (!e.retryable || attempt >= NETWORK.retries || (signal && signal.aborted)) throw e;
+      await sleep(e.retryAfterMs ?? NETWORK.retryBaseMs * 2 ** attempt * (0.5 + Math.random()), signal);
+    }
+  }
+}
+
+// MESSAGES key explaining a failure to the shopper
+function checkoutErrorKey(e) {
+  if (e instanceof RateLimitError) return "cart.error.rateLimited";
+  if (e instanceof NetworkError) return "cart.error.network";
+  if (e instanceof AuthError) return "cart.error.auth";
+  if (e instanceof InvalidMerchandiseError) return "cart.error.invalidMerchandise";
+  if (e instanceof CartExpiredError) return "cart.error.expired";
+  return "cart.error.generic";
+}
+
+export { AuthError, CartExpiredError, CheckoutError, checkoutErrorKey, fetchWithTimeout, httpError, InvalidMerchandiseError, RateLimitError, sleep, withRetry };
@@ -0,0 +1,136 @@
+/**
+ * Order tracking: lookup sources (mock orders, your endpoint) and timeline helpers.
+ * --------------------------------------------------------------
+ * ORDER_TRACKING.source (config.js) picks the source; the Track Order panel looks orders up with
+ * useOrderLookup.
+ */
+import { ORDER_TRACKING } from "./config.js";
+import { isEmail } from "./helpers.js";
+import { fetchWithTimeout, httpError } from "./http.js";
+
+// A source looks an order up by number and email and returns null when there's no match (the same
+// answer for a wrong email, so order numbers can't be probed). Orders are normalized to
+// {number, placedAt, estimatedDelivery, items: [{title, quantity}], shipments: [{carrier,
+// trackingNumber, trackingUrl, estimatedDelivery, deliveredAt, events: [{status, at, location}]}]}.
+const TRACKING_STAGES = ["ordered", "shipped", "out_for_delivery", "delivered"];
+
+const TRACKING_SOURCES = {
+  mock: {
+    async lookup({ orderNumber, email }) {
+      await new Promise((resolve) => setTimeout(resolve, ORDER_TRACKING.mock.latencyMs));
+      const order = mockOrders().find((o) => o.number === orderNumber && o.email === email.toLowerCase());
+      return order ? normalizeOrder(order) : null;
+    },
+  },
+  endpoint: {
+    async lookup({ orderNumber, email }) {
+      const res = await fetchWithTimeout(ORDER_TRACKING.endpoint.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ orderNumber, email }),
+      });
+      if (res.status === 404) return null;
+      if (!res.ok) throw httpError(res, `Order lookup failed ${res.status}`);
+      return normalizeOrder(await res.json());
+    },
+  },
+};
+
+// Orders #1001–#1004 for test@example.com, one per stage, dated relative to now
+function mockOrders(now = new Date()) {
+  const at = (days, hour = 10) => new Date(now.getTime() + days * 86400000 + (hour - now.getHours()) * 3600000).toISOString();
+  const items = [{ title: "AuroraGlow™ LED String Lights — Warm White · 10m (33ft)", quantity: 2 }];
+  const order = (number, placedDaysAgo, shipments, estimatedDelivery = null) => ({
+    number,
+    email: "test@example.com",
+    placedAt: at(-placedDaysAgo, 9),
+    estimatedDelivery,
+    items,
+    shipments,
+  });
+  return [
+    order("1001", 0, [], at(6).slice(0, 10)),
+    order("1002", 3, [
+      {
+        carrier: "usps",
+        trackingNumber: "9400111899223100000001",
+        estimatedDelivery: at(2).slice(0, 10),
+        events: [{ status: "shipped", at: at(-2, 16), location: "Los Angeles, CA" }],
+      },
+    ]),
+    order("1003", 5, [
+      {
+        carrier: "ups",
+        trackingNumber: "1Z999AA10123456784",
+        estimatedDelivery: at(0).slice(0, 10),
+        events: [
+          { status: "shipped", at: at(-4, 15), location: "Ontario, CA" },
+          { status: "out_for_delivery", at: at(0, 7), location: "Denver, CO" },
+        ],
+      },
+      {
+        carrier: "usps",
+        trackingNumber: "9400111899223100000002",
+        estimatedDelivery: at(3).slice(0, 10),
+        events: [],
+      },
+    ]),
+    order("1004", 9, [
+      {
+        carrier: "fedex",
+        trackingNumber: "794644790138",
+        events: [
+          { status: "shipped", at: at(-8, 14), location: "Memphis, TN" },
+          { status: "out_for_delivery", at: at(-5, 8), location: "Austin, TX" },
+          { status: "delivered", at: at(-5, 15), location: "Austin, TX" },
+        ],
+      },
+    ]),
+  ];
+}
+
+function normalizeOrder(o) {
+  return {
+    number: String(o.number).replace(/^#/, ""),
+    placedAt: o.placedAt,
+    estimatedDelivery: o.estimatedDelivery || null,
+    items: (o.items || []).map((i) => ({ title: i.title, quantity: i.quantity })),
+    shipments: (o.shipments || []).map((s) => {
+      const carrier = ORDER_TRACKING.carriers[String(s.carrier || "").toLowerCase()];
+      const events = (s.events || [])
+        .filter((e) => TRACKING_STAGES.includes(e.status))
+        .map((e) => ({ status: e.status, at: e.at, location: e.location || null }))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+      const delivered = events.find((e) => e.status === "delivered");
+      return {
+        carrier: carrier ? carrier.name : s.carrier || null,
+        trackingNumber: s.trackingNumber || null,
+        trackingUrl: s.trackingUrl || (carrier && s.trackingNumber ? carrier.url.replace("{number}", encodeURIComponent(s.trackingNumber)) : null),
+        estimatedDelivery: s.estimatedDelivery || o.estimatedDelivery || null,
+        deliveredAt: delivered ? delivered.at : null,
+        events,
+      };
+    }),
+  };
+}
+
+// One step per stage: {stage, at, location, done}. A later stage implies the earlier ones, even when the
+// carrier skipped a scan. An order without shipments is only "ordered".
+function trackingTimeline(order, shipment = null) {
+  const events = shipment ? shipment.events : [];
+  const reached = Math.max(0, ...events.map((e) => TRACKING_STAGES.indexOf(e.status)));
+  return TRACKING_STAGES.map((stage, i) => {
+    const event = stage === "ordered" ? { at: order.placedAt, location: null } : [...events].reverse().find((e) => e.status === stage);
+    return { stage, at: event ? event.at : null, location: event ? event.location : null, done: i <= reached };
+  });
+}
+
+// "#1001 " -> "1001"; emails are matched case-insensitively
+function validateTrackingQuery(query) {
+  const errors = {};
+  if (!/^\d{3,}$/.test(query.orderNumber.trim().replace(/^#/, ""))) errors.orderNumber = { key: "track.invalid.orderNumber" };
+  if (!isEmail(query.email)) errors.email = { key: "track.invalid.email" };
+  return errors;
+}
+
+export { TRACKING_SOURCES, trackingTimeline, validateTrackingQuery };
@@ -0,0 +1,107 @@
+/**
+ * Static prerender for the product page.
+ * --------------------------------------------------------------
+ * Renders each product in PRERENDER.handles to <outDir>/products/<handle>/index.html:
+ * - Head tags (title, description, canonical, OpenGraph/Twitter, product price) are collected
+ *   while rendering, so crawlers and link previews see them without running JS
+ * - The page props are embedded as JSON; entry-client.jsx hydrates with the same props so the
+ *   first client render (countdown, footer year, prices) matches this HTML
+ * - content.json (brand, product, shipping dates, copy) is validated first; any error stops the
+ *   build with the full list. The validated document is embedded too, for the same reason
+ *
+ * Run with a JSX-aware Node loader, e.g. `npx tsx prerender.jsx` (Storefront token in SHOPIFY).
+ * There is no package.json: "react", "react-dom/server" (here) and "react-dom/client" (in
+ * entry-client.jsx) are bare imports that resolve from a node_modules folder next to these files,
+ * as Node and bundlers look them up. Install them there once without creating a manifest:
+ *
+ *   npm install --no-save react@18 react-dom@18 tsx@4
+ *
+ * @jsx React.createElement
+ */
+import React from "react";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { renderToStaticMarkup, renderToString } from "react-dom/server";
+import { MARKETS, SHOPIFY } from "./config.js";
+import { applyContent, readContent } from "./content.js";
+import EcommerceHolidayProduct, { HeadContext, loadPageData } from "./holiday_dropship_product_template_led_glow_lights (1).jsx";
+
+// ✅ PRERENDER CONFIG
+const PRERENDER = {
+  outDir: "dist",
+  content: "content.json", // empty = render the built-in defaults
+  publicDir: ".", // served at the site root: root-relative data files (e.g. REVIEWS.local.url) are read from here
+  handles: [SHOPIFY.productHandle],
+  country: "US", // market rendered into the HTML; shoppers elsewhere switch after hydration
+  clientScript: "/assets/entry-client.js", // bundle of entry-client.jsx
+  stylesheet: "/assets/tailwind.css",
+};
+
+// Must match the ids read by entry-client.jsx
+const DATA_ELEMENT_ID = "__PRODUCT_PAGE__";
+const CONTENT_ELEMENT_ID = "__PAGE_CONTENT__";
+
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+function HeadTags({ tags }) {
+  return (
+    <>
+      <title>{tags.title}</title>
+      {tags.metas.map(([attr, key, content]) => (
+        <meta key={key} {...{ [attr]: key }} content={String(content)} />
+      ))}
+      {tags.links.map((l) => (
+        <link key={l.rel} rel={l.rel} href={l.href} />
+      ))}
+    </>
+  );
+}
+
+async function prerender(handle, content) {
+  const data = await loadPageData(handle, PRERENDER.country, {
+    readPublicFile: (url) => readFile(path.join(PRERENDER.publicDir, url), "utf8"),
+  });
+  const collector = { tags: null };
+  const body = renderToString(
+    <HeadContext.Provider value={collector}>
+      <EcommerceHolidayProduct {...data} />
+    </HeadContext.Provider>
+  );
+  if (!collector.tags) throw new Error(`No head tags rendered for ${handle}`);
+  const { locale } = MARKETS.find((m) => m.country === data.country);
+  const html = `<!doctype html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${renderToStaticMarkup(<HeadTags tags={collector.tags} />)}
+<link rel="stylesheet" href="${PRERENDER.stylesheet}">
+</head>
+<body>
+<div id="root">${body}</div>
+<script id="${DATA_ELEMENT_ID}" type="application/json">${scriptJson(data)}</script>
+${content ? `<script id="${CONTENT_ELEMENT_ID}" type="application/json">${scriptJson(content)}</script>\n` : ""}<script type="module" src="${PRERENDER.clientScript}"></script>
+</body>
+</html>
+`;
+  const file = path.join(PRERENDER.outDir, "products", handle, "index.html");
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, html);
+  return file;
+}
+
+(async () => {
+  let content = null;
+  if (PRERENDER.content) {
+    content = readContent(await readFile(PRERENDER.content, "utf8"), PRERENDER.content);
+    applyContent(content);
+  }
+  for (const handle of PRERENDER.handles) {
+    const file = await prerender(handle, content);
+    console.log(`Prerendered ${handle} -> ${file}`);
+  }
+})().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
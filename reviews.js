@@ -0,0 +1,178 @@
+/**
+ * Reviews: sources (local JSON file, Judge.me, Yotpo) and review helpers.
+ * --------------------------------------------------------------
+ * REVIEWS.source (config.js) picks the source; the page loads and shows reviews with useReviews.
+ */
+import { REVIEWS } from "./config.js";
+import { gidTail, isEmail } from "./helpers.js";
+import { fetchWithTimeout, httpError } from "./http.js";
+
+// A source loads {reviews, aggregate?} for a product and submits new reviews. Reviews are normalized to
+// {id, rating, title, body, author, date: "YYYY-MM-DD", variantId, verified, photos: [{url, alt}]}.
+// aggregate ({rating, count, histogram}) is only needed when the source holds more reviews than it
+// returns; otherwise it is computed from the reviews. submit resolves once the review is sent, to
+// {stored: false} when the source has nowhere to keep it.
+async function getJson(url, init) {
+  const res = await fetchWithTimeout(url, init);
+  if (!res.ok) throw httpError(res, `Reviews request failed ${res.status}`);
+  return res.json();
+}
+
+// Remote platforms key reviews by the Shopify product ID, which only live product data has
+function shopifyProductId(product) {
+  if (!product.gid) throw new Error("Review source needs the live Shopify product");
+  return gidTail(product.gid);
+}
+
+const REVIEW_SOURCES = {
+  local: {
+    async load(_product, { readPublicFile } = {}) {
+      const data = readPublicFile ? JSON.parse(await readPublicFile(REVIEWS.local.url)) : await getJson(REVIEWS.local.url);
+      return { reviews: (data.reviews || []).map(normalizeReview) };
+    },
+    // A static file can't take submissions; the form tells the shopper so
+    submit: () => Promise.resolve({ stored: false }),
+  },
+  judgeme: {
+    // Reads go through your proxy, which adds the shop and api_token (see REVIEWS.judgeme)
+    async load(product) {
+      const { proxyUrl } = REVIEWS.judgeme;
+      const { product: jp } = await getJson(`${proxyUrl}/products/-1?external_id=${shopifyProductId(product)}`);
+      const reviews = [];
+      for (let page = 1; reviews.length < REVIEWS.maxReviews; page++) {
+        const out = await getJson(`${proxyUrl}/reviews?product_id=${jp.id}&per_page=100&page=${page}`);
+        reviews.push(...out.reviews.filter((r) => r.published !== false));
+        if (out.reviews.length < 100) break;
+      }
+      return {
+        reviews: reviews.slice(0, REVIEWS.maxReviews).map((r) =>
+          normalizeReview({
+            id: r.id,
+            rating: r.rating,
+            title: r.title,
+            body: r.body,
+            author: r.reviewer && r.reviewer.name,
+            date: r.created_at,
+            verified: r.verified === "buyer",
+            photos: (r.pictures || []).filter((p) => !p.hidden).map((p) => ({ url: p.urls.original })),
+          })
+        ),
+      };
+    },
+    async submit(review, product) {
+      const { shopDomain } = REVIEWS.judgeme;
+      await getJson("https://judge.me/api/v1/reviews", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          shop_domain: shopDomain,
+          platform: "shopify",
+          id: Number(shopifyProductId(product)),
+          name: review.name,
+          email: review.email,
+          rating: review.rating,
+          title: review.title,
+          body: review.body,
+        }),
+      });
+    },
+  },
+  yotpo: {
+    async load(product) {
+      const base = `https://api-cdn.yotpo.com/v1/widget/${REVIEWS.yotpo.appKey}/products/${shopifyProductId(product)}/reviews.json`;
+      const reviews = [];
+      let bottomline = null;
+      for (let page = 1; reviews.length < REVIEWS.maxReviews; page++) {
+        const { response } = await getJson(`${base}?per_page=150&page=${page}`);
+        bottomline = bottomline || response.bottomline;
+        reviews.push(...response.reviews);
+        if (response.reviews.length < 150) break;
+      }
+      return {
+        reviews: reviews.slice(0, REVIEWS.maxReviews).map((r) =>
+          normalizeReview({
+            id: r.id,
+            rating: r.score,
+            title: r.title,
+            body: r.content,
+            author: r.user && r.user.display_name,
+            date: r.created_at,
+            verified: r.verified_buyer,
+            photos: (r.images_data || []).map((img) => ({ url: img.original_url })),
+          })
+        ),
+        // Yotpo's bottomline covers every review, not just the loaded ones
+        aggregate: bottomline && {
+          rating: Math.round(bottomline.average_score * 10) / 10,
+          count: bottomline.total_review,
+          histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, ...bottomline.star_distribution },
+        },
+      };
+    },
+    async submit(review, product) {
+      await getJson("https://api.yotpo.com/v1/widget/reviews", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          appkey: REVIEWS.yotpo.appKey,
+          domain: window.location.origin,
+          sku: shopifyProductId(product),
+          product_title: product.title,
+          product_url: window.location.href,
+          display_name: review.name,
+          email: review.email,
+          review_score: review.rating,
+          review_title: review.title,
+          review_content: review.body,
+        }),
+      });
+    },
+  },
+};
+
+function normalizeReview(r) {
+  return {
+    id: String(r.id),
+    rating: Math.min(5, Math.max(1, Math.round(Number(r.rating)))),
+    title: r.title || "",
+    body: r.body || "",
+    author: r.author || "Anonymous",
+    date: String(r.date || "").slice(0, 10),
+    variantId: r.variantId || null,
+    verified: !!r.verified,
+    photos: (r.photos || []).filter((p) => p && p.url).map((p) => ({ url: p.url, alt: p.alt || "" })),
+  };
+}
+
+// {rating (1 decimal), count, histogram: {1..5: count}}
+function reviewAggregate(reviews) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  reviews.forEach((r) => {
+    histogram[r.rating] += 1;
+  });
+  const count = reviews.length;
+  const rating = count ? Math.round((reviews.reduce((s, r) => s + r.rating, 0) / count) * 10) / 10 : 0;
+  return { rating, count, histogram };
+}
+
+// filters: {rating: 1-5 | null, variantId | null, withPhotos}; newest first
+function filterReviews(reviews, { rating, variantId, withPhotos }) {
+  return reviews
+    .filter((r) => (!rating || r.rating === rating) && (!variantId || r.variantId === variantId) && (!withPhotos || r.photos.length > 0))
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+}
+
+// -> {field: {key, vars}} for the form; empty when the draft can be submitted
+function validateReview(draft) {
+  const { titleMax, bodyMin, bodyMax } = REVIEWS.form;
+  const errors = {};
+  if (!(draft.rating >= 1 && draft.rating <= 5)) errors.rating = { key: "reviews.invalid.rating" };
+  if (!draft.name.trim()) errors.name = { key: "reviews.invalid.name" };
+  if (!isEmail(draft.email)) errors.email = { key: "reviews.invalid.email" };
+  if (!draft.title.trim() || draft.title.trim().length > titleMax) errors.title = { key: "reviews.invalid.title", vars: { max: titleMax } };
+  const body = draft.body.trim().length;
+  if (body < bodyMin || body > bodyMax) errors.body = { key: "reviews.invalid.body", vars: { min: bodyMin, max: bodyMax } };
+  return errors;
+}
+
+export { filterReviews, REVIEW_SOURCES, reviewAggregate, validateReview };
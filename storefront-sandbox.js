@@ -0,0 +1,271 @@
+/**
+ * Storefront sandbox: an in-process stand-in for the Shopify Storefront API.
+ * --------------------------------------------------------------
+ * Enable it with STOREFRONT_SANDBOX.enabled (config.js) to develop and test checkout without a store.
+ * storefrontSandbox.failNext and expireCart force failures at runtime; reset starts over.
+ */
+import { GIFT, PRODUCT_DATA, STOREFRONT_SANDBOX, UPSELLS } from "./config.js";
+import { bundleTierFor, evaluateLocalDiscounts, mediaMatchesVariant, round2, sameAttributes, shopifyGid, stockState } from "./helpers.js";
+import { sleep } from "./http.js";
+
+// Answers sfy() when STOREFRONT_SANDBOX.enabled: products from PRODUCT_DATA and UPSELLS.addOns, carts in memory.
+// Responses follow the Storefront API: problems come back as userErrors in a 200 response, throttling
+// as HTTP 429, and an expired cart simply no longer exists. Prices stay in PRODUCT_DATA.currency for
+// every market, and carts live as long as the page does (a reload looks like an expired cart).
+const sandbox = { carts: new Map(), requests: 0, failures: [], nextId: 1 };
+
+const sandboxResponse = (status, body) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+// Everything the sandbox store sells: the product and its add-ons
+const sandboxCatalog = () => [PRODUCT_DATA, ...UPSELLS.addOns, GIFT.wrap];
+const sandboxProductOf = (gid) => sandboxCatalog().find((p) => p.variants.some((v) => shopifyGid(v) === gid));
+const sandboxVariant = (gid) => {
+  const product = sandboxProductOf(gid);
+  return product && product.variants.find((v) => shopifyGid(v) === gid);
+};
+const cartUserError = (field, message, code = "INVALID") => ({ field, message, code });
+const missingCart = () => ({ cart: null, userErrors: [cartUserError(["cartId"], "The specified cart does not exist.")] });
+
+function sandboxCart(cartId) {
+  const cart = sandbox.carts.get(cartId);
+  if (cart && Date.now() - cart.updatedAt > STOREFRONT_SANDBOX.cartTtlMinutes * 60000) sandbox.carts.delete(cartId);
+  return sandbox.carts.get(cartId) || null;
+}
+
+// Stock check for `quantity` of a variant in one line; a userError or null
+function sandboxStockError(v, quantity, field) {
+  const state = stockState(v);
+  if (state === "sold_out") return cartUserError(field, `The product '${sandboxProductOf(shopifyGid(v)).title} - ${v.name}' is already sold out.`, "MERCHANDISE_OUT_OF_STOCK");
+  if ((state === "in_stock" || state === "low_stock") && v.stock != null && quantity > v.stock) {
+    return cartUserError([...field, "quantity"], `Only ${v.stock} items of '${v.name}' are available.`, "MERCHANDISE_NOT_ENOUGH_STOCK");
+  }
+  return null;
+}
+
+// CartLineInputs -> {lines, userErrors}. Like Shopify, a line for merchandise (and attributes) already
+// in the cart adds to it. All or nothing: on any error the cart keeps its old lines.
+function sandboxAddLines(current, inputs) {
+  const lines = current.map((l) => ({ ...l }));
+  const userErrors = [];
+  inputs.forEach((input, i) => {
+    const field = ["lines", String(i)];
+    const v = sandboxVariant(input.merchandiseId);
+    const quantity = input.quantity ?? 1;
+    if (!v) {
+      userErrors.push(cartUserError([...field, "merchandiseId"], `The merchandise with id ${input.merchandiseId} does not exist.`, "INVALID_MERCHANDISE_LINE"));
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      userErrors.push(cartUserError([...field, "quantity"], "The quantity must be at least 1.", "INVALID"));
+      return;
+    }
+    const attributes = input.attributes || [];
+    const gid = shopifyGid(v);
+    const same = lines.find((l) => l.merchandiseId === gid && sameAttributes(l.attributes, attributes));
+    const inCart = lines.filter((l) => l.merchandiseId === gid).reduce((s, l) => s + l.quantity, 0);
+    const stockError = sandboxStockError(v, inCart + quantity, field);
+    if (stockError) userErrors.push(stockError);
+    else if (same) same.quantity += quantity;
+    else lines.push({ id: `gid://shopify/CartLine/sandbox-${sandbox.nextId++}`, merchandiseId: gid, quantity, attributes });
+  });
+  return { lines: userErrors.length ? current : lines, userErrors };
+}
+
+// Storefront cart shape (CART_FIELDS). Bundle codes (PRODUCT_DATA.bundles) discount the product's lines
+// (not add-ons) when they reach their tier; other codes follow DISCOUNT_RULES on the subtotal after
+// line discounts.
+function sandboxCartView(cart) {
+  const bundled = (l) => sandboxProductOf(l.merchandiseId) === PRODUCT_DATA;
+  const qty = cart.lines.filter(bundled).reduce((s, l) => s + l.quantity, 0);
+  const tier = bundleTierFor(PRODUCT_DATA.bundles, qty);
+  const isCode = (code) => (other) => other && other.toUpperCase() === code.toUpperCase();
+  const bundleCode = cart.discountCodes.find((code) => tier && tier.code && isCode(code)(tier.code));
+  const lines = cart.lines.map((l) => {
+    const amount = sandboxVariant(l.merchandiseId).price * l.quantity;
+    return { ...l, amount, discount: bundleCode && bundled(l) ? round2((amount * tier.pct) / 100) : 0 };
+  });
+  const subtotal = round2(lines.reduce((s, l) => s + l.amount - l.discount, 0));
+  const discountAllocations = [];
+  const discountCodes = cart.discountCodes.map((code) => {
+    if (PRODUCT_DATA.bundles.some((t) => isCode(code)(t.code))) return { code, applicable: code === bundleCode };
+    const result = evaluateLocalDiscounts([code], subtotal);
+    const applicable = result.codes[0].applicable;
+    if (applicable && result.amount > 0) discountAllocations.push({ code, discountedAmount: { amount: result.amount.toFixed(2) } });
+    return { code, applicable };
+  });
+  return {
+    id: cart.id,
+    checkoutUrl: `${STOREFRONT_SANDBOX.checkoutUrl}?cart=${encodeURIComponent(cart.id)}`,
+    attributes: cart.attributes,
+    buyerIdentity: { countryCode: cart.country },
+    discountCodes,
+    discountAllocations,
+    lines: {
+      nodes: lines.map((l) => ({
+        id: l.id,
+        quantity: l.quantity,
+        attributes: l.attributes,
+        merchandise: { id: l.merchandiseId },
+        discountAllocations: l.discount ? [{ code: bundleCode, discountedAmount: { amount: l.discount.toFixed(2) } }] : [],
+      })),
+    },
+  };
+}
+
+// Runs `change(cart)` -> {userErrors?} on a live cart and returns the mutation payload
+function sandboxMutate(cartId, change) {
+  const cart = sandboxCart(cartId);
+  if (!cart) return missingCart();
+  const { userErrors = [] } = change(cart) || {};
+  if (!userErrors.length) cart.updatedAt = Date.now();
+  return { cart: sandboxCartView(cart), userErrors };
+}
+
+const sandboxProductGid = (p) => (p === PRODUCT_DATA ? "gid://shopify/Product/sandbox" : `gid://shopify/Product/sandbox-${p.id}`);
+
+function sandboxProduct(handle) {
+  const p = sandboxCatalog().find((x) => (x === PRODUCT_DATA ? x.id : x.handle) === handle);
+  if (!p) return null;
+  const variantImageUrl = (v) => {
+    const slide = p.media.find((m) => m.type === "image" && mediaMatchesVariant(m, v));
+    return slide ? { url: slide.src, altText: slide.alt } : null;
+  };
+  return {
+    id: sandboxProductGid(p),
+    handle,
+    title: p.title,
+    description: p.description,
+    media: {
+      nodes: p.media.map((m) =>
+        m.type === "video"
+          ? {
+              mediaContentType: "VIDEO",
+              alt: m.alt,
+              previewImage: m.poster ? { url: m.poster } : null,
+              sources: [{ url: m.src, mimeType: /\.m3u8(\?|$)/.test(m.src) ? "application/x-mpegURL" : "video/mp4" }],
+            }
+          : { mediaContentType: "IMAGE", alt: m.alt, previewImage: { url: m.src }, image: { url: m.src } },
+      ),
+    },
+    options: p.options.map((o) => ({ name: o.name, optionValues: o.values.map((v) => ({ name: v.value, swatch: v.swatch ? { color: v.swatch } : null })) })),
+    variants: {
+      nodes: p.variants.map((v) => {
+        const compareAt = v.compareAtPrice ?? p.compareAtPrice;
+        return {
+          id: shopifyGid(v),
+          title: v.name,
+          selectedOptions: Object.entries(v.options).map(([name, value]) => ({ name, value })),
+          availableForSale: stockState(v) !== "sold_out",
+          currentlyNotInStock: v.stock != null && v.stock <= 0,
+          quantityAvailable: v.stock,
+          price: { amount: v.price.toFixed(2), currencyCode: p.currency },
+          compareAtPrice: compareAt ? { amount: compareAt.toFixed(2) } : null,
+          image: variantImageUrl(v),
+        };
+      }),
+    },
+  };
+}
+
+// Root field -> resolver, for the operations this file sends
+const SANDBOX_OPERATIONS = {
+  cartCreate({ lines = [], discountCodes = [], country = "US", attributes = [] }) {
+    const added = sandboxAddLines([], lines);
+    if (added.userErrors.length) return { cart: null, userErrors: added.userErrors };
+    const cart = { id: `gid://shopify/Cart/sandbox-${sandbox.nextId++}`, country, attributes, lines: added.lines, discountCodes, updatedAt: Date.now() };
+    sandbox.carts.set(cart.id, cart);
+    return { cart: sandboxCartView(cart), userErrors: [] };
+  },
+  cartLinesAdd: ({ cartId, lines }) =>
+    sandboxMutate(cartId, (cart) => {
+      const added = sandboxAddLines(cart.lines, lines);
+      cart.lines = added.lines;
+      return added;
+    }),
+  // quantity 0 removes the line, as in Shopify
+  cartLinesUpdate: ({ cartId, lines }) =>
+    sandboxMutate(cartId, (cart) => {
+      const userErrors = [];
+      const next = cart.lines.map((l) => ({ ...l }));
+      lines.forEach((input, i) => {
+        const field = ["lines", String(i)];
+        const line = next.find((l) => l.id === input.id);
+        if (!line) userErrors.push(cartUserError([...field, "id"], `The line with id ${input.id} does not exist.`));
+        else if (input.quantity != null && (!Number.isInteger(input.quantity) || input.quantity < 0)) userErrors.push(cartUserError([...field, "quantity"], "The quantity must be 0 or more."));
+        else {
+          const stockError = input.quantity ? sandboxStockError(sandboxVariant(line.merchandiseId), input.quantity, field) : null;
+          if (stockError) userErrors.push(stockError);
+          if (input.quantity != null) line.quantity = input.quantity;
+          if (input.attributes) line.attributes = input.attributes;
+        }
+      });
+      if (!userErrors.length) cart.lines = next.filter((l) => l.quantity > 0);
+      return { userErrors };
+    }),
+  cartLinesRemove: ({ cartId, lineIds }) =>
+    sandboxMutate(cartId, (cart) => {
+      const unknown = lineIds.findIndex((id) => !cart.lines.some((l) => l.id === id));
+      if (unknown !== -1) return { userErrors: [cartUserError(["lineIds", String(unknown)], `The line with id ${lineIds[unknown]} does not exist.`)] };
+      cart.lines = cart.lines.filter((l) => !lineIds.includes(l.id));
+    }),
+  cartDiscountCodesUpdate: ({ cartId, discountCodes }) =>
+    sandboxMutate(cartId, (cart) => {
+      cart.discountCodes = discountCodes;
+    }),
+  cartAttributesUpdate: ({ cartId, attributes }) =>
+    sandboxMutate(cartId, (cart) => {
+      cart.attributes = attributes;
+    }),
+  cartBuyerIdentityUpdate: ({ cartId, country }) =>
+    sandboxMutate(cartId, (cart) => {
+      cart.country = country;
+    }),
+  cart: ({ cartId }) => {
+    const cart = sandboxCart(cartId);
+    return cart ? sandboxCartView(cart) : null;
+  },
+  product: ({ handle }) => sandboxProduct(handle),
+  // Every add-on, whatever the intent
+  productRecommendations: ({ productId }) =>
+    productId === sandboxProductGid(PRODUCT_DATA) ? UPSELLS.addOns.map((a) => sandboxProduct(a.handle)) : null,
+};
+
+const storefrontSandbox = {
+  // Drop-in for fetch() against the Storefront endpoint: (url, {body, signal}) -> Response. Every URL
+  // is the one endpoint.
+  async fetch(_url, { body, signal } = {}) {
+    const { query, variables = {} } = JSON.parse(body);
+    sandbox.requests++;
+    await sleep(STOREFRONT_SANDBOX.latencyMs, signal);
+    const forced = sandbox.failures.shift();
+    const every = STOREFRONT_SANDBOX.rateLimitEvery;
+    if (forced === 429 || (every > 0 && sandbox.requests % every === 0)) {
+      return sandboxResponse(429, { errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] });
+    }
+    if (forced) return sandboxResponse(forced, { errors: [{ message: `Sandbox HTTP ${forced}` }] });
+    if (variables.country && !/^[A-Z]{2}$/.test(variables.country)) {
+      return sandboxResponse(200, { errors: [{ message: `Variable $country of type CountryCode was provided invalid value`, extensions: { code: "INVALID_VARIABLE" } }] });
+    }
+    const name = Object.keys(SANDBOX_OPERATIONS).find((op) => new RegExp(`\\b${op}\\s*\\(`).test(query));
+    if (!name) return sandboxResponse(200, { errors: [{ message: "Storefront sandbox: unsupported operation" }] });
+    return sandboxResponse(200, { data: { [name]: SANDBOX_OPERATIONS[name](variables) } });
+  },
+  // The next `times` requests fail with HTTP `status` (429 = Throttled)
+  failNext(status = 429, times = 1) {
+    for (let i = 0; i < times; i++) sandbox.failures.push(status);
+  },
+  // Expire one cart, or every cart without an id
+  expireCart(cartId) {
+    sandbox.carts.forEach((cart, id) => {
+      if (!cartId || id === cartId) cart.updatedAt = -Infinity;
+    });
+  },
+  // Current state of a cart (CART_FIELDS shape), or null
+  cart: (cartId) => SANDBOX_OPERATIONS.cart({ cartId }),
+  reset() {
+    sandbox.carts.clear();
+    sandbox.requests = 0;
+    sandbox.failures = [];
+  },
+};
+
+export { storefrontSandbox };
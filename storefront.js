@@ -0,0 +1,410 @@
+/**
+ * Shopify Storefront API client.
+ * --------------------------------------------------------------
+ * Product and recommendation queries, and the cart behind the Shopify checkout provider (see
+ * checkout.js). While STOREFRONT_SANDBOX.enabled, requests go to storefront-sandbox.js instead.
+ */
+import { PRODUCT_DATA, SHOPIFY, STOREFRONT_SANDBOX, UPSELLS } from "./config.js";
+import { gidTail, round2, sameAttributes, sameCodes, shopifyGid } from "./helpers.js";
+import { AuthError, CartExpiredError, CheckoutError, fetchWithTimeout, httpError, InvalidMerchandiseError, RateLimitError, withRetry } from "./http.js";
+import { storeItem } from "./consent.js";
+import { storefrontSandbox } from "./storefront-sandbox.js";
+
+// Placeholder credentials mean "no store": previews run on local data and DISCOUNT_RULES instead.
+// The sandbox stands in for a store.
+const isShopifyConfigured = () => STOREFRONT_SANDBOX.enabled || !SHOPIFY.storeDomain.startsWith("YOUR_");
+
+// Where the Shopify cart id is kept between visits
+const SHOPIFY_CART_ID_KEY = "shopifyCartId";
+
+function graphqlError(errors) {
+  const codes = errors.map((e) => e.extensions && e.extensions.code);
+  const message = errors.map((e) => e.message).join("; ");
+  if (codes.includes("THROTTLED")) return new RateLimitError(message);
+  if (codes.includes("ACCESS_DENIED") || codes.includes("UNAUTHORIZED")) return new AuthError(message);
+  return new CheckoutError(message);
+}
+
+// Simple helper for Storefront API calls (one attempt; see withRetry)
+async function sfy(query, variables, { signal } = {}) {
+  const res = await fetchWithTimeout(
+    `https://${SHOPIFY.storeDomain}/api/${SHOPIFY.apiVersion}/graphql.json`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Storefront-Access-Token": SHOPIFY.storefrontToken,
+      },
+      body: JSON.stringify({ query, variables }),
+      signal,
+    },
+    STOREFRONT_SANDBOX.enabled ? storefrontSandbox.fetch : fetch,
+  );
+  if (!res.ok) throw httpError(res, `Shopify error ${res.status}`);
+  const data = await res.json();
+  if (data.errors) throw graphqlError(data.errors);
+  return data.data;
+}
+
+// Cart fields every cart query/mutation returns, so the remote lines can be diffed
+const CART_FIELDS = `
+  id
+  checkoutUrl
+  attributes { key value }
+  buyerIdentity { countryCode }
+  discountCodes { code applicable }
+  discountAllocations { discountedAmount { amount } ... on CartCodeDiscountAllocation { code } }
+  lines(first: 100) {
+    nodes {
+      id
+      quantity
+      attributes { key value }
+      merchandise { ... on ProductVariant { id } }
+      discountAllocations { discountedAmount { amount } ... on CartCodeDiscountAllocation { code } }
+    }
+  }
+`;
+
+// Cart mutations report problems in userErrors with a 200 response — surface them as typed errors
+const MERCHANDISE_ERROR_CODES = ["INVALID_MERCHANDISE_LINE", "MERCHANDISE_NOT_ENOUGH_STOCK", "MERCHANDISE_OUT_OF_STOCK"];
+function cartOrThrow(payload) {
+  const errors = payload.userErrors || [];
+  if (!errors.length) return payload.cart;
+  const message = errors.map((e) => e.message).join("; ");
+  if (!payload.cart && errors.some((e) => e.field && e.field[0] === "cartId")) throw new CartExpiredError(message);
+  if (errors.some((e) => MERCHANDISE_ERROR_CODES.includes(e.code))) throw new InvalidMerchandiseError(message);
+  throw new CheckoutError(message);
+}
+
+// Create a cart and return {id, checkoutUrl, attributes, lines, discountCodes}.
+// The buyer's country picks the market, and with it the cart's currency and prices.
+async function createCart(lines = [], discountCodes = [], country = "US", attributes = []) {
+  const mutation = `#graphql
+    mutation CreateCart($lines: [CartLineInput!], $discountCodes: [String!], $country: CountryCode, $attributes: [AttributeInput!])
+    @inContext(country: $country) {
+      cartCreate(input: { lines: $lines, discountCodes: $discountCodes, attributes: $attributes, buyerIdentity: { countryCode: $country } }) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { lines, discountCodes, country, attributes });
+  return cartOrThrow(out.cartCreate);
+}
+
+// Fetch a cart; null when it has expired or was already checked out
+async function fetchCart(cartId) {
+  const query = `#graphql
+    query Cart($cartId: ID!) {
+      cart(id: $cartId) { ${CART_FIELDS} }
+    }
+  `;
+  const out = await sfy(query, { cartId });
+  return out.cart;
+}
+
+// Add lines to an existing cart
+async function addCartLines(cartId, lines) {
+  const mutation = `#graphql
+    mutation AddLines($cartId: ID!, $lines: [CartLineInput!]!) {
+      cartLinesAdd(cartId: $cartId, lines: $lines) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { cartId, lines });
+  return cartOrThrow(out.cartLinesAdd);
+}
+
+// Set quantities/attributes on existing cart lines ({id, quantity, attributes} by cart line ID)
+async function updateCartLines(cartId, lines) {
+  const mutation = `#graphql
+    mutation UpdateLines($cartId: ID!, $lines: [CartLineUpdateInput!]!) {
+      cartLinesUpdate(cartId: $cartId, lines: $lines) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { cartId, lines });
+  return cartOrThrow(out.cartLinesUpdate);
+}
+
+// Remove cart lines by cart line ID
+async function removeCartLines(cartId, lineIds) {
+  const mutation = `#graphql
+    mutation RemoveLines($cartId: ID!, $lineIds: [ID!]!) {
+      cartLinesRemove(cartId: $cartId, lineIds: $lineIds) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { cartId, lineIds });
+  return cartOrThrow(out.cartLinesRemove);
+}
+
+// Replace the cart's discount codes (an empty list removes them all)
+async function updateDiscountCodes(cartId, discountCodes) {
+  const mutation = `#graphql
+    mutation UpdateDiscountCodes($cartId: ID!, $discountCodes: [String!]!) {
+      cartDiscountCodesUpdate(cartId: $cartId, discountCodes: $discountCodes) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { cartId, discountCodes });
+  return cartOrThrow(out.cartDiscountCodesUpdate);
+}
+
+// Replace the cart's attributes ({key, value}; an empty list removes them all)
+async function updateCartAttributes(cartId, attributes) {
+  const mutation = `#graphql
+    mutation UpdateAttributes($cartId: ID!, $attributes: [AttributeInput!]!) {
+      cartAttributesUpdate(cartId: $cartId, attributes: $attributes) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { cartId, attributes });
+  return cartOrThrow(out.cartAttributesUpdate);
+}
+
+// Move the cart to another market (Shopify re-prices it in that market's currency)
+async function updateBuyerCountry(cartId, country) {
+  const mutation = `#graphql
+    mutation UpdateBuyerIdentity($cartId: ID!, $country: CountryCode!) @inContext(country: $country) {
+      cartBuyerIdentityUpdate(cartId: $cartId, buyerIdentity: { countryCode: $country }) {
+        cart { ${CART_FIELDS} }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const out = await sfy(mutation, { cartId, country });
+  return cartOrThrow(out.cartBuyerIdentityUpdate);
+}
+
+// Remote cart syncs (any checkout provider) are queued so a background sync and a checkout never
+// interleave their mutations.
+let cartSyncQueue = Promise.resolve();
+function queueCartSync(task) {
+  const run = cartSyncQueue.catch(() => {}).then(task);
+  cartSyncQueue = run;
+  return run;
+}
+
+// Make the Shopify cart match the local lines ({merchandiseId, quantity}), discount codes, buyer
+// country and cart attributes, and return it. With managedIds (merchandise GIDs) only those lines are
+// touched: the cart can hold products this page doesn't sell.
+function syncShopifyCart({ lines, managedIds = null, discountCodes = [], country, attributes = [] }) {
+  return queueCartSync(() =>
+    withRetry(async () => {
+      try {
+        return await syncShopifyCartNow(lines, managedIds, discountCodes, country, attributes);
+      } catch (e) {
+        // Expired between reading and changing it: the next attempt starts a new cart
+        if (e instanceof CartExpiredError) localStorage.removeItem(SHOPIFY_CART_ID_KEY);
+        throw e;
+      }
+    }),
+  );
+}
+
+async function syncShopifyCartNow(lines, managedIds, discountCodes, country, attributes) {
+  // Persist cartId so returning users keep the same checkout
+  const cartId = localStorage.getItem(SHOPIFY_CART_ID_KEY);
+  const remote = cartId ? await fetchCart(cartId) : null;
+  if (!remote) {
+    // No cart yet, or the stored one expired / was completed: start fresh
+    const created = await createCart(lines, discountCodes, country, attributes);
+    storeItem(SHOPIFY_CART_ID_KEY, created.id, "necessary");
+    return created;
+  }
+  let cartObj = remote;
+  if (country && (!remote.buyerIdentity || remote.buyerIdentity.countryCode !== country)) {
+    cartObj = await updateBuyerCountry(cartObj.id, country);
+  }
+  const plan = diffCartLines(cartObj.lines.nodes, lines, managedIds);
+  if (plan.remove.length) cartObj = await removeCartLines(cartObj.id, plan.remove);
+  if (plan.update.length) cartObj = await updateCartLines(cartObj.id, plan.update);
+  if (plan.add.length) cartObj = await addCartLines(cartObj.id, plan.add);
+  if (!sameCodes(cartObj.discountCodes.map((d) => d.code), discountCodes)) {
+    cartObj = await updateDiscountCodes(cartObj.id, discountCodes);
+  }
+  if (!sameAttributes(cartObj.attributes || [], attributes)) cartObj = await updateCartAttributes(cartObj.id, attributes);
+  return cartObj;
+}
+
+// Product fields mapStorefrontProduct reads
+const PRODUCT_FIELDS = `
+  id
+  handle
+  title
+  description
+  media(first: 20) {
+    nodes {
+      mediaContentType
+      alt
+      previewImage { url }
+      ... on MediaImage { image { url } }
+      ... on Video { sources { url mimeType } }
+    }
+  }
+  options { name optionValues { name swatch { color } } }
+  variants(first: 50) {
+    nodes {
+      id
+      title
+      selectedOptions { name value }
+      availableForSale
+      currentlyNotInStock
+      quantityAvailable
+      price { amount currencyCode }
+      compareAtPrice { amount }
+      image { url altText }
+    }
+  }
+`;
+
+// Load a product by handle, priced and translated for a market, and map it onto the PRODUCT_DATA shape
+// (`fallback`: the local definition it stands in for)
+async function fetchProduct(handle, market, { signal, fallback = PRODUCT_DATA } = {}) {
+  const query = `#graphql
+    query ProductByHandle($handle: String!, $country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+      product(handle: $handle) { ${PRODUCT_FIELDS} }
+    }
+  `;
+  const out = await withRetry(() => sfy(query, { handle, country: market.country, language: market.language }, { signal }), signal);
+  if (!out.product) throw new Error(`Shopify product not found: ${handle}`);
+  return mapStorefrontProduct(out.product, fallback);
+}
+
+// Shopify's recommendations for a product (UPSELLS.intent), in its order, as add-on products.
+// A recommendation that is also a local add-on keeps that add-on's id and provider ids.
+async function fetchRecommendations(productGid, market, { signal } = {}) {
+  const query = `#graphql
+    query Recommendations($productId: ID!, $intent: ProductRecommendationIntent, $country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+      productRecommendations(productId: $productId, intent: $intent) { ${PRODUCT_FIELDS} }
+    }
+  `;
+  const variables = { productId: productGid, intent: UPSELLS.intent, country: market.country, language: market.language };
+  const out = await withRetry(() => sfy(query, variables, { signal }), signal);
+  return (out.productRecommendations || []).map((p) => {
+    const local = UPSELLS.addOns.find((a) => a.handle === p.handle);
+    return mapStorefrontProduct(p, local || { id: p.handle, handle: p.handle, description: "", media: [], maxPerOrder: 5, options: [], variants: [] });
+  });
+}
+
+// Storefront product -> PRODUCT_DATA shape. Merchandising fields Shopify doesn't hold
+// (badges, bullets, ugc, reels) come from `fallback`, as do swatch colors Shopify has none for;
+// local variant ids are kept by GID.
+function mapStorefrontProduct(p, fallback) {
+  const localSwatch = (axis, value) => {
+    const o = fallback.options.find((x) => x.name === axis);
+    const v = o && o.values.find((x) => x.value === value);
+    return v ? v.swatch : undefined;
+  };
+  const options = p.options.map((o) => ({
+    name: o.name,
+    values: o.optionValues.map((ov) => ({ value: ov.name, swatch: (ov.swatch && ov.swatch.color) || localSwatch(o.name, ov.name) })),
+  }));
+  const variants = p.variants.nodes.map((n) => {
+    const local = fallback.variants.find((v) => shopifyGid(v) === n.id);
+    return {
+      id: local ? local.id : gidTail(n.id),
+      ids: { ...(local && local.ids), shopify: n.id },
+      name: n.title,
+      options: Object.fromEntries(n.selectedOptions.map((o) => [o.name, o.value])),
+      price: Number(n.price.amount),
+      compareAtPrice: n.compareAtPrice ? Number(n.compareAtPrice.amount) : null,
+      // quantityAvailable needs the unauthenticated_read_product_inventory scope; null = unknown
+      stock: n.quantityAvailable ?? (n.availableForSale ? null : 0),
+      // Shopify "continue selling when out of stock" shows up as currentlyNotInStock; preorder is local-only
+      sellingMode: (local && local.sellingMode) || (n.availableForSale && n.currentlyNotInStock ? "backorder" : undefined),
+      shipDateISO: local ? local.shipDateISO : undefined,
+      image: n.image ? n.image.url : null,
+    };
+  });
+  if (variants.length === 0) throw new Error(`Shopify product ${p.id} has no variants`);
+  return {
+    ...fallback,
+    title: p.title,
+    description: p.description || fallback.description,
+    media: p.media.nodes.length ? p.media.nodes.map((m) => mediaFromStorefront(m, variants)).filter(Boolean) : fallback.media,
+    basePrice: Math.min(...variants.map((v) => v.price)),
+    compareAtPrice: null, // per-variant on live data
+    currency: p.variants.nodes[0].price.currencyCode,
+    gid: p.id,
+    options,
+    variants,
+  };
+}
+
+// Storefront media node -> gallery slide. An image that is a variant's image links to that variant.
+function mediaFromStorefront(m, variants) {
+  if (m.mediaContentType === "IMAGE") {
+    const variantIds = variants.filter((v) => v.image === m.image.url).map((v) => v.id);
+    return { type: "image", src: m.image.url, alt: m.alt || "", ...(variantIds.length ? { variantIds } : {}) };
+  }
+  if (m.mediaContentType === "VIDEO") {
+    const source = m.sources.find((s) => s.mimeType === "application/x-mpegURL") || m.sources.find((s) => s.mimeType === "video/mp4");
+    return source ? { type: "video", src: source.url, poster: m.previewImage && m.previewImage.url, alt: m.alt || "" } : null;
+  }
+  return null; // external videos and 3D models aren't supported
+}
+
+// Plan the mutations that turn the remote lines into the wanted ones. Remote lines for merchandise
+// outside managedIds (when given) are left as they are.
+function diffCartLines(remoteLines, wanted, managedIds = null) {
+  const managed = managedIds && new Set(managedIds.map(String));
+  const want = new Map();
+  wanted.forEach((l) => {
+    const prev = want.get(l.merchandiseId);
+    want.set(l.merchandiseId, { quantity: (prev ? prev.quantity : 0) + l.quantity, attributes: l.attributes || [] });
+  });
+  const seen = new Set();
+  const add = [];
+  const update = [];
+  const remove = [];
+  remoteLines.forEach((r) => {
+    const id = r.merchandise.id;
+    if (managed && !managed.has(id)) return;
+    if (!want.has(id) || seen.has(id)) {
+      remove.push(r.id);
+      return;
+    }
+    seen.add(id);
+    const w = want.get(id);
+    if (r.quantity !== w.quantity || !sameAttributes(r.attributes || [], w.attributes)) {
+      update.push({ id: r.id, quantity: w.quantity, attributes: w.attributes });
+    }
+  });
+  want.forEach((w, merchandiseId) => {
+    if (!seen.has(merchandiseId)) add.push({ merchandiseId, ...w });
+  });
+  return { add, update, remove };
+}
+
+// Shopify cart -> same shape as evaluateLocalDiscounts (line- and order-level code allocations summed).
+// `hiddenCodes` (bundle codes) and automatic discounts are left out: the drawer prices bundles itself.
+function discountFromShopifyCart(cartObj, hiddenCodes = []) {
+  const shown = (code) => code && !hiddenCodes.some((h) => h.toUpperCase() === code.toUpperCase());
+  const sum = (allocations) => allocations.filter((a) => shown(a.code)).reduce((s, a) => s + Number(a.discountedAmount.amount), 0);
+  const lineAmount = cartObj.lines.nodes.reduce((s, l) => s + sum(l.discountAllocations), 0);
+  return {
+    codes: cartObj.discountCodes.filter((d) => shown(d.code)).map((d) => ({
+      code: d.code,
+      applicable: d.applicable,
+      reason: d.applicable ? null : "notApplicable",
+    })),
+    amount: round2(sum(cartObj.discountAllocations) + lineAmount),
+    freeShipping: false, // shipping discounts are only known at checkout
+  };
+}
+
+export { discountFromShopifyCart, fetchCart, fetchProduct, fetchRecommendations, isShopifyConfigured, queueCartSync, SHOPIFY_CART_ID_KEY, syncShopifyCart };
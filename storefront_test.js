@@ -0,0 +1,90 @@
+/**
+ * Storefront product hydration.
+ * --------------------------------------------------------------
+ * fetchProduct against a stubbed Storefront API: live fields win, merchandising Shopify doesn't hold
+ * stays from PRODUCT_DATA. Run with `deno test -A`; no credentials or network needed.
+ */
+import assert from "node:assert/strict";
+import { PRODUCT_DATA } from "./config.js";
+import { fetchProduct } from "./storefront.js";
+
+const [local] = PRODUCT_DATA.variants;
+const market = { country: "US", language: "EN" };
+
+// A product as the ProductByHandle query returns it: one variant known locally, one new
+const liveProduct = {
+  id: "gid://shopify/Product/1",
+  title: "AuroraGlow™ LED String Lights (live)",
+  description: "",
+  media: { nodes: [{ mediaContentType: "IMAGE", alt: "Lit tree", previewImage: { url: "https://cdn.example/tree.jpg" }, image: { url: "https://cdn.example/tree.jpg" } }] },
+  options: Object.keys(local.options).map((name) => ({ name, optionValues: [{ name: local.options[name], swatch: null }] })),
+  variants: {
+    nodes: [
+      {
+        id: local.ids.shopify,
+        title: local.name,
+        selectedOptions: Object.entries(local.options).map(([name, value]) => ({ name, value })),
+        availableForSale: true,
+        currentlyNotInStock: false,
+        quantityAvailable: 7,
+        price: { amount: "19.99", currencyCode: "EUR" },
+        compareAtPrice: null,
+        image: { url: "https://cdn.example/tree.jpg", altText: "Lit tree" },
+      },
+      {
+        id: "gid://shopify/ProductVariant/999",
+        title: "Icicle · 5m",
+        selectedOptions: [{ name: "Color", value: "Icicle" }],
+        availableForSale: false,
+        currentlyNotInStock: false,
+        quantityAvailable: null,
+        price: { amount: "14.99", currencyCode: "EUR" },
+        compareAtPrice: null,
+        image: null,
+      },
+    ],
+  },
+};
+
+// Each test answers Storefront requests with `body` and puts fetch back afterwards
+function test(name, body, fn) {
+  Deno.test(name, async () => {
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = () => Promise.resolve(new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } }));
+    try {
+      await fn();
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  });
+}
+
+test("live prices and stock replace the local ones", { data: { product: liveProduct } }, async () => {
+  const product = await fetchProduct(PRODUCT_DATA.id, market);
+  assert.equal(product.title, liveProduct.title);
+  assert.equal(product.currency, "EUR");
+  assert.equal(product.basePrice, 14.99);
+  assert.deepEqual(
+    product.variants.map((v) => [v.id, v.price, v.stock]),
+    [
+      [local.id, 19.99, 7],
+      ["999", 14.99, 0],
+    ],
+  );
+});
+
+test("merchandising Shopify doesn't hold comes from PRODUCT_DATA", { data: { product: liveProduct } }, async () => {
+  const product = await fetchProduct(PRODUCT_DATA.id, market);
+  assert.equal(product.description, PRODUCT_DATA.description);
+  assert.deepEqual(product.bullets, PRODUCT_DATA.bullets);
+  assert.deepEqual(product.media, [{ type: "image", src: "https://cdn.example/tree.jpg", alt: "Lit tree", variantIds: [local.id] }]);
+  assert.deepEqual(product.variants[0].options, local.options);
+});
+
+test("an unknown handle is an error", { data: { product: null } }, async () => {
+  await assert.rejects(fetchProduct(PRODUCT_DATA.id, market), /not found/);
+});
+
+test("GraphQL errors reject", { errors: [{ message: "Access denied" }] }, async () => {
+  await assert.rejects(fetchProduct(PRODUCT_DATA.id, market));
+});
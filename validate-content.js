@@ -0,0 +1,25 @@
+/**
+ * Checks a content document before it ships.
+ * --------------------------------------------------------------
+ * Prints every problem with its location (e.g. "product.variants[1].ids.shopify: "1234" must be a
+ * Shopify variant GID …") and exits with status 1, or prints a summary and exits 0. Run it on every
+ * copy change, e.g. as a CI step or pre-commit hook:
+ *
+ *   npx tsx validate-content.js [content.json]
+ *
+ * It only loads content.js and config.js, so it runs without react installed.
+ */
+import { readFile } from "node:fs/promises";
+import process from "node:process";
+import { readContent } from "./content.js";
+
+const file = process.argv[2] || "content.json";
+
+(async () => {
+  const doc = readContent(await readFile(file, "utf8"), file);
+  const { product } = doc;
+  console.log(`${file} is valid: ${doc.brand} · ${product.title} · ${product.variants.length} variants · ${doc.copy.faq.length} FAQ entries`);
+})().catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});